@@ -15,7 +15,10 @@ export default defineConfig([
     ],
     languageOptions: {
       ecmaVersion: 2020,
-      globals: globals.browser,
+      globals: {
+        ...globals.browser,
+        __APP_VERSION__: 'readonly', // Defined by Vite (see vite.config.js)
+      },
       parserOptions: {
         ecmaVersion: 'latest',
         ecmaFeatures: { jsx: true },
@@ -26,4 +29,22 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['scripts/**/*.js', 'vite.config.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    files: ['src/serviceWorker.js'],
+    languageOptions: {
+      globals: {
+        ...globals.serviceworker,
+        // Filled in by the service worker plugin (see vite.config.js)
+        __CACHE_VERSION__: 'readonly',
+        __PRECACHE_URLS__: 'readonly',
+        __APP_ROUTES__: 'readonly',
+      },
+    },
+  },
 ])
@@ -0,0 +1,139 @@
+// ============================================
+// WebDAV provider check
+// ============================================
+//
+// Runs the WebDAV sync provider (src/sync/webdavProvider.js) against a real WebDAV server:
+// reading and writing the sync file, ETag conflicts (If-Match / If-None-Match), shards and
+// snapshots. It works in a folder of its own on the server and deletes it at the end.
+//
+//   WEBDAV_URL=http://localhost:8080/ WEBDAV_USERNAME=test WEBDAV_PASSWORD=test npm run check:webdav
+//
+// WEBDAV_URL is a folder on the server; WEBDAV_USERNAME and WEBDAV_PASSWORD are optional.
+// The provider is loaded through Vite, which resolves its imports the way the app build does.
+
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const { WEBDAV_URL, WEBDAV_USERNAME, WEBDAV_PASSWORD } = process.env;
+if (!WEBDAV_URL) {
+  console.error('Set WEBDAV_URL to a folder on the WebDAV server, e.g. http://localhost:8080/');
+  process.exit(1);
+}
+
+// Only used to load modules, so without the app's plugins or dependency pre-bundling
+const vite = await createServer({
+  root: fileURLToPath(new URL('..', import.meta.url)),
+  configFile: false,
+  server: { middlewareMode: true },
+  optimizeDeps: { noDiscovery: true },
+  appType: 'custom',
+  logLevel: 'error',
+});
+
+const folderUrl = new URL(`letsdoit-check-${Date.now()}/`, WEBDAV_URL.replace(/\/?$/, '/')).toString();
+const settings = {
+  webdavUrl: `${folderUrl}letsdoit.json`,
+  webdavUsername: WEBDAV_USERNAME,
+  webdavPassword: WEBDAV_PASSWORD,
+};
+const authHeaders = WEBDAV_USERNAME
+  ? { Authorization: `Basic ${Buffer.from(`${WEBDAV_USERNAME}:${WEBDAV_PASSWORD || ''}`).toString('base64')}` }
+  : {};
+
+// The provider logs every request
+console.log = () => {};
+const log = (message) => process.stdout.write(`${message}\n`);
+
+function createPayload(revision, extra = {}) {
+  return {
+    revision,
+    syncedAt: new Date().toISOString(),
+    snapshotInfo: { deviceName: 'check-webdav', taskCount: revision, habitCount: 0 },
+    ...extra,
+  };
+}
+
+async function assertStale(promise, message) {
+  await assert.rejects(promise, (error) => error.code === 'staleRevision', message);
+}
+
+async function check(name, run) {
+  await run();
+  log(`✓ ${name}`);
+}
+
+let failed = false;
+try {
+  const { default: provider } = await vite.ssrLoadModule('/src/sync/webdavProvider.js');
+
+  const folder = await fetch(folderUrl, { method: 'MKCOL', headers: authHeaders });
+  assert.ok(folder.ok, `Could not create ${folderUrl}: HTTP ${folder.status}`);
+
+  let firstRevision;
+  let secondRevision;
+
+  await check('reads a missing file as empty', async () => {
+    assert.equal(await provider.read(settings), null);
+  });
+
+  await check('creates the file only if it does not exist yet (If-None-Match)', async () => {
+    await provider.write(settings, createPayload(1), null);
+    await assertStale(provider.write(settings, createPayload(1), null), 'A second create was not rejected');
+  });
+
+  await check('reads the file with its ETag', async () => {
+    const remote = await provider.read(settings);
+    assert.equal(remote.payload.revision, 1);
+    assert.ok(remote.revision, 'The server sent no ETag, so conflicting writes would go unnoticed');
+    firstRevision = remote.revision;
+  });
+
+  await check('writes based on the current ETag (If-Match)', async () => {
+    await provider.write(settings, createPayload(2), firstRevision);
+    const remote = await provider.read(settings);
+    assert.equal(remote.payload.revision, 2);
+    assert.notEqual(remote.revision, firstRevision, 'The ETag did not change with the content');
+    secondRevision = remote.revision;
+  });
+
+  await check('rejects a write based on an outdated ETag', async () => {
+    await assertStale(provider.write(settings, createPayload(3), firstRevision), 'A stale write was not rejected');
+    const remote = await provider.read(settings);
+    assert.equal(remote.payload.revision, 2, 'A stale write replaced the file');
+  });
+
+  await check('reports the ETag in the metadata', async () => {
+    const metadata = await provider.getMetadata(settings);
+    assert.equal(metadata.revision, secondRevision);
+  });
+
+  await check('stores shards next to the file', async () => {
+    const payload = createPayload(3, { shardIds: ['kept'], shardData: { kept: 'content' } });
+    await provider.write(settings, payload, secondRevision);
+    const remote = await provider.read(settings);
+    assert.equal(remote.payload.shardData, undefined, 'Shards were left in the file');
+    assert.deepEqual(await provider.readShards(settings, ['kept', 'missing']), { kept: 'content', missing: null });
+  });
+
+  await check('deletes the shards of a rejected write', async () => {
+    const payload = createPayload(4, { shardIds: ['orphan'], shardData: { orphan: 'content' } });
+    await assertStale(provider.write(settings, payload, secondRevision), 'A stale write was not rejected');
+    assert.deepEqual(await provider.readShards(settings, ['orphan']), { orphan: null });
+  });
+
+  await check('keeps a snapshot of every write', async () => {
+    const snapshots = await provider.listSnapshots(settings);
+    assert.deepEqual(snapshots.map((snapshot) => snapshot.revision), [3, 2, 1]);
+    const snapshot = await provider.readSnapshot(settings, snapshots[1].id);
+    assert.equal(snapshot.revision, 2);
+  });
+} catch (error) {
+  failed = true;
+  console.error(`✗ ${error.message}`);
+} finally {
+  await fetch(folderUrl, { method: 'DELETE', headers: authHeaders }).catch(() => {});
+  await vite.close();
+}
+
+process.exit(failed ? 1 : 0);
@@ -1,11 +1,16 @@
 import { useEffect } from 'react';
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
-import { ThemeProvider, SyncProvider, useSync } from './context';
+import { ThemeProvider, SyncProvider, SearchProvider, UndoProvider, useSync } from './context';
 import HomePage from './pages/HomePage';
 import HappinessPage from './pages/HappinessPage';
 import OptionsPage from './pages/OptionsPage';
 import AddTaskPage from './pages/AddTaskPage';
-import { setAutoSyncCallback } from './db/database';
+import LogbookPage from './pages/LogbookPage';
+import TrashPage from './pages/TrashPage';
+import ConflictsPage from './pages/ConflictsPage';
+import UpdatePrompt from './components/UpdatePrompt';
+import { setAutoSyncCallback, purgeExpiredTrash } from './db/database';
+import { ROUTES } from './routes';
 import './App.css';
 
 // Component that wires up the database auto-sync callback
@@ -26,14 +31,25 @@ function SyncCallbackSetup() {
 }
 
 function AppContent() {
+  // Purge trash items past their retention period once per app start
+  useEffect(() => {
+    purgeExpiredTrash().catch((error) => {
+      console.error('Failed to purge expired trash:', error);
+    });
+  }, []);
+
   return (
     <>
       <SyncCallbackSetup />
+      <UpdatePrompt />
       <Routes>
-        <Route path="/" element={<HomePage />} />
-        <Route path="/happiness" element={<HappinessPage />} />
-        <Route path="/options" element={<OptionsPage />} />
-        <Route path="/add-task" element={<AddTaskPage />} />
+        <Route path={ROUTES.HOME} element={<HomePage />} />
+        <Route path={ROUTES.HAPPINESS} element={<HappinessPage />} />
+        <Route path={ROUTES.LOGBOOK} element={<LogbookPage />} />
+        <Route path={ROUTES.TRASH} element={<TrashPage />} />
+        <Route path={ROUTES.CONFLICTS} element={<ConflictsPage />} />
+        <Route path={ROUTES.OPTIONS} element={<OptionsPage />} />
+        <Route path={ROUTES.ADD_TASK} element={<AddTaskPage />} />
       </Routes>
     </>
   );
@@ -44,7 +60,11 @@ function App() {
     <ThemeProvider>
       <SyncProvider>
         <BrowserRouter>
-          <AppContent />
+          <SearchProvider>
+            <UndoProvider>
+              <AppContent />
+            </UndoProvider>
+          </SearchProvider>
         </BrowserRouter>
       </SyncProvider>
     </ThemeProvider>
@@ -1,6 +1,7 @@
 import { useState, useRef, useEffect } from 'react';
 import { createTask, getAvailableTags, addTag, updateTag, deleteTag, completeTag } from '../../db/database';
 import { extractDateString, getTodayDateString } from '../../utils/dateUtils';
+import { DEFAULT_PRIORITY, getPriorityLevel, getNextPriority } from '../../utils/priorityUtils';
 import styles from './AddTask.module.css';
 
 // Predefined color palette for tags
@@ -20,6 +21,7 @@ const TAG_COLORS = [
 function AddTask({ onTaskCreated, defaultDueDate = null, compact = false }) {
   const [content, setContent] = useState('');
   const [selectedTags, setSelectedTags] = useState([]);
+  const [priority, setPriority] = useState(DEFAULT_PRIORITY);
   const [availableTags, setAvailableTags] = useState([]);
   const [showTagPicker, setShowTagPicker] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -112,6 +114,8 @@ function AddTask({ onTaskCreated, defaultDueDate = null, compact = false }) {
 
   const getTagById = (tagId) => availableTags.find((t) => t.id === tagId);
 
+  const priorityLevel = getPriorityLevel(priority);
+
   // Create new tag
   const handleCreateTag = async () => {
     const trimmedName = newTagName.trim();
@@ -199,10 +203,12 @@ function AddTask({ onTaskCreated, defaultDueDate = null, compact = false }) {
         note: null,
         doneAt: null,
         tags: selectedTags,
+        priority,
       });
       
       setContent('');
       setSelectedTags([]);
+      setPriority(DEFAULT_PRIORITY);
       onTaskCreated?.(newTask);
     } catch (error) {
       console.error('Failed to create task:', error);
@@ -228,6 +234,16 @@ function AddTask({ onTaskCreated, defaultDueDate = null, compact = false }) {
         />
       </div>
       
+      <button
+        type="button"
+        className={`${styles.priorityBtn} ${priority !== DEFAULT_PRIORITY ? styles.hasSelection : ''}`}
+        style={{ '--priority-color': priorityLevel.color }}
+        onClick={() => setPriority(getNextPriority(priority))}
+        title={`Priority: ${priorityLevel.name} (click to change)`}
+      >
+        {priorityLevel.label}
+      </button>
+
       <div className={styles.tagPickerWrapper} ref={tagPickerRef}>
         <button
           type="button"
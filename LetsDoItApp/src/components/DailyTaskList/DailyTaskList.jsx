@@ -1,8 +1,9 @@
 import { useState, useEffect, useCallback } from 'react';
 import { DragDropContext } from '@hello-pangea/dnd';
-import { getAllTasks, updateTask, getSectionExpandStates, setSectionExpandState, getHabitByDate, getAvailableTags, completeTag } from '../../db/database';
+import { getAllTasks, reorderTasks, getSectionExpandStates, setSectionExpandState, getHabitByDate, getAvailableTags, completeTag } from '../../db/database';
 import { categorizeDailyTasks, sortTasks, getTodayDateString, addDaysToDateString, isToday, isTomorrow, isPast, parseDateString } from '../../utils/dateUtils';
 import { getTodayKey } from '../../utils/habitUtils';
+import { useSync } from '../../context';
 import TaskList from '../TaskList';
 import AddTask from '../AddTask';
 import HappinessTask from '../HappinessTask';
@@ -33,6 +34,7 @@ function DailyTaskList({ onSelectTask, selectedTask, hideHeader = false }) {
   const [isMobile, setIsMobile] = useState(false);
   const [isKeyboardOpen, setIsKeyboardOpen] = useState(false);
   const [viewportHeight, setViewportHeight] = useState(null);
+  const { lastSyncResult } = useSync();
 
   // Load expand states from DB
   const loadExpandStates = useCallback(async () => {
@@ -134,6 +136,16 @@ function DailyTaskList({ onSelectTask, selectedTask, hideHeader = false }) {
     return () => window.removeEventListener('focus', handleFocus);
   }, [loadTasks, loadExpandStates, checkHappinessSurvey, loadTagDeadlines]);
 
+  // Refresh data in place when sync pulls new data (both manual and automatic)
+  useEffect(() => {
+    if (lastSyncResult?.action === 'pulled') {
+      loadTasks();
+      loadExpandStates();
+      checkHappinessSurvey();
+      loadTagDeadlines();
+    }
+  }, [lastSyncResult, loadTasks, loadExpandStates, checkHappinessSurvey, loadTagDeadlines]);
+
   useEffect(() => {
     const mediaQuery = window.matchMedia('(max-width: 768px)');
     const handleChange = () => setIsMobile(mediaQuery.matches);
@@ -270,18 +282,26 @@ function DailyTaskList({ onSelectTask, selectedTask, hideHeader = false }) {
     const movedTask = sourceTasks.find(t => t.id === draggableId);
     if (!movedTask) return;
 
-    // Calculate new due date based on destination
-    const newDueDate = getDueDateForDroppable(destination.droppableId);
+    // Calculate new due date based on destination (reordering within a section keeps it)
+    const isSameList = source.droppableId === destination.droppableId;
+    const newDueDate = isSameList ? movedTask.dueDate : getDueDateForDroppable(destination.droppableId);
 
     // Optimistically update UI
     const newSourceTasks = sourceTasks.filter(t => t.id !== draggableId);
-    const destTasks = source.droppableId === destination.droppableId 
+    const destTasks = isSameList
       ? newSourceTasks 
       : [...getTasksForDroppable(destination.droppableId)];
     
     const updatedTask = { ...movedTask, dueDate: newDueDate };
     destTasks.splice(destination.index, 0, updatedTask);
 
+    // Persist the new order of the destination section (previews of recurring tasks aren't stored)
+    const orderedIds = destTasks.filter(t => !t.occurrenceOf).map(t => t.id);
+    // Re-sort with the new order applied so higher priorities stay on top
+    const sortedDestTasks = sortTasks(destTasks.map(t =>
+      t.occurrenceOf ? t : { ...t, sortOrder: orderedIds.indexOf(t.id) }
+    ));
+
     // Update local state immediately for responsiveness
     const newTasks = { ...tasks };
     
@@ -295,22 +315,22 @@ function DailyTaskList({ onSelectTask, selectedTask, hideHeader = false }) {
     }
 
     // Update destination (if different from source)
-    if (source.droppableId !== destination.droppableId) {
+    if (!isSameList) {
       switch (destination.droppableId) {
-        case 'unfinished': newTasks.unfinished = destTasks; break;
-        case 'today': newTasks.todayTasks = destTasks; break;
-        case 'tomorrow': newTasks.tomorrowTasks = destTasks; break;
-        case 'upcoming': newTasks.upcoming = destTasks; break;
-        case 'someday': newTasks.someday = destTasks; break;
+        case 'unfinished': newTasks.unfinished = sortedDestTasks; break;
+        case 'today': newTasks.todayTasks = sortedDestTasks; break;
+        case 'tomorrow': newTasks.tomorrowTasks = sortedDestTasks; break;
+        case 'upcoming': newTasks.upcoming = sortedDestTasks; break;
+        case 'someday': newTasks.someday = sortedDestTasks; break;
       }
     } else {
       // Same list reorder
       switch (destination.droppableId) {
-        case 'unfinished': newTasks.unfinished = destTasks; break;
-        case 'today': newTasks.todayTasks = destTasks; break;
-        case 'tomorrow': newTasks.tomorrowTasks = destTasks; break;
-        case 'upcoming': newTasks.upcoming = destTasks; break;
-        case 'someday': newTasks.someday = destTasks; break;
+        case 'unfinished': newTasks.unfinished = sortedDestTasks; break;
+        case 'today': newTasks.todayTasks = sortedDestTasks; break;
+        case 'tomorrow': newTasks.tomorrowTasks = sortedDestTasks; break;
+        case 'upcoming': newTasks.upcoming = sortedDestTasks; break;
+        case 'someday': newTasks.someday = sortedDestTasks; break;
       }
     }
 
@@ -318,7 +338,7 @@ function DailyTaskList({ onSelectTask, selectedTask, hideHeader = false }) {
 
     // Update in database
     try {
-      await updateTask(draggableId, { dueDate: newDueDate });
+      await reorderTasks(orderedIds, { [draggableId]: { dueDate: newDueDate } });
     } catch (error) {
       console.error('Failed to update task:', error);
       // Reload to get correct state on error
@@ -35,7 +35,7 @@ function ScoreBox({ score, label, isSelected, onSelect }) {
   );
 }
 
-function HabitSurvey({ dateKey, existingHabit, onSubmit, onClose }) {
+function HabitSurvey({ dateKey, existingHabit, onSubmit, onClose, onDelete }) {
   const [score, setScore] = useState(existingHabit?.score || null);
   const [gratitude, setGratitude] = useState(existingHabit?.gratitude || existingHabit?.note || '');
   const [bedtimeThoughts, setBedtimeThoughts] = useState(existingHabit?.bedtimeThoughts || '');
@@ -82,6 +82,15 @@ function HabitSurvey({ dateKey, existingHabit, onSubmit, onClose }) {
         <div className={styles.header}>
           <span className={styles.dateLabel}>{formattedDate}</span>
           {isEditing && <span className={styles.editBadge}>Editing</span>}
+          {isEditing && onDelete && (
+            <button
+              className={styles.deleteButton}
+              onClick={() => onDelete(existingHabit)}
+              title="Move this entry to the trash"
+            >
+              Delete
+            </button>
+          )}
         </div>
 
         {step === 1 && (
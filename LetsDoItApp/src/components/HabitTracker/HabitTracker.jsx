@@ -2,7 +2,8 @@ import { useState, useEffect, useCallback, useMemo } from 'react';
 import { format } from 'date-fns';
 import HabitYearChart from '../HabitYearChart';
 import HabitSurvey from '../HabitSurvey';
-import { getHabitsByYear, upsertHabit, getHabitStats } from '../../db/database';
+import { getHabitsByYear, getHabitByDate, upsertHabit, deleteHabit, getHabitStats } from '../../db/database';
+import { useSync } from '../../context';
 import {
   scoreToColor,
   scoreToLabel,
@@ -45,7 +46,7 @@ function RecentEntry({ habit }) {
   );
 }
 
-function HabitTracker({ headerAction }) {
+function HabitTracker({ headerAction, openDate = null, onOpenDateHandled }) {
   const currentYear = new Date().getFullYear();
   const [year, setYear] = useState(currentYear);
   const [habits, setHabits] = useState([]);
@@ -55,10 +56,10 @@ function HabitTracker({ headerAction }) {
   const [surveyDate, setSurveyDate] = useState(null);
   const [surveyHabit, setSurveyHabit] = useState(null);
   const [hoveredDay, setHoveredDay] = useState(null);
+  const { lastSyncResult } = useSync();
 
   const loadHabits = useCallback(async () => {
     try {
-      setIsLoading(true);
       const yearHabits = await getHabitsByYear(year);
       const yearStats = await getHabitStats(year);
       setHabits(yearHabits);
@@ -70,10 +71,30 @@ function HabitTracker({ headerAction }) {
     }
   }, [year]);
 
+  // Only loading another year shows the spinner; other reloads update in place
   useEffect(() => {
+    setIsLoading(true);
     loadHabits();
   }, [loadHabits]);
 
+  // Refresh data in place when sync pulls new data (both manual and automatic)
+  useEffect(() => {
+    if (lastSyncResult?.action === 'pulled') {
+      loadHabits();
+    }
+  }, [lastSyncResult, loadHabits]);
+
+  // Open the survey for a requested date (e.g. a search result)
+  useEffect(() => {
+    if (!openDate) return;
+    getHabitByDate(openDate).then((habit) => {
+      setYear(parseInt(openDate.split('-')[0], 10));
+      setSurveyDate(openDate);
+      setSurveyHabit(habit || null);
+      onOpenDateHandled?.();
+    });
+  }, [openDate, onOpenDateHandled]);
+
   // Recent entries (last 7 days with data)
   const recentEntries = useMemo(() => {
     return [...habits]
@@ -108,6 +129,17 @@ function HabitTracker({ headerAction }) {
     }
   };
 
+  const handleSurveyDelete = async (habit) => {
+    try {
+      await deleteHabit(habit.id);
+      await loadHabits();
+      setSurveyDate(null);
+      setSurveyHabit(null);
+    } catch (error) {
+      console.error('Failed to delete habit:', error);
+    }
+  };
+
   const handleSurveyClose = () => {
     setSurveyDate(null);
     setSurveyHabit(null);
@@ -279,6 +311,7 @@ function HabitTracker({ headerAction }) {
           existingHabit={surveyHabit}
           onSubmit={handleSurveySubmit}
           onClose={handleSurveyClose}
+          onDelete={handleSurveyDelete}
         />
       )}
     </div>
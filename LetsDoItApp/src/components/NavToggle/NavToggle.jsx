@@ -1,4 +1,5 @@
 import { useNavigate, useLocation } from 'react-router-dom';
+import { useSearch } from '../../context';
 import styles from './NavToggle.module.css';
 
 function NavToggle() {
@@ -21,6 +22,12 @@ function NavToggle() {
       >
         Happiness
       </button>
+      <button
+        className={`${styles.option} ${currentPath === '/logbook' ? styles.active : ''}`}
+        onClick={() => navigate('/logbook')}
+      >
+        Logbook
+      </button>
     </div>
   );
 }
@@ -44,6 +51,25 @@ function SettingsButton() {
   );
 }
 
+function SearchButton() {
+  const { openSearch } = useSearch();
+  const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+  return (
+    <button
+      className={`${styles.settingsBtn} ${styles.searchBtn}`}
+      onClick={openSearch}
+      aria-label="Search"
+      title={`Search (${isMac ? '⌘' : 'Ctrl'}+K)`}
+    >
+      <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round">
+        <circle cx="11" cy="11" r="7" />
+        <path d="M21 21l-4.35-4.35" />
+      </svg>
+    </button>
+  );
+}
+
 export default NavToggle;
-export { SettingsButton };
+export { SettingsButton, SearchButton };
 
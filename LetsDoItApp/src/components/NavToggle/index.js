@@ -1,2 +1,2 @@
-export { default, SettingsButton } from './NavToggle';
+export { default, SettingsButton, SearchButton } from './NavToggle';
 
@@ -0,0 +1,317 @@
+import { useState, useEffect, useRef } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { Html5Qrcode } from 'html5-qrcode';
+import {
+  createPairingOffer,
+  acceptPairingOffer,
+  completePairing,
+  runPeerSync,
+} from '../../sync/peerSync';
+import styles from './PeerSyncModal.module.css';
+
+const STEPS = {
+  CHOOSE: 'choose',
+  HOST_CODE: 'hostCode',     // Showing the offer, waiting for the reply
+  JOIN_SCAN: 'joinScan',     // Waiting for the host's code
+  JOIN_CODE: 'joinCode',     // Showing the reply, waiting for the host to connect
+  SYNCING: 'syncing',
+  DONE: 'done',
+  ERROR: 'error',
+};
+
+const SCANNER_ELEMENT_ID = 'peer-sync-scanner';
+
+// Summary shown when the sync is complete
+const describeResult = (result) => {
+  const parts = [
+    result.localChanged
+      ? `This device now has ${result.tasksImported} tasks and ${result.habitsImported} habit entries.`
+      : 'This device already had everything.',
+  ];
+  if (result.conflicts.length > 0) {
+    parts.push(`${result.conflicts.length} item${result.conflicts.length === 1 ? ' was' : 's were'} edited on both devices and can be reviewed under Conflicts.`);
+  }
+  return parts.join(' ');
+};
+
+function PeerSyncModal({ onClose, onComplete }) {
+  const [step, setStep] = useState(STEPS.CHOOSE);
+  const [code, setCode] = useState('');
+  const [pastedCode, setPastedCode] = useState('');
+  const [isScanning, setIsScanning] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const sessionRef = useRef(null);
+  const handleCodeRef = useRef(null);
+
+  const closeSession = () => {
+    sessionRef.current?.close();
+    sessionRef.current = null;
+  };
+
+  const handleClose = () => {
+    closeSession();
+    onClose();
+  };
+
+  const fail = (message) => {
+    closeSession();
+    setIsScanning(false);
+    setError(message);
+    setStep(STEPS.ERROR);
+  };
+
+  const startSync = async (session) => {
+    try {
+      const syncResult = await runPeerSync(session);
+      sessionRef.current = null;
+      setResult(syncResult);
+      setStep(STEPS.DONE);
+      onComplete?.(syncResult);
+    } catch (syncError) {
+      console.error('Device sync failed:', syncError);
+      fail(syncError.message);
+    }
+  };
+
+  const handleHost = async () => {
+    setIsBusy(true);
+    try {
+      const { session, code: offerCode } = await createPairingOffer();
+      sessionRef.current = session;
+      setCode(offerCode);
+      setStep(STEPS.HOST_CODE);
+    } catch (offerError) {
+      console.error('Failed to create pairing code:', offerError);
+      fail(offerError.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleJoin = () => {
+    setStep(STEPS.JOIN_SCAN);
+    setIsScanning(true);
+  };
+
+  // Handle a scanned or pasted code from the other device
+  const handleRemoteCode = async (remoteCode) => {
+    setError('');
+    setIsScanning(false);
+    setIsBusy(true);
+    try {
+      if (step === STEPS.HOST_CODE) {
+        await completePairing(sessionRef.current, remoteCode);
+        setStep(STEPS.SYNCING);
+        startSync(sessionRef.current);
+      } else {
+        const { session, code: answerCode } = await acceptPairingOffer(remoteCode);
+        sessionRef.current = session;
+        setCode(answerCode);
+        setStep(STEPS.JOIN_CODE);
+        session.channelReady.then(() => setStep(STEPS.SYNCING), () => {});
+        startSync(session);
+      }
+      setPastedCode('');
+    } catch (codeError) {
+      setError(codeError.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  // The scanner callback outlives renders, so it calls the latest handler through a ref
+  useEffect(() => {
+    handleCodeRef.current = handleRemoteCode;
+  });
+
+  // Run the camera while scanning
+  useEffect(() => {
+    if (!isScanning) return undefined;
+
+    const scanner = new Html5Qrcode(SCANNER_ELEMENT_ID);
+    let started = false;
+    let stopped = false;
+    let handled = false;
+
+    scanner
+      .start(
+        { facingMode: 'environment' },
+        { fps: 10, qrbox: { width: 250, height: 250 } },
+        (decodedText) => {
+          if (handled) return;
+          handled = true;
+          handleCodeRef.current(decodedText);
+        },
+        () => {} // Ignore scan failures
+      )
+      .then(() => {
+        started = true;
+        if (stopped) scanner.stop().catch(() => {});
+      })
+      .catch((scanError) => {
+        console.error('Failed to start QR scanner:', scanError);
+        setError('Could not access the camera. Paste the code instead.');
+        setIsScanning(false);
+      });
+
+    return () => {
+      stopped = true;
+      if (started) scanner.stop().catch(() => {});
+    };
+  }, [isScanning]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      setError('Could not copy the code. Select it and copy it by hand.');
+    }
+  };
+
+  const handleRetry = () => {
+    closeSession();
+    setCode('');
+    setPastedCode('');
+    setError('');
+    setResult(null);
+    setStep(STEPS.CHOOSE);
+  };
+
+  const renderCode = () => (
+    <>
+      <div className={styles.qrWrapper}>
+        <QRCodeSVG value={code} size={220} level="L" includeMargin={false} />
+      </div>
+      <div className={styles.codeRow}>
+        <input className={styles.codeText} value={code} readOnly onFocus={(e) => e.target.select()} />
+        <button className={styles.secondaryBtn} onClick={handleCopy}>
+          {copied ? 'Copied!' : 'Copy'}
+        </button>
+      </div>
+    </>
+  );
+
+  const renderCodeInput = (label) => (
+    <>
+      {isScanning && <div id={SCANNER_ELEMENT_ID} className={styles.scannerViewport} />}
+      <div className={styles.pasteRow}>
+        <textarea
+          className={styles.pasteInput}
+          placeholder={label}
+          value={pastedCode}
+          onChange={(e) => setPastedCode(e.target.value)}
+          rows={2}
+        />
+        <div className={styles.pasteActions}>
+          {!isScanning && (
+            <button className={styles.secondaryBtn} onClick={() => setIsScanning(true)} disabled={isBusy}>
+              Scan
+            </button>
+          )}
+          <button
+            className={styles.primaryBtn}
+            onClick={() => handleRemoteCode(pastedCode)}
+            disabled={!pastedCode.trim() || isBusy}
+          >
+            Connect
+          </button>
+        </div>
+      </div>
+    </>
+  );
+
+  return (
+    <div className={styles.overlay} onClick={handleClose}>
+      <div className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <button className={styles.closeBtn} onClick={handleClose} title="Close">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M18 6L6 18M6 6l12 12" />
+          </svg>
+        </button>
+
+        <h3 className={styles.title}>Sync with Another Device</h3>
+
+        {step === STEPS.CHOOSE && (
+          <>
+            <p className={styles.description}>
+              Merge the data of two devices directly, without a cloud account. Keep both devices open on this page.
+            </p>
+            <div className={styles.choices}>
+              <button className={styles.choiceBtn} onClick={handleHost} disabled={isBusy}>
+                <span className={styles.choiceTitle}>{isBusy ? 'Preparing...' : 'Show a Code'}</span>
+                <span className={styles.choiceDescription}>On the first device</span>
+              </button>
+              <button className={styles.choiceBtn} onClick={handleJoin} disabled={isBusy}>
+                <span className={styles.choiceTitle}>Scan a Code</span>
+                <span className={styles.choiceDescription}>On the second device</span>
+              </button>
+            </div>
+          </>
+        )}
+
+        {step === STEPS.HOST_CODE && (
+          <>
+            <p className={styles.description}>
+              <strong>1.</strong> On the other device, choose <strong>Scan a Code</strong> and scan this code
+              (or paste it there).
+            </p>
+            {renderCode()}
+            <p className={styles.description}>
+              <strong>2.</strong> The other device then shows a reply code. Scan or paste it here.
+            </p>
+            {renderCodeInput('Paste the reply code')}
+          </>
+        )}
+
+        {step === STEPS.JOIN_SCAN && (
+          <>
+            <p className={styles.description}>
+              Scan the code shown on the other device, or paste it.
+            </p>
+            {renderCodeInput('Paste the code from the other device')}
+          </>
+        )}
+
+        {step === STEPS.JOIN_CODE && (
+          <>
+            <p className={styles.description}>
+              Now scan this reply on the other device, or paste it there. Syncing starts as soon as it connects.
+            </p>
+            {renderCode()}
+            <p className={styles.status}>Waiting for the other device...</p>
+          </>
+        )}
+
+        {step === STEPS.SYNCING && (
+          <p className={styles.status}>Connected. Merging your data...</p>
+        )}
+
+        {step === STEPS.DONE && result && (
+          <>
+            <div className={styles.successIcon}>✓</div>
+            <p className={styles.description}>
+              Synced with <strong>{result.peerName}</strong>. {describeResult(result)}
+            </p>
+            <button className={styles.primaryBtn} onClick={handleClose}>Done</button>
+          </>
+        )}
+
+        {step === STEPS.ERROR && (
+          <>
+            <p className={styles.error}>{error}</p>
+            <button className={styles.primaryBtn} onClick={handleRetry}>Try Again</button>
+          </>
+        )}
+
+        {error && step !== STEPS.ERROR && <p className={styles.error}>{error}</p>}
+      </div>
+    </div>
+  );
+}
+
+export default PeerSyncModal;
@@ -0,0 +1,154 @@
+import { useState, useEffect, useRef } from 'react';
+import { searchRecords } from '../../db/database';
+import { tokenize, getSearchSnippet, SEARCH_RESULT_TYPES } from '../../utils/searchUtils';
+import { parseDateString } from '../../utils/dateUtils';
+import { scoreToEmoji } from '../../utils/habitUtils';
+import styles from './SearchModal.module.css';
+
+// Delay before running a query while typing (ms)
+const SEARCH_DEBOUNCE = 150;
+
+// Format a YYYY-MM-DD string for result metadata
+const formatResultDate = (dateStr) => {
+  const date = parseDateString(dateStr);
+  return date ? date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' }) : '';
+};
+
+// Get the title, excerpt and metadata shown for a search result
+const describeResult = (result, terms) => {
+  const { record } = result;
+  if (result.type === SEARCH_RESULT_TYPES.TASK) {
+    const checklistText = (record.subtasks || []).map((subtask) => subtask.content).join(' · ');
+    return {
+      icon: record.doneAt ? '✅' : '☐',
+      title: record.content,
+      snippet: getSearchSnippet(record.note, terms) || getSearchSnippet(checklistText, terms),
+      meta: record.dueDate ? formatResultDate(record.dueDate) : 'Someday',
+    };
+  }
+  const reflections = [record.gratitude || record.note, record.bedtimeThoughts].filter(Boolean);
+  return {
+    icon: scoreToEmoji(record.score),
+    title: formatResultDate(record.date),
+    snippet: reflections.map((text) => getSearchSnippet(text, terms)).find(Boolean) || reflections[0],
+    meta: 'Mood entry',
+  };
+};
+
+function SearchModal({ onClose, onSelectResult }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [isSearching, setIsSearching] = useState(false);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  // Debounced search
+  useEffect(() => {
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      if (!query.trim()) {
+        setResults([]);
+        return;
+      }
+      setIsSearching(true);
+      try {
+        const found = await searchRecords(query);
+        if (!cancelled) {
+          setResults(found);
+          setActiveIndex(0);
+        }
+      } catch (error) {
+        console.error('Search failed:', error);
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    }, SEARCH_DEBOUNCE);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [query]);
+
+  // Keep the highlighted result visible
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((prev) => Math.min(prev + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((prev) => Math.max(prev - 1, 0));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      onSelectResult(results[activeIndex]);
+    }
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  const terms = tokenize(query);
+
+  return (
+    <div className={styles.overlay} onClick={handleOverlayClick}>
+      <div className={styles.modal} role="dialog" aria-label="Search">
+        <div className={styles.inputRow}>
+          <span className={styles.searchIcon}>🔍</span>
+          <input
+            ref={inputRef}
+            type="text"
+            className={styles.input}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search tasks, notes, tags and reflections..."
+          />
+          <kbd className={styles.kbd}>Esc</kbd>
+        </div>
+
+        {query.trim() && (
+          <ul ref={listRef} className={styles.results}>
+            {results.length === 0 && !isSearching && (
+              <li className={styles.empty}>No results for “{query.trim()}”</li>
+            )}
+            {results.map((result, index) => {
+              const { icon, title, snippet, meta } = describeResult(result, terms);
+              return (
+                <li
+                  key={`${result.type}:${result.id}`}
+                  className={`${styles.result} ${index === activeIndex ? styles.active : ''}`}
+                  onClick={() => onSelectResult(result)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                >
+                  <span className={styles.resultIcon}>{icon}</span>
+                  <div className={styles.resultBody}>
+                    <span className={styles.resultTitle}>{title}</span>
+                    {snippet && <span className={styles.resultSnippet}>{snippet}</span>}
+                  </div>
+                  <span className={styles.resultMeta}>{meta}</span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SearchModal;
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useSync, SYNC_STATE } from '../../context';
 import styles from './SyncButton.module.css';
 
@@ -9,9 +10,13 @@ function SyncButton({ onSyncComplete }) {
     statusMessage, 
     triggerSync,
     lastSyncResult,
+    conflictCount,
+    pendingChanges,
+    isOnline,
   } = useSync();
   
   const [showTooltip, setShowTooltip] = useState(false);
+  const navigate = useNavigate();
 
   // Call onSyncComplete when data was pulled
   useEffect(() => {
@@ -29,7 +34,25 @@ function SyncButton({ onSyncComplete }) {
     triggerSync();
   };
 
+  // Changes made offline wait for the connection to come back (sync status takes precedence)
+  const isOfflinePending = !isOnline && pendingChanges > 0 && syncState === SYNC_STATE.IDLE;
+  const pendingMessage = `Offline, ${pendingChanges} change${pendingChanges === 1 ? '' : 's'} pending`;
+
   const getIcon = () => {
+    if (isOfflinePending) {
+      return (
+        <svg 
+          className={styles.offlineIcon} 
+          viewBox="0 0 24 24" 
+          fill="none" 
+          stroke="currentColor" 
+          strokeWidth="2"
+        >
+          <path d="M22.61 16.95A5 5 0 0018 10h-1.26a8 8 0 00-7.05-6M5 5a8 8 0 004 15h9a5 5 0 001.7-.3" />
+          <line x1="1" y1="1" x2="23" y2="23" />
+        </svg>
+      );
+    }
     switch (syncState) {
       case SYNC_STATE.SYNCING:
         return (
@@ -110,6 +133,7 @@ function SyncButton({ onSyncComplete }) {
   };
 
   const getLabel = () => {
+    if (isOfflinePending) return `Offline, ${pendingChanges} pending`;
     switch (syncState) {
       case SYNC_STATE.SYNCING:
         return 'Syncing...';
@@ -127,6 +151,7 @@ function SyncButton({ onSyncComplete }) {
   };
 
   const getTooltipStyle = () => {
+    if (isOfflinePending) return styles.warning;
     if (syncState === SYNC_STATE.ERROR) return styles.error;
     if (syncState === SYNC_STATE.PULLED) return styles.success;
     if (syncState === SYNC_STATE.PUSHED) return styles.success;
@@ -134,26 +159,43 @@ function SyncButton({ onSyncComplete }) {
     return '';
   };
 
-  const showStatusTooltip = showTooltip && statusMessage && 
-    [SYNC_STATE.ERROR, SYNC_STATE.PULLED, SYNC_STATE.PUSHED, SYNC_STATE.UP_TO_DATE].includes(syncState);
+  const tooltipMessage = isOfflinePending ? pendingMessage : statusMessage;
+  const showStatusTooltip = showTooltip && tooltipMessage && (isOfflinePending ||
+    [SYNC_STATE.ERROR, SYNC_STATE.PULLED, SYNC_STATE.PUSHED, SYNC_STATE.UP_TO_DATE].includes(syncState));
 
   return (
     <div className={styles.container}>
       <button
-        className={`${styles.syncButton} ${styles[syncState]}`}
+        className={`${styles.syncButton} ${isOfflinePending ? styles.offline : styles[syncState]}`}
         onClick={handleClick}
         disabled={syncState === SYNC_STATE.SYNCING}
         onMouseEnter={() => setShowTooltip(true)}
         onMouseLeave={() => setShowTooltip(false)}
-        aria-label={statusMessage || 'Sync with Google Drive'}
+        aria-label={tooltipMessage || 'Sync with Google Drive'}
       >
         {getIcon()}
         <span className={styles.label}>{getLabel()}</span>
       </button>
+
+      {conflictCount > 0 && (
+        <button
+          className={styles.conflictButton}
+          onClick={() => navigate('/conflicts')}
+          title="Review sync conflicts"
+          aria-label={`Review ${conflictCount} sync conflicts`}
+        >
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z" />
+            <line x1="12" y1="9" x2="12" y2="13" />
+            <line x1="12" y1="17" x2="12.01" y2="17" />
+          </svg>
+          <span>{conflictCount}</span>
+        </button>
+      )}
       
       {showStatusTooltip && (
         <div className={`${styles.tooltip} ${getTooltipStyle()}`}>
-          {statusMessage}
+          {tooltipMessage}
         </div>
       )}
     </div>
@@ -0,0 +1,233 @@
+import { useState, useEffect } from 'react';
+import { getSyncLog, clearSyncLog, SYNC_LOG_DIRECTIONS } from '../../db/database';
+import styles from './SyncLogModal.module.css';
+
+const STATUS_FILTERS = {
+  ALL: 'all',
+  ERRORS: 'errors',
+  SUCCESS: 'success',
+};
+
+const DIRECTION_LABELS = {
+  [SYNC_LOG_DIRECTIONS.PULL]: 'Pulled',
+  [SYNC_LOG_DIRECTIONS.PUSH]: 'Pushed',
+  [SYNC_LOG_DIRECTIONS.BOTH]: 'Pulled & pushed',
+  [SYNC_LOG_DIRECTIONS.NONE]: 'No changes',
+};
+
+const formatDateTime = (isoString) => {
+  if (!isoString) return '—';
+  return new Date(isoString).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'medium',
+  });
+};
+
+const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatCounts = (counts) => {
+  if (!counts) return '—';
+  return `${counts.taskCount} tasks, ${counts.habitCount} habits`;
+};
+
+// Entries written before the sharded format have no shard counts
+const formatShards = (count, total) => {
+  if (count === null || count === undefined) return '';
+  return total ? ` (${count} of ${total} parts)` : ` (${count} parts)`;
+};
+
+// The error and its causes, outermost first
+const getErrorChain = (error) => {
+  const chain = [];
+  for (let current = error; current; current = current.cause) {
+    chain.push(current);
+  }
+  return chain;
+};
+
+function SyncLogModal({ onClose, showToast }) {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [statusFilter, setStatusFilter] = useState(STATUS_FILTERS.ALL);
+  const [directionFilter, setDirectionFilter] = useState('all');
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    getSyncLog()
+      .then(setEntries)
+      .catch((error) => {
+        console.error('Failed to load sync log:', error);
+        setLoadError(`Failed to load the sync log: ${error.message}`);
+      })
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const filteredEntries = entries.filter((entry) => {
+    if (statusFilter === STATUS_FILTERS.ERRORS && entry.success) return false;
+    if (statusFilter === STATUS_FILTERS.SUCCESS && !entry.success) return false;
+    if (directionFilter !== 'all' && entry.direction !== directionFilter) return false;
+    return true;
+  });
+  const errorCount = entries.filter((entry) => !entry.success).length;
+
+  const handleExport = () => {
+    const blob = new Blob([JSON.stringify(filteredEntries, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `letsdoit-sync-log-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete all sync log entries?')) return;
+    try {
+      await clearSyncLog();
+      setEntries([]);
+      showToast?.('Sync log cleared');
+    } catch (error) {
+      console.error('Failed to clear sync log:', error);
+      showToast?.('Failed to clear sync log', 'error');
+    }
+  };
+
+  const renderDetails = (entry) => (
+    <div className={styles.details}>
+      <dl className={styles.detailList}>
+        <dt>Provider</dt>
+        <dd>{entry.provider || '—'}</dd>
+        <dt>Attempt</dt>
+        <dd>{entry.attempt}{entry.isFirstSync ? ' (first sync)' : ''}</dd>
+        <dt>Duration</dt>
+        <dd>{entry.durationMs} ms</dd>
+        <dt>Last sync before</dt>
+        <dd>{formatDateTime(entry.lastSyncAt)}</dd>
+        <dt>Local changed at</dt>
+        <dd>{formatDateTime(entry.localModifiedAt)}</dd>
+        <dt>Remote changed at</dt>
+        <dd>{formatDateTime(entry.remoteModifiedAt)}</dd>
+        <dt>Local records</dt>
+        <dd>{formatCounts(entry.localCounts)}</dd>
+        <dt>Remote records</dt>
+        <dd>{formatCounts(entry.remoteCounts)}{entry.encrypted ? ' (encrypted)' : ''}</dd>
+        {entry.tasksImported !== null && (
+          <>
+            <dt>Imported</dt>
+            <dd>{entry.tasksImported} tasks, {entry.habitsImported} habits</dd>
+          </>
+        )}
+        {entry.conflictCount > 0 && (
+          <>
+            <dt>Conflicts</dt>
+            <dd>{entry.conflictCount}</dd>
+          </>
+        )}
+        <dt>Downloaded</dt>
+        <dd>{formatBytes(entry.downloadedBytes)}{formatShards(entry.shardsDownloaded, entry.shardCount)}</dd>
+        <dt>Uploaded</dt>
+        <dd>{formatBytes(entry.uploadedBytes)}{formatShards(entry.shardsUploaded)}</dd>
+      </dl>
+      {getErrorChain(entry.error).map((error, index) => (
+        <div key={index} className={styles.errorDetails}>
+          <p className={styles.errorTitle}>
+            {index > 0 && 'Caused by: '}
+            {error.name}{error.code ? ` [${error.code}]` : ''}: {error.message}
+          </p>
+          {error.stack && <pre className={styles.stack}>{error.stack}</pre>}
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <div className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <button className={styles.closeBtn} onClick={onClose} title="Close">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M18 6L6 18M6 6l12 12" />
+          </svg>
+        </button>
+
+        <h3 className={styles.title}>Sync Log</h3>
+        <p className={styles.description}>
+          Every sync attempt on this device, newest first
+          {entries.length > 0 && ` (${entries.length} entries, ${errorCount} failed)`}.
+        </p>
+
+        <div className={styles.toolbar}>
+          <select
+            className={styles.filter}
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            aria-label="Filter by result"
+          >
+            <option value={STATUS_FILTERS.ALL}>All results</option>
+            <option value={STATUS_FILTERS.ERRORS}>Errors only</option>
+            <option value={STATUS_FILTERS.SUCCESS}>Successful only</option>
+          </select>
+          <select
+            className={styles.filter}
+            value={directionFilter}
+            onChange={(e) => setDirectionFilter(e.target.value)}
+            aria-label="Filter by direction"
+          >
+            <option value="all">All directions</option>
+            {Object.values(SYNC_LOG_DIRECTIONS).map((direction) => (
+              <option key={direction} value={direction}>{DIRECTION_LABELS[direction]}</option>
+            ))}
+          </select>
+          <button className={styles.secondaryBtn} onClick={handleExport} disabled={filteredEntries.length === 0}>
+            Export
+          </button>
+          <button className={styles.secondaryBtn} onClick={handleClear} disabled={entries.length === 0}>
+            Clear
+          </button>
+        </div>
+
+        <div className={styles.list}>
+          {isLoading ? (
+            <p className={styles.empty}>Loading...</p>
+          ) : loadError ? (
+            <p className={styles.empty}>{loadError}</p>
+          ) : filteredEntries.length === 0 ? (
+            <p className={styles.empty}>
+              {entries.length === 0 ? 'Nothing logged yet. Entries appear after the next sync.' : 'No entries match the filters.'}
+            </p>
+          ) : (
+            filteredEntries.map((entry) => (
+              <div key={entry.id} className={`${styles.entry} ${entry.success ? '' : styles.failed}`}>
+                <button
+                  className={styles.entryHeader}
+                  onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                  aria-expanded={expandedId === entry.id}
+                >
+                  <span className={styles.statusDot} />
+                  <span className={styles.entryInfo}>
+                    <span className={styles.entryDate}>{formatDateTime(entry.startedAt)}</span>
+                    <span className={styles.entryMeta}>
+                      {DIRECTION_LABELS[entry.direction]} · {entry.durationMs} ms
+                      {entry.attempt > 1 && ` · attempt ${entry.attempt}`}
+                    </span>
+                    {entry.error && <span className={styles.entryError}>{entry.error.message}</span>}
+                  </span>
+                </button>
+                {expandedId === entry.id && renderDetails(entry)}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SyncLogModal;
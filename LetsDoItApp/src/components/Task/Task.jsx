@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
 import { Draggable } from '@hello-pangea/dnd';
 import { updateTask, deleteTask, getAvailableTags } from '../../db/database';
-import { isPast, isToday, isTomorrow, parseDateString } from '../../utils/dateUtils';
+import { isPast, isToday, isTomorrow, parseDateString, describeRecurrence } from '../../utils/dateUtils';
+import { getTaskPriority, getPriorityLevel, DEFAULT_PRIORITY } from '../../utils/priorityUtils';
 import styles from './Task.module.css';
 
 // Parse date string to local date (avoids timezone issues with YYYY-MM-DD format)
@@ -82,18 +83,25 @@ function Task({ task, index, onUpdate, onSelect, isSelected, compact = false })
 
   const taskIsPast = task.dueDate && isPast(parseLocalDate(task.dueDate)) && !task.doneAt;
   const noteUrl = extractUrl(task.note);
+  // Previews of future occurrences of a recurring task are read-only and open the real task
+  const isOccurrencePreview = !!task.occurrenceOf;
+  const recurrenceLabel = describeRecurrence(task.recurrence);
+  const priority = getTaskPriority(task);
+  const priorityLevel = getPriorityLevel(priority);
+  const subtasks = task.subtasks || [];
+  const completedSubtasks = subtasks.filter((subtask) => subtask.doneAt).length;
 
   return (
-    <Draggable draggableId={task.id} index={index}>
+    <Draggable draggableId={task.id} index={index} isDragDisabled={isOccurrencePreview}>
       {(provided, snapshot) => (
         <div
           ref={provided.innerRef}
           {...provided.draggableProps}
           {...provided.dragHandleProps}
-          className={`${styles.task} ${task.doneAt ? styles.done : ''} ${isCompleting ? styles.completing : ''} ${isSelected ? styles.selected : ''} ${taskIsPast ? styles.past : ''} ${compact ? styles.compact : ''} ${snapshot.isDragging ? styles.dragging : ''}`}
+          className={`${styles.task} ${task.doneAt ? styles.done : ''} ${isCompleting ? styles.completing : ''} ${isSelected ? styles.selected : ''} ${taskIsPast ? styles.past : ''} ${compact ? styles.compact : ''} ${snapshot.isDragging ? styles.dragging : ''} ${isOccurrencePreview ? styles.preview : ''}`}
           onMouseEnter={() => setIsHovered(true)}
           onMouseLeave={() => setIsHovered(false)}
-          onClick={() => onSelect?.(task)}
+          onClick={() => onSelect?.(isOccurrencePreview ? task.sourceTask : task)}
         >
           <div className={styles.left}>
             <input
@@ -102,9 +110,31 @@ function Task({ task, index, onUpdate, onSelect, isSelected, compact = false })
               checked={!!task.doneAt || isCompleting}
               onChange={handleToggleDone}
               onClick={(e) => e.stopPropagation()}
-              disabled={isCompleting}
+              disabled={isCompleting || isOccurrencePreview}
             />
+            {priority !== DEFAULT_PRIORITY && (
+              <span
+                className={styles.priority}
+                style={{ color: priorityLevel.color, borderColor: priorityLevel.color }}
+                title={`Priority: ${priorityLevel.name}`}
+              >
+                {priorityLevel.label}
+              </span>
+            )}
             <span className={styles.content}>{task.content}</span>
+            {recurrenceLabel && (
+              <span className={styles.recurrence} title={recurrenceLabel}>
+                🔁
+              </span>
+            )}
+            {subtasks.length > 0 && (
+              <span
+                className={`${styles.subtaskProgress} ${completedSubtasks === subtasks.length ? styles.subtasksComplete : ''}`}
+                title={`${completedSubtasks} of ${subtasks.length} checklist items done`}
+              >
+                ☑ {completedSubtasks}/{subtasks.length}
+              </span>
+            )}
             {task.tags && task.tags.length > 0 && (
               <div className={styles.tags}>
                 {task.tags.map((tagId) => {
@@ -151,11 +181,11 @@ function Task({ task, index, onUpdate, onSelect, isSelected, compact = false })
                 </svg>
               </a>
             )}
-            {isHovered && (
+            {isHovered && !isOccurrencePreview && (
               <button
                 className={styles.deleteBtn}
                 onClick={handleDelete}
-                title="Delete task"
+                title="Move to trash"
               >
                 ×
               </button>
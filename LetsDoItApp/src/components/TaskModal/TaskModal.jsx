@@ -1,6 +1,10 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
-import { updateTask, deleteTask } from '../../db/database';
-import { formatDateForInput, extractDateString, getTodayDateString } from '../../utils/dateUtils';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
+import { getTask, updateTask, deleteTask } from '../../db/database';
+import { useSync, useUndo } from '../../context';
+import { stableStringify } from '../../utils/syncMerge';
+import { formatDateForInput, extractDateString, getTodayDateString, parseDateString, RECURRENCE_FREQUENCIES } from '../../utils/dateUtils';
+import { PRIORITY_LEVELS, getTaskPriority } from '../../utils/priorityUtils';
 import TagSelector from '../TagSelector';
 import styles from './TaskModal.module.css';
 
@@ -31,51 +35,115 @@ const renderTextWithLinks = (text) => {
   });
 };
 
-function TaskModal({ task, onClose, onUpdate }) {
+// Options for the repeat rule select
+const REPEAT_OPTIONS = [
+  { value: '', label: 'Does not repeat' },
+  { value: RECURRENCE_FREQUENCIES.DAILY, label: 'Every day' },
+  { value: RECURRENCE_FREQUENCIES.WEEKDAYS, label: 'Every weekday (Mon–Fri)' },
+  { value: RECURRENCE_FREQUENCIES.DAYS, label: 'Every N days' },
+  { value: RECURRENCE_FREQUENCIES.WEEKS, label: 'Every N weeks' },
+  { value: RECURRENCE_FREQUENCIES.MONTHLY, label: 'Monthly on day…' },
+  { value: RECURRENCE_FREQUENCIES.YEARLY, label: 'Every year' },
+];
+
+// Build the stored recurrence rule from the editor fields
+const buildRecurrence = (frequency, interval, dayOfMonth) => {
+  switch (frequency) {
+    case RECURRENCE_FREQUENCIES.DAYS:
+    case RECURRENCE_FREQUENCIES.WEEKS:
+      return { frequency, interval: Math.max(1, parseInt(interval, 10) || 1) };
+    case RECURRENCE_FREQUENCIES.MONTHLY:
+      return { frequency, dayOfMonth: Math.min(31, Math.max(1, parseInt(dayOfMonth, 10) || 1)) };
+    case '':
+      return null;
+    default:
+      return { frequency };
+  }
+};
+
+function TaskEditor({ task, onClose, onUpdate, onSaved, flushRef }) {
   const [content, setContent] = useState(task.content);
   const [note, setNote] = useState(task.note || '');
   const [dueDate, setDueDate] = useState(formatDateForInput(task.dueDate));
   const [isSomeday, setIsSomeday] = useState(!task.dueDate);
   const [tags, setTags] = useState(task.tags || []);
-  const [saveTimeout, setSaveTimeout] = useState(null);
+  const [priority, setPriority] = useState(getTaskPriority(task));
+  const [subtasks, setSubtasks] = useState(task.subtasks || []);
+  const [newSubtask, setNewSubtask] = useState('');
+  const [repeatFrequency, setRepeatFrequency] = useState(task.recurrence?.frequency || '');
+  const [repeatInterval, setRepeatInterval] = useState(task.recurrence?.interval || 1);
+  const [repeatDayOfMonth, setRepeatDayOfMonth] = useState(
+    task.recurrence?.dayOfMonth || (task.dueDate ? parseDateString(task.dueDate).getDate() : 1)
+  );
   const [isEditingNote, setIsEditingNote] = useState(false);
   const textareaRef = useRef(null);
 
+  // The fields autosave writes
+  const updates = useMemo(() => ({
+    content,
+    note: note || null,
+    // Store dueDate directly as YYYY-MM-DD string (timezone-agnostic)
+    dueDate: isSomeday ? null : dueDate,
+    tags,
+    priority,
+    subtasks,
+    // A repeat rule needs a due date to anchor its occurrences
+    recurrence: isSomeday ? null : buildRecurrence(repeatFrequency, repeatInterval, repeatDayOfMonth),
+  }), [content, note, dueDate, isSomeday, tags, priority, subtasks, repeatFrequency, repeatInterval, repeatDayOfMonth]);
+  // The fields as last saved (initially as opened), so only actual edits are saved
+  const savedUpdatesRef = useRef(updates);
+  const hasUnsavedChanges = () => stableStringify(updates) !== stableStringify(savedUpdatesRef.current);
+
+  // Write only the fields edited since the last save, so fields changed elsewhere (e.g. by a pull) are kept
+  const writeChanges = useCallback(async () => {
+    const saved = savedUpdatesRef.current;
+    const changes = Object.fromEntries(
+      Object.entries(updates).filter(([key, value]) => stableStringify(value) !== stableStringify(saved[key]))
+    );
+    if (Object.keys(changes).length === 0) return null;
+    const savedTask = await updateTask(task.id, changes);
+    savedUpdatesRef.current = updates;
+    return savedTask;
+  }, [task.id, updates]);
+
   // Auto-save functionality
   const saveChanges = useCallback(async () => {
     try {
-      // Store dueDate directly as YYYY-MM-DD string (timezone-agnostic)
-      await updateTask(task.id, {
-        content,
-        note: note || null,
-        dueDate: isSomeday ? null : dueDate,
-        tags,
-      });
+      const savedTask = await writeChanges();
+      if (!savedTask) return;
+      onSaved(savedTask);
       onUpdate();
     } catch (error) {
       console.error('Failed to save task:', error);
     }
-  }, [task.id, content, note, dueDate, isSomeday, tags, onUpdate]);
+  }, [writeChanges, onSaved, onUpdate]);
 
   // Debounced auto-save
   useEffect(() => {
-    if (saveTimeout) clearTimeout(saveTimeout);
-    
-    const timeout = setTimeout(() => {
-      saveChanges();
-    }, 800);
-    
-    setSaveTimeout(timeout);
-    
-    return () => {
-      if (saveTimeout) clearTimeout(saveTimeout);
+    if (stableStringify(updates) === stableStringify(savedUpdatesRef.current)) return;
+    const timeout = setTimeout(saveChanges, 800);
+    return () => clearTimeout(timeout);
+  }, [updates, saveChanges]);
+
+  // Lets TaskModal save edits still waiting for the autosave before it reloads the task
+  useEffect(() => {
+    flushRef.current = async () => {
+      if (await writeChanges()) onUpdate();
     };
-  }, [content, note, dueDate, isSomeday, tags]);
+  });
+
+  // Save edits still waiting for the autosave before closing
+  const handleClose = async () => {
+    if (hasUnsavedChanges()) {
+      await saveChanges();
+    }
+    onClose();
+  };
 
   const handleToggleDone = async () => {
     // Store doneAt as ISO string (includes timezone info for reference)
     const doneAt = task.doneAt ? null : new Date().toISOString();
-    await updateTask(task.id, { doneAt });
+    onSaved(await updateTask(task.id, { doneAt }));
     onUpdate();
   };
 
@@ -87,7 +155,7 @@ function TaskModal({ task, onClose, onUpdate }) {
 
   const handleOverlayClick = (e) => {
     if (e.target === e.currentTarget) {
-      onClose();
+      handleClose();
     }
   };
 
@@ -99,6 +167,43 @@ function TaskModal({ task, onClose, onUpdate }) {
     }
   };
 
+  // Checklist handlers
+  const handleAddSubtask = (e) => {
+    e.preventDefault();
+    const trimmed = newSubtask.trim();
+    if (!trimmed) return;
+    setSubtasks([...subtasks, { id: crypto.randomUUID(), content: trimmed, doneAt: null }]);
+    setNewSubtask('');
+  };
+
+  const handleToggleSubtask = (subtaskId) => {
+    setSubtasks(subtasks.map((subtask) =>
+      subtask.id === subtaskId
+        ? { ...subtask, doneAt: subtask.doneAt ? null : new Date().toISOString() }
+        : subtask
+    ));
+  };
+
+  const handleRenameSubtask = (subtaskId, value) => {
+    setSubtasks(subtasks.map((subtask) =>
+      subtask.id === subtaskId ? { ...subtask, content: value } : subtask
+    ));
+  };
+
+  const handleRemoveSubtask = (subtaskId) => {
+    setSubtasks(subtasks.filter((subtask) => subtask.id !== subtaskId));
+  };
+
+  const handleSubtaskDragEnd = (result) => {
+    if (!result.destination || result.destination.index === result.source.index) return;
+    const reordered = [...subtasks];
+    const [moved] = reordered.splice(result.source.index, 1);
+    reordered.splice(result.destination.index, 0, moved);
+    setSubtasks(reordered);
+  };
+
+  const completedSubtasks = subtasks.filter((subtask) => subtask.doneAt).length;
+
   const handleNoteClick = () => {
     setIsEditingNote(true);
     setTimeout(() => textareaRef.current?.focus(), 0);
@@ -123,7 +228,7 @@ function TaskModal({ task, onClose, onUpdate }) {
     <div className={styles.overlay} onClick={handleOverlayClick}>
       <div className={styles.modal}>
         <header className={styles.header}>
-          <button className={styles.backBtn} onClick={onClose}>
+          <button className={styles.backBtn} onClick={handleClose}>
             ← Back
           </button>
           <h2 className={styles.title}>Task Details</h2>
@@ -163,6 +268,24 @@ function TaskModal({ task, onClose, onUpdate }) {
             </div>
           </div>
 
+          <div className={styles.field}>
+            <label className={styles.label}>Priority</label>
+            <div className={styles.priorityRow}>
+              {PRIORITY_LEVELS.map((level) => (
+                <button
+                  key={level.value}
+                  type="button"
+                  className={`${styles.priorityBtn} ${priority === level.value ? styles.prioritySelected : ''}`}
+                  style={{ '--priority-color': level.color }}
+                  onClick={() => setPriority(level.value)}
+                  title={level.name}
+                >
+                  {level.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
           <div className={styles.field}>
             <label className={styles.label}>Due Date</label>
             <div className={styles.dueDateRow}>
@@ -185,6 +308,126 @@ function TaskModal({ task, onClose, onUpdate }) {
             </div>
           </div>
 
+          <div className={styles.field}>
+            <div className={styles.labelRow}>
+              <label className={styles.label}>Checklist</label>
+              {subtasks.length > 0 && (
+                <span className={styles.subtaskCount}>
+                  {completedSubtasks}/{subtasks.length}
+                </span>
+              )}
+            </div>
+            <DragDropContext onDragEnd={handleSubtaskDragEnd}>
+              <Droppable droppableId="subtasks">
+                {(provided) => (
+                  <ul
+                    ref={provided.innerRef}
+                    {...provided.droppableProps}
+                    className={styles.subtaskList}
+                  >
+                    {subtasks.map((subtask, index) => (
+                      <Draggable key={subtask.id} draggableId={subtask.id} index={index}>
+                        {(dragProvided, snapshot) => (
+                          <li
+                            ref={dragProvided.innerRef}
+                            {...dragProvided.draggableProps}
+                            className={`${styles.subtask} ${subtask.doneAt ? styles.subtaskDone : ''} ${snapshot.isDragging ? styles.subtaskDragging : ''}`}
+                          >
+                            <span
+                              {...dragProvided.dragHandleProps}
+                              className={styles.dragHandle}
+                              title="Drag to reorder"
+                            >
+                              ⋮⋮
+                            </span>
+                            <input
+                              type="checkbox"
+                              checked={!!subtask.doneAt}
+                              onChange={() => handleToggleSubtask(subtask.id)}
+                            />
+                            <input
+                              type="text"
+                              className={styles.subtaskInput}
+                              value={subtask.content}
+                              onChange={(e) => handleRenameSubtask(subtask.id, e.target.value)}
+                            />
+                            <button
+                              type="button"
+                              className={styles.subtaskRemoveBtn}
+                              onClick={() => handleRemoveSubtask(subtask.id)}
+                              title="Remove item"
+                            >
+                              ×
+                            </button>
+                          </li>
+                        )}
+                      </Draggable>
+                    ))}
+                    {provided.placeholder}
+                  </ul>
+                )}
+              </Droppable>
+            </DragDropContext>
+            <form className={styles.subtaskForm} onSubmit={handleAddSubtask}>
+              <input
+                type="text"
+                className={styles.input}
+                value={newSubtask}
+                onChange={(e) => setNewSubtask(e.target.value)}
+                placeholder="Add an item..."
+              />
+            </form>
+          </div>
+
+          <div className={styles.field}>
+            <label className={styles.label}>Repeat</label>
+            {isSomeday ? (
+              <span className={styles.repeatHint}>Set a due date to make this task repeat</span>
+            ) : (
+              <div className={styles.repeatRow}>
+                <select
+                  className={styles.select}
+                  value={repeatFrequency}
+                  onChange={(e) => setRepeatFrequency(e.target.value)}
+                >
+                  {REPEAT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                {(repeatFrequency === RECURRENCE_FREQUENCIES.DAYS ||
+                  repeatFrequency === RECURRENCE_FREQUENCIES.WEEKS) && (
+                  <label className={styles.repeatNumber}>
+                    <span>every</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max="365"
+                      className={styles.numberInput}
+                      value={repeatInterval}
+                      onChange={(e) => setRepeatInterval(e.target.value)}
+                    />
+                    <span>{repeatFrequency === RECURRENCE_FREQUENCIES.DAYS ? 'days' : 'weeks'}</span>
+                  </label>
+                )}
+                {repeatFrequency === RECURRENCE_FREQUENCIES.MONTHLY && (
+                  <label className={styles.repeatNumber}>
+                    <span>day</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max="31"
+                      className={styles.numberInput}
+                      value={repeatDayOfMonth}
+                      onChange={(e) => setRepeatDayOfMonth(e.target.value)}
+                    />
+                  </label>
+                )}
+              </div>
+            )}
+          </div>
+
           <div className={styles.field}>
             <label className={styles.label}>Tags</label>
             <TagSelector
@@ -230,4 +473,57 @@ function TaskModal({ task, onClose, onUpdate }) {
   );
 }
 
+// Reloads the editor when an undo/redo or a sync pull (including the periodic pulls while the
+// app is open) changes the task, so the editor never shows (and autosaves) a version of the task
+// that was replaced. Before a pull reload, edits still waiting for the autosave are saved on top.
+function TaskModal({ task, onClose, onUpdate }) {
+  const [current, setCurrent] = useState({ task, version: 0 });
+  const { historyRevision } = useUndo();
+  const { lastSyncResult } = useSync();
+  const flushRef = useRef(null);
+  const handledPullRef = useRef(null);
+
+  const handleSaved = useCallback((savedTask) => {
+    setCurrent((prev) => ({ ...prev, task: savedTask }));
+  }, []);
+
+  // Set by each pull, so a pull reloads the task even when nothing was undone
+  const pullResult = lastSyncResult?.action === 'pulled' ? lastSyncResult : null;
+
+  useEffect(() => {
+    if (historyRevision === 0 && !pullResult) return;
+    // An undo must not be overwritten by the edits it undid, so only a pull saves pending edits
+    const isNewPull = pullResult !== handledPullRef.current;
+    handledPullRef.current = pullResult;
+    let cancelled = false;
+    const flush = isNewPull && flushRef.current ? flushRef.current() : Promise.resolve();
+    flush.catch((error) => {
+      console.error('Failed to save task:', error);
+    }).then(() => getTask(task.id)).then((latest) => {
+      if (cancelled) return;
+      if (!latest || latest.deletedAt) {
+        onClose();
+        return;
+      }
+      setCurrent((prev) =>
+        stableStringify(latest) === stableStringify(prev.task) ? prev : { task: latest, version: prev.version + 1 }
+      );
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [historyRevision, pullResult, task.id, onClose]);
+
+  return (
+    <TaskEditor
+      key={current.version}
+      task={current.task}
+      onClose={onClose}
+      onUpdate={onUpdate}
+      onSaved={handleSaved}
+      flushRef={flushRef}
+    />
+  );
+}
+
 export default TaskModal;
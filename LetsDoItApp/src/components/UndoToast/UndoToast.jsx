@@ -0,0 +1,19 @@
+import styles from './UndoToast.module.css';
+
+function UndoToast({ message, actionLabel, onAction, onClose }) {
+  return (
+    <div className={styles.toast} role="status">
+      <span className={styles.message}>{message}</span>
+      {onAction && (
+        <button className={styles.actionButton} onClick={onAction}>
+          {actionLabel}
+        </button>
+      )}
+      <button className={styles.closeButton} onClick={onClose} aria-label="Dismiss">
+        ×
+      </button>
+    </div>
+  );
+}
+
+export default UndoToast;
@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+import { registerServiceWorker, applyServiceWorkerUpdate } from '../../utils/serviceWorkerUtils';
+import styles from './UpdatePrompt.module.css';
+
+// Offers to reload into a new version of the app once its service worker is installed
+function UpdatePrompt() {
+  const [registration, setRegistration] = useState(null);
+  const [isUpdating, setIsUpdating] = useState(false);
+
+  useEffect(() => registerServiceWorker(setRegistration), []);
+
+  if (!registration) {
+    return null;
+  }
+
+  const handleUpdate = () => {
+    setIsUpdating(true);
+    applyServiceWorkerUpdate(registration);
+  };
+
+  return (
+    <div className={styles.prompt} role="status">
+      <span className={styles.message}>A new version of letsdoit is available</span>
+      <button className={styles.actionButton} onClick={handleUpdate} disabled={isUpdating}>
+        {isUpdating ? 'Updating...' : 'Reload'}
+      </button>
+      <button className={styles.closeButton} onClick={() => setRegistration(null)} aria-label="Later">
+        ×
+      </button>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
@@ -2,7 +2,7 @@ import { useState, useEffect, useCallback, useMemo } from 'react';
 import { DragDropContext } from '@hello-pangea/dnd';
 import { addDays, format, isSameDay } from 'date-fns';
 import { Draggable, Droppable } from '@hello-pangea/dnd';
-import { getAllTasks, updateTask, getAvailableTags, completeTag, updateTag, getAllHabits } from '../../db/database';
+import { getAllTasks, reorderTasks, getAvailableTags, completeTag, updateTag, getAllHabits } from '../../db/database';
 import {
   getWeekStart,
   getWeekDayDate,
@@ -16,6 +16,7 @@ import {
   extractDateString,
   parseDateString,
 } from '../../utils/dateUtils';
+import { useSync } from '../../context';
 import TaskList from '../TaskList';
 import AddTask from '../AddTask';
 import styles from './WeeklyTaskList.module.css';
@@ -33,6 +34,7 @@ function WeeklyTaskList({ onSelectTask, selectedTask }) {
   const [weekHabits, setWeekHabits] = useState({});
   const [isKeyboardOpen, setIsKeyboardOpen] = useState(false);
   const [viewportHeight, setViewportHeight] = useState(null);
+  const { lastSyncResult } = useSync();
 
   const weekStart = getWeekStart(currentDate);
 
@@ -131,6 +133,15 @@ function WeeklyTaskList({ onSelectTask, selectedTask }) {
     return () => window.removeEventListener('focus', handleFocus);
   }, [loadTasks, loadTagDeadlines, loadWeekHabits]);
 
+  // Refresh data in place when sync pulls new data (both manual and automatic)
+  useEffect(() => {
+    if (lastSyncResult?.action === 'pulled') {
+      loadTasks();
+      loadTagDeadlines();
+      loadWeekHabits();
+    }
+  }, [lastSyncResult, loadTasks, loadTagDeadlines, loadWeekHabits]);
+
   useEffect(() => {
     const mediaQuery = window.matchMedia('(max-width: 768px)');
     const handleChange = () => setIsMobile(mediaQuery.matches);
@@ -309,13 +320,19 @@ function WeeklyTaskList({ onSelectTask, selectedTask }) {
       ? newWeekTasks[destIndex] 
       : [...weekTasks[destIndex]];
     destTasks.splice(destination.index, 0, updatedTask);
-    newWeekTasks[destIndex] = destTasks;
+
+    // Persist the new order of the destination day (previews of recurring tasks aren't stored)
+    const orderedIds = destTasks.filter(t => !t.occurrenceOf).map(t => t.id);
+    // Re-sort with the new order applied so higher priorities stay on top
+    newWeekTasks[destIndex] = sortTasks(destTasks.map(t =>
+      t.occurrenceOf ? t : { ...t, sortOrder: orderedIds.indexOf(t.id) }
+    ));
 
     setWeekTasks(newWeekTasks);
 
     // Update in database
     try {
-      await updateTask(draggableId, { dueDate: newDueDate });
+      await reorderTasks(orderedIds, { [draggableId]: { dueDate: newDueDate } });
     } catch (error) {
       console.error('Failed to update task:', error);
       loadTasks();
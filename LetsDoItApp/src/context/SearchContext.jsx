@@ -0,0 +1,63 @@
+import { createContext, useContext, useState, useCallback, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ensureSearchIndex } from '../db/database';
+import { SEARCH_RESULT_TYPES } from '../utils/searchUtils';
+import SearchModal from '../components/SearchModal';
+
+const SearchContext = createContext();
+
+export function SearchProvider({ children }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const navigate = useNavigate();
+
+  // Build the index for data created before search existed
+  useEffect(() => {
+    ensureSearchIndex().catch((error) => {
+      console.error('Failed to build search index:', error);
+    });
+  }, []);
+
+  const openSearch = useCallback(() => setIsOpen(true), []);
+  const closeSearch = useCallback(() => setIsOpen(false), []);
+
+  // Global shortcut: Ctrl+K / Cmd+K toggles search
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setIsOpen((prev) => !prev);
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Open the selected record on the page that owns it
+  const handleSelectResult = useCallback((result) => {
+    setIsOpen(false);
+    if (result.type === SEARCH_RESULT_TYPES.TASK) {
+      navigate('/', { state: { openTaskId: result.id } });
+    } else if (result.type === SEARCH_RESULT_TYPES.HABIT) {
+      navigate('/happiness', { state: { openHabitDate: result.record.date } });
+    }
+  }, [navigate]);
+
+  return (
+    <SearchContext.Provider value={{ isOpen, openSearch, closeSearch }}>
+      {children}
+      {isOpen && (
+        <SearchModal onClose={closeSearch} onSelectResult={handleSelectResult} />
+      )}
+    </SearchContext.Provider>
+  );
+}
+
+export function useSearch() {
+  const context = useContext(SearchContext);
+  if (!context) {
+    throw new Error('useSearch must be used within a SearchProvider');
+  }
+  return context;
+}
+
+export default SearchContext;
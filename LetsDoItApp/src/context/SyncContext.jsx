@@ -1,9 +1,12 @@
 import { createContext, useContext, useState, useCallback, useEffect, useRef } from 'react';
 import { 
-  getGoogleDriveSyncSettings, 
-  syncFromGoogleDrive,
+  getSyncSettings, 
+  syncWithRemote,
+  getSyncConflicts,
+  getPendingSync,
   SYNC_RESULT,
 } from '../db/database';
+import { isSyncConfigured, getSyncProvider, SYNC_ERRORS } from '../sync';
 
 // Sync states
 export const SYNC_STATE = {
@@ -18,15 +21,30 @@ export const SYNC_STATE = {
 
 const SyncContext = createContext();
 
+// Status message suffix for conflicts merged during a sync
+const formatConflicts = (conflicts = []) =>
+  conflicts.length > 0 ? ` (${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'} to review)` : '';
+
 // Debounce time for auto-sync after data modifications (ms)
 const AUTO_SYNC_DEBOUNCE = 2000;
 
+// Retries of failed auto-syncs while changes are pending: the delay doubles per attempt
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
 export function SyncProvider({ children }) {
   const [syncState, setSyncState] = useState(SYNC_STATE.DISABLED);
   const [isEnabled, setIsEnabled] = useState(false);
   const [autoSyncEnabled, setAutoSyncEnabled] = useState(false);
+  const [providerId, setProviderId] = useState(null);
+  const [pullIntervalMinutes, setPullIntervalMinutes] = useState(0);
   const [statusMessage, setStatusMessage] = useState('');
   const [lastSyncResult, setLastSyncResult] = useState(null);
+  // Number of automatically resolved conflicts waiting for review
+  const [conflictCount, setConflictCount] = useState(0);
+  // Local changes not synced yet (persisted, see getPendingSync)
+  const [pendingChanges, setPendingChanges] = useState(0);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
   
   // Debounce timer ref
   const autoSyncTimerRef = useRef(null);
@@ -34,13 +52,19 @@ export function SyncProvider({ children }) {
   const isSyncingRef = useRef(false);
   // Queue auto-sync if one is in progress
   const pendingAutoSyncRef = useRef(false);
+  // Counts syncs started here, so change polling can tell our own writes apart
+  const syncCountRef = useRef(0);
+  // Failed retries since the last success, for the backoff delay
+  const retryAttemptRef = useRef(0);
 
   // Check sync settings and update state
   const refreshSyncSettings = useCallback(async () => {
-    const settings = await getGoogleDriveSyncSettings();
-    const enabled = settings.enabled && !!settings.shareLink;
+    const settings = await getSyncSettings();
+    const enabled = isSyncConfigured(settings);
     setIsEnabled(enabled);
     setAutoSyncEnabled(settings.autoSync || false);
+    setProviderId(settings.provider);
+    setPullIntervalMinutes(settings.pullIntervalMinutes || 0);
     if (!enabled) {
       setSyncState(SYNC_STATE.DISABLED);
     } else if (syncState === SYNC_STATE.DISABLED) {
@@ -49,9 +73,25 @@ export function SyncProvider({ children }) {
     return settings;
   }, [syncState]);
 
+  // Re-read the conflicts waiting for review
+  const refreshConflicts = useCallback(async () => {
+    const conflicts = await getSyncConflicts();
+    setConflictCount(conflicts.length);
+    return conflicts;
+  }, []);
+
+  // Re-read the number of local changes waiting for a sync
+  const refreshPendingChanges = useCallback(async () => {
+    const { count } = await getPendingSync();
+    setPendingChanges(count);
+    return count;
+  }, []);
+
   // Load sync settings on mount
   useEffect(() => {
     refreshSyncSettings();
+    refreshConflicts();
+    refreshPendingChanges();
   }, []);
 
   // The core sync function
@@ -62,8 +102,7 @@ export function SyncProvider({ children }) {
     
     // If not enabled by state, double-check the database settings (handles race condition on initial load)
     if (!shouldSync && !forceSync) {
-      const settings = await getGoogleDriveSyncSettings();
-      shouldSync = settings.enabled && !!settings.shareLink;
+      shouldSync = isSyncConfigured(await getSyncSettings());
     }
     
     if (isSyncingRef.current) {
@@ -77,21 +116,24 @@ export function SyncProvider({ children }) {
     }
     
     isSyncingRef.current = true;
+    syncCountRef.current += 1;
     setSyncState(SYNC_STATE.SYNCING);
     setStatusMessage('');
     
     try {
-      const result = await syncFromGoogleDrive();
+      const result = await syncWithRemote();
       
       // Set state based on sync result
       switch (result.action) {
         case SYNC_RESULT.PULLED:
           setSyncState(SYNC_STATE.PULLED);
-          setStatusMessage(`Pulled ${result.tasksImported} tasks, ${result.habitsImported} habits`);
+          setStatusMessage(
+            `Pulled ${result.tasksImported} tasks, ${result.habitsImported} habits${formatConflicts(result.conflicts)}`
+          );
           break;
         case SYNC_RESULT.PUSHED:
           setSyncState(SYNC_STATE.PUSHED);
-          setStatusMessage('Data pushed to cloud');
+          setStatusMessage(`Data pushed to cloud${formatConflicts(result.conflicts)}`);
           break;
         case SYNC_RESULT.UP_TO_DATE:
           setSyncState(SYNC_STATE.UP_TO_DATE);
@@ -102,6 +144,7 @@ export function SyncProvider({ children }) {
       }
       
       setLastSyncResult(result);
+      refreshConflicts();
       
       // Reset to idle after status display
       setTimeout(() => {
@@ -125,6 +168,7 @@ export function SyncProvider({ children }) {
       return { action: SYNC_RESULT.ERROR, error: error.message };
     } finally {
       isSyncingRef.current = false;
+      refreshPendingChanges();
       
       // Check if there's a pending auto-sync
       if (pendingAutoSyncRef.current) {
@@ -133,7 +177,7 @@ export function SyncProvider({ children }) {
         setTimeout(() => performSync(), 500);
       }
     }
-  }, [isEnabled]);
+  }, [isEnabled, refreshConflicts, refreshPendingChanges]);
 
   // Manual sync trigger (for button clicks)
   const triggerSync = useCallback(async () => {
@@ -143,6 +187,9 @@ export function SyncProvider({ children }) {
   // Auto-sync trigger (called after data modifications)
   // This is debounced to avoid multiple syncs in quick succession
   const triggerAutoSync = useCallback(() => {
+    // Called after every local change, which is now pending
+    refreshPendingChanges();
+    
     // Only auto-sync if enabled
     if (!autoSyncEnabled || !isEnabled) {
       return;
@@ -158,7 +205,46 @@ export function SyncProvider({ children }) {
       console.log('Auto-syncing after data modification...');
       performSync();
     }, AUTO_SYNC_DEBOUNCE);
-  }, [autoSyncEnabled, isEnabled, performSync]);
+  }, [autoSyncEnabled, isEnabled, performSync, refreshPendingChanges]);
+
+  // Retry failed auto-syncs with exponential backoff while changes are pending.
+  // Offline, retries wait for the browser's online event instead.
+  useEffect(() => {
+    if (lastSyncResult?.action !== SYNC_RESULT.ERROR) {
+      retryAttemptRef.current = 0;
+      return undefined;
+    }
+    if (!isEnabled || !autoSyncEnabled || !isOnline || pendingChanges === 0) return undefined;
+
+    const delay = Math.min(RETRY_BASE_DELAY * 2 ** retryAttemptRef.current, RETRY_MAX_DELAY);
+    console.log(`Sync failed with ${pendingChanges} changes pending, retrying in ${delay / 1000}s...`);
+    const timerId = setTimeout(() => {
+      retryAttemptRef.current += 1;
+      performSync();
+    }, delay);
+    return () => clearTimeout(timerId);
+  }, [lastSyncResult, isEnabled, autoSyncEnabled, isOnline, pendingChanges, performSync]);
+
+  // Coming back online re-arms the retries and syncs pending changes right away
+  useEffect(() => {
+    const handleOnline = async () => {
+      setIsOnline(true);
+      retryAttemptRef.current = 0;
+      const settings = await getSyncSettings();
+      if (isSyncConfigured(settings) && settings.autoSync && (await refreshPendingChanges()) > 0) {
+        console.log('Back online, syncing pending changes...');
+        performSync(true);
+      }
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [performSync, refreshPendingChanges]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -172,8 +258,8 @@ export function SyncProvider({ children }) {
   // Initial auto-sync on app load/refresh if enabled
   useEffect(() => {
     const performInitialSync = async () => {
-      const settings = await getGoogleDriveSyncSettings();
-      if (settings.enabled && settings.autoSync && settings.shareLink) {
+      const settings = await getSyncSettings();
+      if (isSyncConfigured(settings) && settings.autoSync) {
         console.log('Auto-syncing on app load/refresh...');
         // Use forceSync=true to bypass state check (state might not be set yet)
         performSync(true);
@@ -187,9 +273,11 @@ export function SyncProvider({ children }) {
   useEffect(() => {
     const handleVisibilityChange = async () => {
       if (document.visibilityState === 'visible') {
+        // Re-arm the retries; this sync starts over with the shortest delay
+        retryAttemptRef.current = 0;
         // Check if auto-sync is enabled
-        const settings = await getGoogleDriveSyncSettings();
-        if (settings.enabled && settings.autoSync && settings.shareLink) {
+        const settings = await getSyncSettings();
+        if (isSyncConfigured(settings) && settings.autoSync) {
           console.log('Tab became active, auto-syncing...');
           // Use forceSync=true to bypass state check
           performSync(true);
@@ -204,6 +292,56 @@ export function SyncProvider({ children }) {
     };
   }, [performSync]);
 
+  // Pull periodically while the app is visible, so changes from other devices show up
+  // without a local edit (hidden tabs catch up when they become visible again)
+  useEffect(() => {
+    if (!isEnabled || !autoSyncEnabled || !pullIntervalMinutes) return undefined;
+
+    const intervalId = setInterval(() => {
+      if (document.visibilityState !== 'visible' || !navigator.onLine) return;
+      console.log('Periodic pull...');
+      performSync();
+    }, pullIntervalMinutes * 60 * 1000);
+    return () => clearInterval(intervalId);
+  }, [isEnabled, autoSyncEnabled, pullIntervalMinutes, performSync]);
+
+  // Sync when another device changes the remote copy, for providers that are cheap to poll
+  useEffect(() => {
+    const { changePollIntervalMs } = getSyncProvider(providerId);
+    if (!isEnabled || !autoSyncEnabled || !changePollIntervalMs) return undefined;
+
+    let lastRevision;
+    let lastSyncCount = syncCountRef.current;
+
+    const checkForChanges = async () => {
+      if (document.visibilityState !== 'visible' || isSyncingRef.current) return;
+      const settings = await getSyncSettings();
+      const provider = getSyncProvider(settings.provider);
+      try {
+        const metadata = await provider.getMetadata(settings);
+        const revision = metadata?.revision ?? null;
+        // Only a change since the last check that we didn't sync ourselves counts
+        const isRemoteChange = lastRevision !== undefined && revision !== lastRevision &&
+          lastSyncCount === syncCountRef.current;
+        lastRevision = revision;
+        lastSyncCount = syncCountRef.current;
+        if (isRemoteChange) {
+          console.log(`${provider.name} changed, syncing...`);
+          performSync();
+        }
+      } catch (error) {
+        // Waits for a manual sync to grant access again
+        if (error.code !== SYNC_ERRORS.PERMISSION_REQUIRED) {
+          console.warn('Failed to check for remote changes:', error);
+        }
+      }
+    };
+
+    checkForChanges();
+    const intervalId = setInterval(checkForChanges, changePollIntervalMs);
+    return () => clearInterval(intervalId);
+  }, [isEnabled, autoSyncEnabled, providerId, performSync]);
+
   const value = {
     // State
     syncState,
@@ -211,11 +349,15 @@ export function SyncProvider({ children }) {
     autoSyncEnabled,
     statusMessage,
     lastSyncResult,
+    conflictCount,
+    pendingChanges,
+    isOnline,
     
     // Actions
     triggerSync,
     triggerAutoSync,
     refreshSyncSettings,
+    refreshConflicts,
   };
 
   return (
@@ -0,0 +1,107 @@
+import { createContext, useContext, useState, useCallback, useEffect } from 'react';
+import { subscribeToHistory, getHistoryState, undo as undoChange, redo as redoChange } from '../db/database';
+import UndoToast from '../components/UndoToast';
+
+const UndoContext = createContext();
+
+// How long the undo toast stays visible (ms)
+const UNDO_TOAST_DURATION = 5000;
+
+// Let the browser handle Ctrl+Z inside text fields
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+export function UndoProvider({ children }) {
+  const [historyState, setHistoryState] = useState(getHistoryState);
+  const [toast, setToast] = useState(null);
+  // Bumped after every undo/redo so views can reload the tasks they show
+  const [historyRevision, setHistoryRevision] = useState(0);
+
+  useEffect(() => {
+    return subscribeToHistory(({ action, entry, removedIds, canUndo, canRedo }) => {
+      setHistoryState({ canUndo, canRedo });
+      if (action === 'clear') {
+        setToast(null);
+        return;
+      }
+      if (action === 'prune') {
+        setToast((prev) => (prev && removedIds.includes(prev.id) ? null : prev));
+        return;
+      }
+      if (action === 'undo') {
+        setToast({ id: entry.id, message: `Undone: ${entry.label}`, action: 'redo' });
+      } else {
+        setToast({ id: entry.id, message: entry.label, action: 'undo' });
+      }
+      if (action !== 'record') {
+        setHistoryRevision((prev) => prev + 1);
+      }
+    });
+  }, []);
+
+  // Hide the toast after a while; a new toast restarts the timer
+  useEffect(() => {
+    if (!toast) return;
+    const timeout = setTimeout(() => setToast(null), UNDO_TOAST_DURATION);
+    return () => clearTimeout(timeout);
+  }, [toast]);
+
+  const undo = useCallback(async () => {
+    try {
+      await undoChange();
+    } catch (error) {
+      console.error('Undo failed:', error);
+    }
+  }, []);
+
+  const redo = useCallback(async () => {
+    try {
+      await redoChange();
+    } catch (error) {
+      console.error('Redo failed:', error);
+    }
+  }, []);
+
+  // Global shortcuts: Ctrl+Z / Cmd+Z undoes, adding Shift (or Ctrl+Y) redoes
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isEditableTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  return (
+    <UndoContext.Provider value={{ ...historyState, undo, redo, historyRevision }}>
+      {children}
+      {toast && (
+        <UndoToast
+          key={toast.id}
+          message={toast.message}
+          actionLabel={toast.action === 'undo' ? 'Undo' : 'Redo'}
+          onAction={toast.action === 'undo' ? undo : redo}
+          onClose={() => setToast(null)}
+        />
+      )}
+    </UndoContext.Provider>
+  );
+}
+
+export function useUndo() {
+  const context = useContext(UndoContext);
+  if (!context) {
+    throw new Error('useUndo must be used within an UndoProvider');
+  }
+  return context;
+}
+
+export default UndoContext;
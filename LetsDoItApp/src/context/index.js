@@ -1,3 +1,4 @@
 export { ThemeProvider, useTheme } from './ThemeContext';
 export { SyncProvider, useSync, SYNC_STATE, setSyncTriggerCallback, triggerAutoSyncFromDB } from './SyncContext';
-
+export { SearchProvider, useSearch } from './SearchContext';
+export { UndoProvider, useUndo } from './UndoContext';
@@ -1,10 +1,59 @@
 import { openDB, deleteDB } from 'idb';
+import { getNextDueDateForTask, addDaysToDateString, extractDateString } from '../utils/dateUtils';
+import {
+  SEARCH_INDEX_VERSION,
+  SEARCH_RESULT_TYPES,
+  tokenize,
+  getTagToken,
+  buildTaskSearchEntry,
+  buildHabitSearchEntry,
+} from '../utils/searchUtils';
+import { mergeSyncData, buildConflictResolution, stableStringify } from '../utils/syncMerge';
+import {
+  isEncryptedPayload,
+  encryptSyncPayload,
+  decryptSyncPayload,
+  ENCRYPTION_ERRORS,
+  MIN_PASSPHRASE_LENGTH,
+} from '../utils/syncCrypto';
+import {
+  getSyncProvider,
+  isSyncConfigured,
+  hasVersionHistory,
+  DEFAULT_SYNC_PROVIDER,
+  SYNC_ERRORS,
+} from '../sync';
+import {
+  SHARDED_FORMAT,
+  SHARDED_VERSION,
+  isShardedPayload,
+  createShardId,
+  splitIntoShards,
+  joinShards,
+  getShardScope,
+  getShardRecordCount,
+  hashShard,
+  compressJson,
+  decompressJson,
+} from '../sync/shards';
+import {
+  DEFAULT_SYNC_SCOPES,
+  SYNC_SCOPES,
+  isScopeSynced,
+  hasExcludedScopes,
+  filterDataByScopes,
+  combineScopedData,
+} from '../sync/scopes';
+import { getDefaultDeviceName, getDevicePlatform, APP_VERSION } from '../utils/deviceUtils';
 
 const DB_NAME = 'LetsDoItDB';
-const DB_VERSION = 9;
+const DB_VERSION = 12;
 const TASKS_STORE = 'tasks';
 const SETTINGS_STORE = 'settings';
 const HABITS_STORE = 'habits';
+const SEARCH_STORE = 'searchIndex';
+const TOMBSTONES_STORE = 'tombstones';
+const SYNC_LOG_STORE = 'syncLog';
 
 // Auto-sync callback - will be set by SyncContext
 let autoSyncCallback = null;
@@ -75,6 +124,19 @@ export async function initDB() {
         habitsStore.createIndex('year', 'year');
         console.log('Created habits store');
       }
+      // Search index store (v10) - one entry per task/habit, filled by ensureSearchIndex()
+      if (!db.objectStoreNames.contains(SEARCH_STORE)) {
+        const searchStore = db.createObjectStore(SEARCH_STORE, { keyPath: 'key' });
+        searchStore.createIndex('tokens', 'tokens', { multiEntry: true });
+      }
+      // Tombstones store (v11) - records of purged tasks/habits, synced so they stay deleted
+      if (!db.objectStoreNames.contains(TOMBSTONES_STORE)) {
+        db.createObjectStore(TOMBSTONES_STORE, { keyPath: 'key' });
+      }
+      // Sync log store (v12) - one entry per sync attempt, oldest first (see addSyncLogEntry)
+      if (!db.objectStoreNames.contains(SYNC_LOG_STORE)) {
+        db.createObjectStore(SYNC_LOG_STORE, { keyPath: 'id', autoIncrement: true });
+      }
     },
     blocked() {
       console.warn('Database upgrade blocked. Please close other tabs using this app.');
@@ -103,15 +165,16 @@ export async function reinitDB() {
 }
 
 /**
- * Get all tasks from the database
+ * Get all tasks from the database (excluding tasks in the trash)
  */
 export async function getAllTasks() {
   const db = await initDB();
-  return db.getAll(TASKS_STORE);
+  const tasks = await db.getAll(TASKS_STORE);
+  return tasks.filter((task) => !task.deletedAt);
 }
 
 /**
- * Get a single task by ID
+ * Get a single task by ID (including tasks in the trash)
  */
 export async function getTask(id) {
   const db = await initDB();
@@ -129,7 +192,12 @@ export async function createTask(task) {
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
   };
+  if (task.subtasks) {
+    newTask.subtasks = normalizeSubtasks(task.subtasks);
+  }
   await db.add(TASKS_STORE, newTask);
+  await indexTaskForSearch(db, newTask);
+  recordHistory('Task added', [{ id: newTask.id, before: null, after: newTask }]);
   await updateLocalDataTimestamp();
   triggerAutoSync();
   return newTask;
@@ -150,18 +218,132 @@ export async function updateTask(id, updates) {
     id, // Ensure ID doesn't change
     updatedAt: new Date().toISOString(),
   };
+  if ('subtasks' in updates) {
+    updatedTask.subtasks = normalizeSubtasks(updates.subtasks);
+  }
+  // Saving a task unchanged writes nothing, so it isn't an undo step or a change to sync
+  if (stableStringify({ ...updatedTask, updatedAt: existingTask.updatedAt }) === stableStringify(existingTask)) {
+    return existingTask;
+  }
+  const changes = [{ id, before: existingTask, after: updatedTask }];
+
+  // Completing a recurring task spawns its next occurrence (once per instance)
+  if (updates.doneAt && !existingTask.doneAt && updatedTask.recurrence && !updatedTask.nextOccurrenceId) {
+    const nextTask = await spawnNextOccurrence(db, updatedTask);
+    if (nextTask) {
+      updatedTask.nextOccurrenceId = nextTask.id;
+      changes.push({ id: nextTask.id, before: null, after: nextTask });
+    }
+  }
+
+  // Un-completing removes the spawned occurrence again if it was never touched
+  if ('doneAt' in updates && !updates.doneAt && existingTask.doneAt && existingTask.nextOccurrenceId) {
+    const nextTask = await db.get(TASKS_STORE, existingTask.nextOccurrenceId);
+    if (nextTask && !nextTask.doneAt && nextTask.updatedAt === nextTask.createdAt) {
+      await purgeRecord(db, SEARCH_RESULT_TYPES.TASK, nextTask.id);
+      changes.push({ id: nextTask.id, before: nextTask, after: null });
+    }
+    updatedTask.nextOccurrenceId = null;
+  }
+
   await db.put(TASKS_STORE, updatedTask);
+  await indexTaskForSearch(db, updatedTask);
+  recordHistory(getUpdateLabel(existingTask, updates), changes);
   await updateLocalDataTimestamp();
   triggerAutoSync();
   return updatedTask;
 }
 
 /**
- * Delete a task
+ * Persist the manual order of a list of tasks
+ * Writes sortOrder (0..n-1) for every task in a single transaction
+ * @param {string[]} orderedIds - Task IDs in their new display order
+ * @param {object} updatesById - Extra field updates keyed by task ID (e.g. the dropped task's new dueDate)
+ */
+export async function reorderTasks(orderedIds, updatesById = {}) {
+  const db = await initDB();
+  const tx = db.transaction(TASKS_STORE, 'readwrite');
+  const now = new Date().toISOString();
+  const changes = [];
+
+  for (const [index, id] of orderedIds.entries()) {
+    const task = await tx.store.get(id);
+    if (!task) continue;
+    const updates = updatesById[id] || {};
+    // Skip untouched tasks so a reorder doesn't rewrite the whole list
+    if (task.sortOrder === index && Object.keys(updates).length === 0) continue;
+    const reordered = { ...task, ...updates, id, sortOrder: index, updatedAt: now };
+    await tx.store.put(reordered);
+    changes.push({ id, before: task, after: reordered });
+  }
+  await tx.done;
+
+  const isMove = Object.values(updatesById).some((updates) => 'dueDate' in updates);
+  recordHistory(isMove ? 'Task moved' : 'Tasks reordered', changes);
+  await updateLocalDataTimestamp();
+  triggerAutoSync();
+}
+
+/**
+ * Create the next instance of a recurring task
+ * The new task copies content, note, tags, priority, manual order, the repeat rule and the
+ * checklist (unchecked)
+ */
+async function spawnNextOccurrence(db, task) {
+  const nextDueDate = getNextDueDateForTask(task);
+  if (!nextDueDate) return null;
+
+  const now = new Date().toISOString();
+  const nextTask = {
+    content: task.content,
+    note: task.note || null,
+    tags: task.tags || [],
+    priority: task.priority,
+    sortOrder: task.sortOrder,
+    subtasks: normalizeSubtasks(task.subtasks).map((subtask) => ({
+      ...subtask,
+      id: crypto.randomUUID(),
+      doneAt: null,
+    })),
+    recurrence: task.recurrence,
+    id: crypto.randomUUID(),
+    dueDate: nextDueDate,
+    doneAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await db.add(TASKS_STORE, nextTask);
+  await indexTaskForSearch(db, nextTask);
+  return nextTask;
+}
+
+/**
+ * Normalize a task's checklist into an ordered array of { id, content, doneAt }
+ * Drops malformed entries so imported or synced data can't break rendering
+ */
+function normalizeSubtasks(subtasks) {
+  if (!Array.isArray(subtasks)) return [];
+  return subtasks
+    .filter((subtask) => subtask && typeof subtask.content === 'string')
+    .map((subtask) => ({
+      id: subtask.id || crypto.randomUUID(),
+      content: subtask.content,
+      doneAt: subtask.doneAt || null,
+    }));
+}
+
+/**
+ * Delete a task (moves it to the trash, see restoreTask/purgeTask)
  */
 export async function deleteTask(id) {
   const db = await initDB();
-  await db.delete(TASKS_STORE, id);
+  const task = await db.get(TASKS_STORE, id);
+  if (!task) return id;
+  const now = new Date().toISOString();
+  const trashed = { ...task, deletedAt: now, updatedAt: now };
+  await db.put(TASKS_STORE, trashed);
+  await removeFromSearchIndex(db, SEARCH_RESULT_TYPES.TASK, id);
+  recordHistory('Task moved to trash', [{ id, before: task, after: trashed }]);
   await updateLocalDataTimestamp();
   triggerAutoSync();
   return id;
@@ -199,12 +381,47 @@ export async function getUnfinishedPastTasks(beforeDate) {
   });
 }
 
+/**
+ * Get completed tasks, newest first, using the doneAt index
+ * doneAt values mix UTC and local timestamps, so the index range is padded by a day
+ * on each side and then narrowed to the exact local completion date.
+ * @param {string|null} startDateStr - First completion day to include (YYYY-MM-DD), or null for no lower bound
+ * @param {string|null} endDateStr - Last completion day to include (YYYY-MM-DD), or null for no upper bound
+ */
+export async function getCompletedTasks(startDateStr = null, endDateStr = null) {
+  const db = await initDB();
+
+  let range = null;
+  const lower = startDateStr ? addDaysToDateString(startDateStr, -1) : null;
+  const upper = endDateStr ? addDaysToDateString(endDateStr, 2) : null;
+  if (lower && upper) {
+    range = IDBKeyRange.bound(lower, upper, false, true);
+  } else if (lower) {
+    range = IDBKeyRange.lowerBound(lower);
+  } else if (upper) {
+    range = IDBKeyRange.upperBound(upper, true);
+  }
+
+  const tasks = await db.getAllFromIndex(TASKS_STORE, 'doneAt', range);
+  return tasks
+    .filter((task) => {
+      if (task.deletedAt) return false;
+      const doneDateStr = extractDateString(task.doneAt);
+      if (!doneDateStr) return false;
+      if (startDateStr && doneDateStr < startDateStr) return false;
+      if (endDateStr && doneDateStr > endDateStr) return false;
+      return true;
+    })
+    .sort((a, b) => new Date(b.doneAt) - new Date(a.doneAt));
+}
+
 /**
  * Clear all tasks (useful for testing)
  */
 export async function clearAllTasks() {
   const db = await initDB();
   await db.clear(TASKS_STORE);
+  await rebuildSearchIndex();
 }
 
 /**
@@ -363,7 +580,8 @@ async function ensureHabitsStore() {
  */
 export async function getAllHabits() {
   const db = await ensureHabitsStore();
-  return db.getAll(HABITS_STORE);
+  const habits = await db.getAll(HABITS_STORE);
+  return habits.filter((habit) => !habit.deletedAt);
 }
 
 /**
@@ -372,13 +590,23 @@ export async function getAllHabits() {
 export async function getHabitsByYear(year) {
   const db = await ensureHabitsStore();
   const allHabits = await db.getAll(HABITS_STORE);
-  return allHabits.filter(h => h.year === year);
+  return allHabits.filter(h => h.year === year && !h.deletedAt);
 }
 
 /**
  * Get a habit entry by date string (YYYY-MM-DD format)
+ * Entries in the trash are ignored
  */
 export async function getHabitByDate(dateStr) {
+  const habit = await getHabitByDateIncludingDeleted(dateStr);
+  return habit && !habit.deletedAt ? habit : undefined;
+}
+
+/**
+ * Get the stored habit entry for a date, even if it is in the trash
+ * The date index is unique, so a new entry for a trashed date reuses that record
+ */
+async function getHabitByDateIncludingDeleted(dateStr) {
   const db = await ensureHabitsStore();
   const tx = db.transaction(HABITS_STORE, 'readonly');
   const index = tx.store.index('date');
@@ -394,9 +622,24 @@ export async function upsertHabit(habitData) {
   const year = parseInt(dateStr.split('-')[0]);
   
   // Check if entry exists for this date
-  const existing = await getHabitByDate(dateStr);
+  const existing = await getHabitByDateIncludingDeleted(dateStr);
   
-  if (existing) {
+  if (existing?.deletedAt) {
+    // Logging a trashed date starts a fresh entry in the same record
+    const revived = {
+      id: existing.id,
+      createdAt: existing.createdAt,
+      ...habitData,
+      year,
+      deletedAt: null,
+      updatedAt: new Date().toISOString(),
+    };
+    await db.put(HABITS_STORE, revived);
+    await indexHabitForSearch(db, revived);
+    await updateLocalDataTimestamp();
+    triggerAutoSync();
+    return revived;
+  } else if (existing) {
     // Update existing
     const updated = {
       ...existing,
@@ -405,6 +648,7 @@ export async function upsertHabit(habitData) {
       updatedAt: new Date().toISOString(),
     };
     await db.put(HABITS_STORE, updated);
+    await indexHabitForSearch(db, updated);
     await updateLocalDataTimestamp();
     triggerAutoSync();
     return updated;
@@ -418,6 +662,7 @@ export async function upsertHabit(habitData) {
       updatedAt: new Date().toISOString(),
     };
     await db.add(HABITS_STORE, newEntry);
+    await indexHabitForSearch(db, newEntry);
     await updateLocalDataTimestamp();
     triggerAutoSync();
     return newEntry;
@@ -425,11 +670,15 @@ export async function upsertHabit(habitData) {
 }
 
 /**
- * Delete a habit entry
+ * Delete a habit entry (moves it to the trash, see restoreHabit/purgeHabit)
  */
 export async function deleteHabit(id) {
   const db = await ensureHabitsStore();
-  await db.delete(HABITS_STORE, id);
+  const habit = await db.get(HABITS_STORE, id);
+  if (!habit) return id;
+  const now = new Date().toISOString();
+  await db.put(HABITS_STORE, { ...habit, deletedAt: now, updatedAt: now });
+  await removeFromSearchIndex(db, SEARCH_RESULT_TYPES.HABIT, id);
   await updateLocalDataTimestamp();
   triggerAutoSync();
   return id;
@@ -462,6 +711,449 @@ export async function getHabitStats(year) {
   };
 }
 
+// ============================================
+// Search Index Functions
+// ============================================
+
+/**
+ * Write a task's entry to the search index
+ */
+async function indexTaskForSearch(db, task) {
+  await db.put(SEARCH_STORE, buildTaskSearchEntry(task));
+}
+
+/**
+ * Write a habit entry's reflections to the search index
+ */
+async function indexHabitForSearch(db, habit) {
+  await db.put(SEARCH_STORE, buildHabitSearchEntry(habit));
+}
+
+/**
+ * Remove a record from the search index
+ */
+async function removeFromSearchIndex(db, type, id) {
+  await db.delete(SEARCH_STORE, `${type}:${id}`);
+}
+
+/**
+ * Rebuild the whole search index from the tasks and habits stores
+ * Used after imports/sync and when the index format changes
+ */
+export async function rebuildSearchIndex() {
+  const db = await ensureHabitsStore();
+  const tx = db.transaction([TASKS_STORE, HABITS_STORE, SEARCH_STORE], 'readwrite');
+  const searchStore = tx.objectStore(SEARCH_STORE);
+
+  await searchStore.clear();
+  const tasks = await tx.objectStore(TASKS_STORE).getAll();
+  for (const task of tasks.filter((t) => !t.deletedAt)) {
+    await searchStore.put(buildTaskSearchEntry(task));
+  }
+  const habits = await tx.objectStore(HABITS_STORE).getAll();
+  for (const habit of habits.filter((h) => !h.deletedAt)) {
+    await searchStore.put(buildHabitSearchEntry(habit));
+  }
+  await tx.done;
+
+  await setSetting('searchIndexVersion', SEARCH_INDEX_VERSION);
+}
+
+/**
+ * Build the search index if it is missing or was built by an older version
+ * Called once at startup, so existing data becomes searchable after upgrading
+ */
+export async function ensureSearchIndex() {
+  const version = await getSetting('searchIndexVersion');
+  if (version !== SEARCH_INDEX_VERSION) {
+    await rebuildSearchIndex();
+  }
+}
+
+/**
+ * Search tasks (content, note, checklist, tag names) and habit reflections
+ * Every query word must match the start of a word in the record (or a tag name)
+ * @param {string} query - The search text
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array<{type: string, id: string, record: object}>>} - Open tasks first, then most recently updated
+ */
+export async function searchRecords(query, limit = 50) {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+
+  const db = await ensureHabitsStore();
+  const tags = await getAvailableTags();
+
+  let matchingKeys = null;
+  for (const term of terms) {
+    const termKeys = new Set(
+      await db.getAllKeysFromIndex(SEARCH_STORE, 'tokens', IDBKeyRange.bound(term, `${term}\uffff`))
+    );
+    // Tag names are matched here rather than indexed, so renaming a tag needs no re-index
+    const tagTokens = tags
+      .filter((tag) => tokenize(tag.name).some((word) => word.startsWith(term)))
+      .map((tag) => getTagToken(tag.id));
+    for (const tagToken of tagTokens) {
+      for (const key of await db.getAllKeysFromIndex(SEARCH_STORE, 'tokens', tagToken)) {
+        termKeys.add(key);
+      }
+    }
+    matchingKeys = matchingKeys
+      ? new Set([...matchingKeys].filter((key) => termKeys.has(key)))
+      : termKeys;
+    if (matchingKeys.size === 0) return [];
+  }
+
+  // Load all matched records in a single transaction
+  const tx = db.transaction([TASKS_STORE, HABITS_STORE], 'readonly');
+  const results = await Promise.all([...matchingKeys].map(async (key) => {
+    const separator = key.indexOf(':');
+    const type = key.slice(0, separator);
+    const id = key.slice(separator + 1);
+    const storeName = type === SEARCH_RESULT_TYPES.TASK ? TASKS_STORE : HABITS_STORE;
+    const record = await tx.objectStore(storeName).get(id);
+    return record && !record.deletedAt ? { type, id, record } : null;
+  }));
+  await tx.done;
+
+  return results
+    .filter(Boolean)
+    .sort((a, b) => {
+      const aDone = a.type === SEARCH_RESULT_TYPES.TASK && !!a.record.doneAt;
+      const bDone = b.type === SEARCH_RESULT_TYPES.TASK && !!b.record.doneAt;
+      if (aDone !== bDone) return aDone ? 1 : -1;
+      return (b.record.updatedAt || '').localeCompare(a.record.updatedAt || '');
+    })
+    .slice(0, limit);
+}
+
+// ============================================
+// Trash Functions
+// ============================================
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Tombstones outlive the trash so devices that were offline for a long time still see the purge
+const TOMBSTONE_RETENTION_DAYS = 365;
+
+/**
+ * Get everything in the trash, most recently deleted first
+ * @returns {Promise<{tasks: object[], habits: object[]}>}
+ */
+export async function getTrashItems() {
+  const db = await ensureHabitsStore();
+  const byDeletedAt = (a, b) => b.deletedAt.localeCompare(a.deletedAt);
+  const tasks = (await db.getAll(TASKS_STORE)).filter((task) => task.deletedAt);
+  const habits = (await db.getAll(HABITS_STORE)).filter((habit) => habit.deletedAt);
+  return {
+    tasks: tasks.sort(byDeletedAt),
+    habits: habits.sort(byDeletedAt),
+  };
+}
+
+/**
+ * Restore a task from the trash
+ */
+export async function restoreTask(id) {
+  const db = await initDB();
+  const task = await db.get(TASKS_STORE, id);
+  if (!task) {
+    throw new Error(`Task with id ${id} not found`);
+  }
+  const restored = { ...task, deletedAt: null, updatedAt: new Date().toISOString() };
+  await db.put(TASKS_STORE, restored);
+  await indexTaskForSearch(db, restored);
+  recordHistory('Task restored', [{ id, before: task, after: restored }]);
+  await updateLocalDataTimestamp();
+  triggerAutoSync();
+  return restored;
+}
+
+/**
+ * Restore a habit entry from the trash
+ */
+export async function restoreHabit(id) {
+  const db = await ensureHabitsStore();
+  const habit = await db.get(HABITS_STORE, id);
+  if (!habit) {
+    throw new Error(`Habit entry with id ${id} not found`);
+  }
+  const restored = { ...habit, deletedAt: null, updatedAt: new Date().toISOString() };
+  await db.put(HABITS_STORE, restored);
+  await indexHabitForSearch(db, restored);
+  await updateLocalDataTimestamp();
+  triggerAutoSync();
+  return restored;
+}
+
+/**
+ * Permanently delete a task, leaving a tombstone for sync
+ */
+export async function purgeTask(id) {
+  const db = await initDB();
+  await purgeRecord(db, SEARCH_RESULT_TYPES.TASK, id);
+  await updateLocalDataTimestamp();
+  triggerAutoSync();
+  return id;
+}
+
+/**
+ * Permanently delete a habit entry, leaving a tombstone for sync
+ */
+export async function purgeHabit(id) {
+  const db = await ensureHabitsStore();
+  await purgeRecord(db, SEARCH_RESULT_TYPES.HABIT, id);
+  await updateLocalDataTimestamp();
+  triggerAutoSync();
+  return id;
+}
+
+/**
+ * Permanently delete everything in the trash
+ */
+export async function emptyTrash() {
+  const { tasks, habits } = await getTrashItems();
+  const db = await ensureHabitsStore();
+  for (const task of tasks) {
+    await purgeRecord(db, SEARCH_RESULT_TYPES.TASK, task.id);
+  }
+  for (const habit of habits) {
+    await purgeRecord(db, SEARCH_RESULT_TYPES.HABIT, habit.id);
+  }
+  if (tasks.length + habits.length > 0) {
+    await updateLocalDataTimestamp();
+    triggerAutoSync();
+  }
+  return { tasksPurged: tasks.length, habitsPurged: habits.length };
+}
+
+/**
+ * Get how many days items stay in the trash (0 = never purge automatically)
+ */
+export async function getTrashRetentionDays() {
+  const days = await getSetting('trashRetentionDays');
+  return days ?? DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Set how many days items stay in the trash (0 = never purge automatically)
+ */
+export async function setTrashRetentionDays(days) {
+  await setSetting('trashRetentionDays', days);
+}
+
+/**
+ * Purge trash items older than the retention period and drop expired tombstones
+ * Called once at startup
+ */
+export async function purgeExpiredTrash() {
+  const db = await ensureHabitsStore();
+  const retentionDays = await getTrashRetentionDays();
+  const dayMs = 24 * 60 * 60 * 1000;
+  let purged = 0;
+
+  if (retentionDays > 0) {
+    const cutoff = new Date(Date.now() - retentionDays * dayMs).toISOString();
+    const { tasks, habits } = await getTrashItems();
+    for (const task of tasks.filter((t) => t.deletedAt < cutoff)) {
+      await purgeRecord(db, SEARCH_RESULT_TYPES.TASK, task.id);
+      purged++;
+    }
+    for (const habit of habits.filter((h) => h.deletedAt < cutoff)) {
+      await purgeRecord(db, SEARCH_RESULT_TYPES.HABIT, habit.id);
+      purged++;
+    }
+  }
+
+  const tombstoneCutoff = new Date(Date.now() - TOMBSTONE_RETENTION_DAYS * dayMs).toISOString();
+  const tombstones = await db.getAll(TOMBSTONES_STORE);
+  for (const tombstone of tombstones.filter((t) => t.deletedAt < tombstoneCutoff)) {
+    await db.delete(TOMBSTONES_STORE, tombstone.key);
+  }
+
+  if (purged > 0) {
+    await updateLocalDataTimestamp();
+    triggerAutoSync();
+  }
+  return purged;
+}
+
+/**
+ * Hard-delete a task or habit and record a tombstone so sync doesn't bring it back
+ */
+async function purgeRecord(db, type, id) {
+  const storeName = type === SEARCH_RESULT_TYPES.TASK ? TASKS_STORE : HABITS_STORE;
+  await db.delete(storeName, id);
+  await removeFromSearchIndex(db, type, id);
+  await db.put(TOMBSTONES_STORE, {
+    key: `${type}:${id}`,
+    type,
+    refId: id,
+    deletedAt: new Date().toISOString(),
+  });
+}
+
+// ============================================
+// Undo/Redo History
+// ============================================
+
+// Task mutations are kept in memory only; history doesn't survive a reload, and a sync
+// drops the entries of the tasks it changed
+const HISTORY_LIMIT = 50;
+const undoStack = [];
+const redoStack = [];
+const historyListeners = new Set();
+
+/**
+ * Subscribe to history changes
+ * The listener receives { action: 'record' | 'undo' | 'redo' | 'clear' | 'prune', entry, canUndo, canRedo };
+ * on 'prune' it also gets removedIds, the IDs of the dropped entries
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToHistory(listener) {
+  historyListeners.add(listener);
+  return () => historyListeners.delete(listener);
+}
+
+/**
+ * Whether there is anything to undo or redo
+ */
+export function getHistoryState() {
+  return { canUndo: undoStack.length > 0, canRedo: redoStack.length > 0 };
+}
+
+/**
+ * Revert the most recent task change
+ * @returns {object|null} - The undone entry ({ id, label, changes }), or null if there was nothing to undo
+ */
+export async function undo() {
+  const entry = undoStack.pop();
+  if (!entry) return null;
+  try {
+    await applyHistoryChanges(entry.changes, 'before');
+  } catch (error) {
+    undoStack.push(entry);
+    throw error;
+  }
+  redoStack.push(entry);
+  notifyHistoryListeners('undo', entry);
+  return entry;
+}
+
+/**
+ * Re-apply the most recently undone task change
+ * @returns {object|null} - The redone entry, or null if there was nothing to redo
+ */
+export async function redo() {
+  const entry = redoStack.pop();
+  if (!entry) return null;
+  try {
+    await applyHistoryChanges(entry.changes, 'after');
+  } catch (error) {
+    redoStack.push(entry);
+    throw error;
+  }
+  undoStack.push(entry);
+  notifyHistoryListeners('redo', entry);
+  return entry;
+}
+
+/**
+ * Forget all undo/redo history (e.g. after the whole dataset was replaced)
+ */
+export function clearHistory() {
+  if (undoStack.length === 0 && redoStack.length === 0) return;
+  undoStack.length = 0;
+  redoStack.length = 0;
+  notifyHistoryListeners('clear', null);
+}
+
+/**
+ * Forget the undo/redo entries that touch any of the given tasks (e.g. after a sync changed them),
+ * since restoring their snapshots would overwrite the changes
+ * @param {Set<string>} taskIds - IDs of the changed tasks
+ */
+function pruneHistory(taskIds) {
+  if (taskIds.size === 0) return;
+  const removedIds = [];
+  for (const stack of [undoStack, redoStack]) {
+    const kept = stack.filter((entry) => {
+      const touched = entry.changes.some((change) => taskIds.has(change.id));
+      if (touched) removedIds.push(entry.id);
+      return !touched;
+    });
+    stack.splice(0, stack.length, ...kept);
+  }
+  if (removedIds.length > 0) {
+    notifyHistoryListeners('prune', null, { removedIds });
+  }
+}
+
+/**
+ * Push a change onto the undo stack
+ * @param {string} label - Short description shown in the undo toast
+ * @param {object[]} changes - [{ id, before, after }] task snapshots; null means the task didn't exist
+ */
+function recordHistory(label, changes) {
+  if (changes.length === 0) return;
+  const entry = { id: crypto.randomUUID(), label, changes };
+  undoStack.push(entry);
+  if (undoStack.length > HISTORY_LIMIT) {
+    undoStack.shift();
+  }
+  redoStack.length = 0;
+  notifyHistoryListeners('record', entry);
+}
+
+function notifyHistoryListeners(action, entry, details = {}) {
+  const state = { action, entry, ...details, ...getHistoryState() };
+  for (const listener of historyListeners) {
+    listener(state);
+  }
+}
+
+/**
+ * Describe a task update for the undo toast
+ */
+function getUpdateLabel(existingTask, updates) {
+  if ('doneAt' in updates && !!updates.doneAt !== !!existingTask.doneAt) {
+    return updates.doneAt ? 'Task completed' : 'Task reopened';
+  }
+  if ('dueDate' in updates && updates.dueDate !== existingTask.dueDate) {
+    return 'Task rescheduled';
+  }
+  return 'Task updated';
+}
+
+/**
+ * Write one side of a history entry back to the database
+ * Restored snapshots get a fresh updatedAt so the undo wins the next sync,
+ * and tasks that didn't exist on that side are purged (with a tombstone).
+ * @param {object[]} changes - The entry's changes
+ * @param {'before'|'after'} side - Which snapshot to restore
+ */
+async function applyHistoryChanges(changes, side) {
+  const db = await initDB();
+  const now = new Date().toISOString();
+  for (const change of changes) {
+    const snapshot = change[side];
+    if (!snapshot) {
+      await purgeRecord(db, SEARCH_RESULT_TYPES.TASK, change.id);
+      continue;
+    }
+    const task = { ...snapshot, updatedAt: now };
+    await db.put(TASKS_STORE, task);
+    await db.delete(TOMBSTONES_STORE, `${SEARCH_RESULT_TYPES.TASK}:${task.id}`);
+    if (task.deletedAt) {
+      await removeFromSearchIndex(db, SEARCH_RESULT_TYPES.TASK, task.id);
+    } else {
+      await indexTaskForSearch(db, task);
+    }
+  }
+  await updateLocalDataTimestamp();
+  triggerAutoSync();
+}
+
 // ============================================
 // Data Management Functions (Export/Import/Delete)
 // ============================================
@@ -469,16 +1161,20 @@ export async function getHabitStats(year) {
 /**
  * Export all data from the database
  * Returns an object containing all tasks, settings, and habits
+ * @param {object} options - Export options
+ * @param {object} options.scopes - Only export these sync scopes (see sync/scopes)
  */
-export async function exportAllData() {
+export async function exportAllData(options = {}) {
   const db = await initDB();
   
+  // Includes trashed records so deletes and restores sync too
   const tasks = await db.getAll(TASKS_STORE);
   const habits = await db.getAll(HABITS_STORE);
+  const tombstones = await db.getAll(TOMBSTONES_STORE);
   const localModifiedAt = await getLocalDataModifiedAt();
   
   // Get all user settings (excludes device-specific settings like googleDriveSync and theme)
-  const settingsKeys = ['availableTags', 'sectionExpandStates'];
+  const settingsKeys = ['availableTags', 'sectionExpandStates', 'trashRetentionDays'];
   const settings = {};
   for (const key of settingsKeys) {
     const value = await getSetting(key);
@@ -491,11 +1187,7 @@ export async function exportAllData() {
     version: DB_VERSION,
     exportedAt: new Date().toISOString(),
     localModifiedAt: localModifiedAt, // Include sync timestamp
-    data: {
-      tasks,
-      habits,
-      settings,
-    },
+    data: filterDataByScopes({ tasks, habits, tombstones, settings }, options.scopes),
   };
 }
 
@@ -505,23 +1197,50 @@ export async function exportAllData() {
  * @param {object} importData - The data to import
  * @param {object} options - Import options
  * @param {boolean} options.preserveLocalTimestamp - If true, don't update localDataModifiedAt (used by sync)
+ * @param {object} options.scopes - Only replace these sync scopes, leaving the local data of
+ *   the others as it is (see sync/scopes)
+ * @param {boolean} options.keepHistory - If true, only forget the undo/redo history of tasks the
+ *   import changed instead of all of it (used by sync merges)
  */
 export async function importAllData(importData, options = {}) {
   if (!importData || !importData.data) {
     throw new Error('Invalid import data format');
   }
   
-  const { tasks = [], habits = [], settings = {} } = importData.data;
+  const { scopes } = options;
+  const {
+    tasks: importedTasks,
+    habits: importedHabits,
+    tombstones: importedTombstones,
+    settings,
+  } = filterDataByScopes(importData.data, scopes);
   const db = await initDB();
   
+  // Merge tombstones (keeping the newest per record), then drop records purged after their last edit
+  const tombstones = new Map((await db.getAll(TOMBSTONES_STORE)).map((t) => [t.key, t]));
+  for (const tombstone of importedTombstones) {
+    const existing = tombstones.get(tombstone.key);
+    if (!existing || existing.deletedAt < tombstone.deletedAt) {
+      tombstones.set(tombstone.key, tombstone);
+    }
+  }
+  const isPurged = (type, record) => {
+    const tombstone = tombstones.get(`${type}:${record.id}`);
+    return !!tombstone && tombstone.deletedAt >= (record.updatedAt || '');
+  };
+  const tasks = importedTasks.filter((task) => !isPurged(SEARCH_RESULT_TYPES.TASK, task));
+  const habits = importedHabits.filter((habit) => !isPurged(SEARCH_RESULT_TYPES.HABIT, habit));
+  const keepHistory = options.keepHistory || !isScopeSynced(scopes, SYNC_SCOPES.TASKS);
+  const previousTasks = keepHistory ? await db.getAll(TASKS_STORE) : [];
+  
   // Clear existing data
-  await db.clear(TASKS_STORE);
-  await db.clear(HABITS_STORE);
+  if (isScopeSynced(scopes, SYNC_SCOPES.TASKS)) await db.clear(TASKS_STORE);
+  if (isScopeSynced(scopes, SYNC_SCOPES.HABITS)) await db.clear(HABITS_STORE);
   
   // Import tasks
   const tx1 = db.transaction(TASKS_STORE, 'readwrite');
   for (const task of tasks) {
-    await tx1.store.put(task);
+    await tx1.store.put(task.subtasks ? { ...task, subtasks: normalizeSubtasks(task.subtasks) } : task);
   }
   await tx1.done;
   
@@ -532,13 +1251,39 @@ export async function importAllData(importData, options = {}) {
   }
   await tx2.done;
   
+  // Import tombstones
+  const tx3 = db.transaction(TOMBSTONES_STORE, 'readwrite');
+  for (const tombstone of tombstones.values()) {
+    await tx3.store.put(tombstone);
+  }
+  await tx3.done;
+  
   // Import settings (user preferences only, preserves device-specific settings like googleDriveSync)
   for (const [key, value] of Object.entries(settings)) {
     await setSetting(key, value);
   }
   
-  // Update the local data timestamp unless explicitly told not to
-  // This ensures sync operations work correctly after import
+  await rebuildSearchIndex();
+  if (keepHistory) {
+    // Only the snapshots of tasks the import changed no longer match the data
+    const currentTasks = new Map((await db.getAll(TASKS_STORE)).map((task) => [task.id, stableStringify(task)]));
+    const changedTaskIds = new Set(
+      previousTasks
+        .filter((task) => currentTasks.get(task.id) !== stableStringify(task))
+        .map((task) => task.id)
+    );
+    const previousTaskIds = new Set(previousTasks.map((task) => task.id));
+    for (const id of currentTasks.keys()) {
+      if (!previousTaskIds.has(id)) changedTaskIds.add(id);
+    }
+    pruneHistory(changedTaskIds);
+  } else {
+    // Snapshots from before the import no longer match the data
+    clearHistory();
+  }
+  
+  // Update the local data timestamp unless explicitly told not to
+  // This ensures sync operations work correctly after import
   if (!options.preserveLocalTimestamp) {
     // Use the timestamp from the imported data if available, otherwise use current time
     const importedTimestamp = importData.localModifiedAt || importData.syncedAt || importData.exportedAt;
@@ -567,6 +1312,10 @@ export async function deleteAllData() {
   await db.clear(TASKS_STORE);
   await db.clear(HABITS_STORE);
   await db.clear(SETTINGS_STORE);
+  await db.clear(SEARCH_STORE);
+  await db.clear(TOMBSTONES_STORE);
+  await db.clear(SYNC_LOG_STORE);
+  clearHistory();
   
   // Re-initialize default tags
   await setSetting('availableTags', DEFAULT_TAGS);
@@ -593,9 +1342,45 @@ export async function getLocalDataModifiedAt() {
 export async function updateLocalDataTimestamp() {
   const timestamp = new Date().toISOString();
   await setSetting('localDataModifiedAt', timestamp);
+  await markSyncPending(timestamp);
   return timestamp;
 }
 
+// ============================================
+// Pending Sync Tracking (not synced)
+// ============================================
+
+// Device-only setting: { count, since } of local changes not synced yet. Kept in the
+// database so changes made offline are still known to be pending after a reload.
+const PENDING_SYNC_SETTING = 'pendingSync';
+
+/**
+ * Get the local changes waiting for a successful sync
+ * @returns {Promise<object>} - { count, since } (since is null when nothing is pending)
+ */
+export async function getPendingSync() {
+  const pending = await getSetting(PENDING_SYNC_SETTING);
+  return { count: 0, since: null, ...pending };
+}
+
+async function markSyncPending(timestamp) {
+  const pending = await getPendingSync();
+  await setSetting(PENDING_SYNC_SETTING, {
+    count: pending.count + 1,
+    since: pending.since || timestamp,
+  });
+}
+
+/**
+ * Mark changes as synced
+ * @param {number} syncedCount - Pending changes when the sync started (later ones stay pending)
+ */
+async function clearSyncPending(syncedCount) {
+  const pending = await getPendingSync();
+  const count = Math.max(0, pending.count - syncedCount);
+  await setSetting(PENDING_SYNC_SETTING, { count, since: count > 0 ? pending.since : null });
+}
+
 // ============================================
 // Device Timezone Settings (not synced)
 // ============================================
@@ -699,9 +1484,54 @@ export function extractLocalDate(storedDate) {
 }
 
 // ============================================
-// Google Drive Sync Functions
+// Device Identity (not synced)
+// ============================================
+
+// Device-only setting: { id, name }
+const DEVICE_INFO_SETTING = 'deviceInfo';
+
+/**
+ * Get this device's identity, creating it on first use
+ * The ID is stable for the lifetime of the local database; the name labels the
+ * device's pushes in the version history.
+ * @returns {Promise<object>} - { id, name }
+ */
+export async function getDeviceInfo() {
+  const stored = await getSetting(DEVICE_INFO_SETTING);
+  if (stored?.id) {
+    return { ...stored, name: stored.name || getDefaultDeviceName() };
+  }
+  const deviceInfo = { id: crypto.randomUUID(), name: getDefaultDeviceName() };
+  await setSetting(DEVICE_INFO_SETTING, deviceInfo);
+  return deviceInfo;
+}
+
+/**
+ * Rename this device (an empty name goes back to the default name)
+ * Other devices see the new name after this device's next sync.
+ */
+export async function setDeviceName(name) {
+  const { id } = await getDeviceInfo();
+  await setSetting(DEVICE_INFO_SETTING, { id, name: name.trim() });
+  return getDeviceInfo();
+}
+
+// ============================================
+// Sync Functions
 // ============================================
 
+// Key of the sync settings (named before providers other than Google Drive existed)
+const SYNC_SETTINGS = 'googleDriveSync';
+
+// Setting holding the dataset from the last successful sync (the base of the three-way merge)
+const SYNC_BASE_SETTING = 'syncBase';
+// Setting holding automatically resolved conflicts until the user reviews them
+const SYNC_CONFLICTS_SETTING = 'syncConflicts';
+// Device-only setting with the encryption passphrase (never exported or shared by QR)
+const SYNC_ENCRYPTION_SETTING = 'syncEncryption';
+// Fetch-merge-push attempts before giving up when other devices keep pushing in between
+const MAX_SYNC_ATTEMPTS = 3;
+
 // Sync result types
 export const SYNC_RESULT = {
   PULLED: 'pulled',      // Remote was newer, pulled data
@@ -711,29 +1541,244 @@ export const SYNC_RESULT = {
 };
 
 /**
- * Get Google Drive sync settings
+ * Get sync settings
+ * Each provider reads its own fields (see sync/index.js)
  */
-export async function getGoogleDriveSyncSettings() {
-  const settings = await getSetting('googleDriveSync');
-  return settings || {
+export async function getSyncSettings() {
+  const settings = await getSetting(SYNC_SETTINGS);
+  return {
     enabled: false,
-    fileId: '', // Google Drive file ID
-    scriptEndpoint: '', // Google Apps Script Web App URL (handles both read and write)
+    provider: DEFAULT_SYNC_PROVIDER, // Settings saved before providers existed are Google Drive
     lastSyncAt: null,
     autoSync: false,
+    pullIntervalMinutes: 5, // With auto-sync, also pull this often while the app is open (0 = never)
+    scopes: { ...DEFAULT_SYNC_SCOPES }, // Parts of the data this device syncs (see sync/scopes)
+    // Google Apps Script provider
+    fileId: '', // Google Drive file ID
+    scriptEndpoint: '', // Google Apps Script Web App URL (handles both read and write)
+    // WebDAV provider
+    webdavUrl: '', // URL of the sync file on the server
+    webdavUsername: '',
+    webdavPassword: '',
+    // Local file provider
+    fileHandle: null, // FileSystemFileHandle of the sync file
+    ...settings,
   };
 }
 
 /**
- * Save Google Drive sync settings
+ * Save sync settings
  */
-export async function setGoogleDriveSyncSettings(settings) {
-  const current = await getGoogleDriveSyncSettings();
+export async function setSyncSettings(settings) {
+  const current = await getSyncSettings();
   const updated = { ...current, ...settings };
-  await setSetting('googleDriveSync', updated);
+  await setSetting(SYNC_SETTINGS, updated);
+  return updated;
+}
+
+/**
+ * Check that the given sync settings can reach the provider
+ * @param {object} settings - Sync settings to check (they don't have to be saved yet)
+ * @returns {Promise<object|null>} - The provider's metadata for the sync file, null if there is none yet
+ */
+export async function checkSyncConnection(settings) {
+  return getSyncProvider(settings.provider).getMetadata(settings);
+}
+
+/**
+ * Get the end-to-end encryption settings for sync
+ * previousPassphrase is kept after a change until the cloud copy is re-encrypted
+ */
+export async function getSyncEncryptionSettings() {
+  const settings = await getSetting(SYNC_ENCRYPTION_SETTING);
+  return settings || {
+    enabled: false,
+    passphrase: '',
+    previousPassphrase: '',
+  };
+}
+
+/**
+ * Turn sync encryption on or off, or change the passphrase
+ * The cloud copy is re-encrypted (or decrypted) on the next sync.
+ * @param {object} options - { enabled, passphrase }
+ */
+export async function setSyncEncryptionSettings({ enabled, passphrase = '' }) {
+  if (enabled && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  const current = await getSyncEncryptionSettings();
+  const nextPassphrase = enabled ? passphrase : '';
+  const updated = {
+    enabled: !!enabled,
+    passphrase: nextPassphrase,
+    // Keep the old passphrase so the current cloud copy can still be read once
+    previousPassphrase: current.passphrase && current.passphrase !== nextPassphrase
+      ? current.passphrase
+      : current.previousPassphrase,
+  };
+  await setSetting(SYNC_ENCRYPTION_SETTING, updated);
   return updated;
 }
 
+/**
+ * Decrypt an encryption envelope with this device's passphrase, or the previous one
+ * @returns {Promise<object>} - { value, passphrase, isPreviousPassphrase }
+ */
+async function decryptWithSyncPassphrase(envelope, encryption) {
+  // With no passphrase at all, decryptSyncPayload reports that one is required
+  const passphrases = [encryption.passphrase, encryption.previousPassphrase].filter(Boolean);
+  let lastError = null;
+  for (const [index, passphrase] of (passphrases.length > 0 ? passphrases : ['']).entries()) {
+    try {
+      const value = await decryptSyncPayload(envelope, passphrase);
+      return { value, passphrase, isPreviousPassphrase: index > 0 };
+    } catch (error) {
+      if (error.code !== ENCRYPTION_ERRORS.WRONG_PASSPHRASE) throw error;
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Encode a shard for the remote: compressed, then encrypted if a passphrase is given
+ */
+async function encodeShard(content, passphrase) {
+  const compressed = await compressJson(content);
+  return passphrase ? encryptSyncPayload({ gzip: compressed }, passphrase) : compressed;
+}
+
+async function decodeShard(encoded, passphrase) {
+  const compressed = isEncryptedPayload(encoded)
+    ? (await decryptSyncPayload(encoded, passphrase)).gzip
+    : encoded;
+  return decompressJson(compressed);
+}
+
+/**
+ * Get the content of a manifest's shards, downloading only the ones that aren't known yet
+ * @param {object} manifest - The sharded payload
+ * @param {Array} shards - The shards from its index
+ * @param {string} passphrase - The passphrase that decrypted the index ('' if unencrypted)
+ * @param {object} source - { settings, provider } the manifest was read from
+ * @param {Array} knownData - Datasets (export data) whose shards stand in for remote shards
+ *   with the same hash, e.g. the local data and the last synced data
+ * @returns {Promise<object>} - { contents: Map of shard name to content, downloadedCount, downloadedBytes }
+ */
+async function loadShards(manifest, shards, passphrase, { settings, provider }, knownData) {
+  const known = new Map();
+  for (const data of knownData.filter(Boolean)) {
+    for (const [name, content] of splitIntoShards(data)) {
+      known.set(`${name}:${await hashShard(content)}`, content);
+    }
+  }
+  
+  const contents = new Map();
+  const missing = [];
+  for (const shard of shards) {
+    const key = `${shard.name}:${shard.hash}`;
+    if (known.has(key)) {
+      contents.set(shard.name, known.get(key));
+    } else if (manifest.shardData?.[shard.id] !== undefined) {
+      contents.set(shard.name, await decodeShard(manifest.shardData[shard.id], passphrase));
+    } else {
+      missing.push(shard);
+    }
+  }
+  
+  let downloadedBytes = 0;
+  if (missing.length > 0) {
+    const fetched = provider.readShards ? await provider.readShards(settings, missing.map((shard) => shard.id)) : {};
+    for (const shard of missing) {
+      if (fetched[shard.id] === undefined || fetched[shard.id] === null) {
+        throw new Error(`The data on ${provider.name} is incomplete: part "${shard.name}" is missing.`);
+      }
+      downloadedBytes += getPayloadSize(fetched[shard.id]);
+      contents.set(shard.name, await decodeShard(fetched[shard.id], passphrase));
+    }
+  }
+  return { contents, downloadedCount: missing.length, downloadedBytes };
+}
+
+/**
+ * Decrypt fetched sync data if needed, and put sharded data back together
+ * Payloads written before the sharded format (a plain or encrypted export) are still read.
+ * @param {object} remoteData - The stored payload
+ * @param {object} source - { settings, provider } it was read from
+ * @param {Array} [knownData] - Datasets whose shards don't have to be downloaded (see loadShards)
+ * @param {object} [scopes] - Only read these sync scopes (see sync/scopes)
+ * @returns {Promise<object>} - { payload, needsPush, remote, stats } where payload is an
+ *   export with sync metadata and the data inside the scopes, and needsPush is set when the
+ *   cloud copy's encryption doesn't match this device's settings. remote is what a push can
+ *   carry over: { shards, shardData } of the manifest when its encryption is current (shards
+ *   with unchanged content aren't encoded again, shards outside the scopes are kept as they
+ *   are), otherwise { excludedData } with the data outside the scopes, plus devices (the
+ *   device registry, see getSyncDevices) either way. stats holds
+ *   { shardCount, downloadedCount, downloadedBytes }.
+ */
+async function readRemotePayload(remoteData, source, knownData = [], scopes = null) {
+  const encryption = await getSyncEncryptionSettings();
+  
+  if (isShardedPayload(remoteData)) {
+    if (remoteData.version !== SHARDED_VERSION) {
+      throw new Error(`Cloud data uses sync format v${remoteData.version}, which this version of the app can't read. Please update the app.`);
+    }
+    let index = remoteData.index;
+    let passphrase = '';
+    let needsPush = encryption.enabled;
+    if (isEncryptedPayload(index)) {
+      const decrypted = await decryptWithSyncPassphrase(index, encryption);
+      ({ value: index, passphrase } = decrypted);
+      // Re-encrypt if the cloud copy used the old passphrase or encryption was turned off
+      needsPush = decrypted.isPreviousPassphrase || !encryption.enabled;
+    }
+    
+    // Shards outside the scopes are carried over as they are, unless all of them have to be
+    // encoded again
+    const shards = needsPush
+      ? index.shards
+      : index.shards.filter((shard) => isScopeSynced(scopes, getShardScope(shard.name)));
+    const { contents, downloadedCount, downloadedBytes } = await loadShards(
+      remoteData, shards, passphrase, source, knownData
+    );
+    const data = joinShards(contents);
+    return {
+      payload: {
+        version: index.version,
+        exportedAt: index.exportedAt,
+        syncedBy: index.syncedBy || null,
+        syncedAt: remoteData.syncedAt,
+        localModifiedAt: remoteData.localModifiedAt,
+        data: filterDataByScopes(data, scopes),
+      },
+      needsPush,
+      remote: needsPush
+        ? { excludedData: filterDataByScopes(data, scopes, true), devices: index.devices || {} }
+        : { shards: index.shards, shardData: remoteData.shardData || {}, devices: index.devices || {} },
+      stats: { shardCount: index.shards.length, downloadedCount, downloadedBytes },
+    };
+  }
+  
+  // A single export, plain or in one encryption envelope (written sharded by the next push)
+  let payload = remoteData;
+  let needsPush = encryption.enabled;
+  if (isEncryptedPayload(remoteData)) {
+    const decrypted = await decryptWithSyncPassphrase(remoteData, encryption);
+    payload = decrypted.value;
+    needsPush = decrypted.isPreviousPassphrase || !encryption.enabled;
+  }
+  if (!payload?.data) {
+    throw new Error(`The data on ${source.provider.name} is not in a format this version of the app can read.`);
+  }
+  return {
+    payload: { ...payload, data: filterDataByScopes(payload.data, scopes) },
+    needsPush,
+    remote: { excludedData: filterDataByScopes(payload.data, scopes, true), devices: {} },
+    stats: { shardCount: null, downloadedCount: null, downloadedBytes: 0 },
+  };
+}
+
 /**
  * Extract file ID from Google Drive share link or URL
  * Supports formats like:
@@ -773,216 +1818,270 @@ export function extractGoogleDriveFileId(input) {
 }
 
 /**
- * Fetch with timeout wrapper and cache-busting
+ * Build the sharded payload of an export (see sync/shards)
+ * Shards whose content matches a remote shard keep its ID and aren't uploaded again (unless
+ * the remote keeps them in the manifest). Remote shards outside the scopes are kept.
+ * @param {object} exportData - From exportAllData, with the data inside the scopes
+ * @param {object} metadata - { syncedAt, localModifiedAt, devices, device }, where device is
+ *   { id, name } of this device
+ * @param {string|null} passphrase - Encrypt the index and the shards with this passphrase
+ * @param {object|null} remote - What the remote stores (see readRemotePayload)
+ * @param {object} [scopes] - The sync scopes exportData holds (see sync/scopes)
+ * @returns {Promise<object>} - The manifest, with the new shards in shardData
  */
-async function fetchWithTimeout(url, options = {}, timeoutMs = 15000) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+async function buildShardedPayload(exportData, metadata, passphrase, remote, scopes) {
+  const remoteShards = remote?.shards || [];
+  const remoteByName = new Map(remoteShards.map((shard) => [shard.name, shard]));
+  const shards = [];
+  const shardData = {};
+  const keep = (shard) => {
+    shards.push(shard);
+    // Providers without readShards keep the shard in the manifest
+    if (remote.shardData[shard.id] !== undefined) shardData[shard.id] = remote.shardData[shard.id];
+  };
   
-  try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-      // Disable caching
-      cache: 'no-store',
-      headers: {
-        ...options.headers,
-        'Cache-Control': 'no-cache, no-store, must-revalidate',
-        'Pragma': 'no-cache',
-      },
-    });
-    clearTimeout(timeoutId);
-    return response;
-  } catch (error) {
-    clearTimeout(timeoutId);
-    if (error.name === 'AbortError') {
-      throw new Error('Request timed out');
+  remoteShards.filter((shard) => !isScopeSynced(scopes, getShardScope(shard.name))).forEach(keep);
+  for (const [name, content] of splitIntoShards(exportData.data)) {
+    const hash = await hashShard(content);
+    const remoteShard = remoteByName.get(name);
+    if (remoteShard?.hash === hash) {
+      keep(remoteShard);
+      continue;
     }
-    throw error;
+    const id = createShardId();
+    shardData[id] = await encodeShard(content, passphrase);
+    shards.push({ name, id, hash, count: getShardRecordCount(content) });
   }
+  
+  const index = {
+    version: exportData.version,
+    exportedAt: exportData.exportedAt,
+    shards,
+    devices: metadata.devices,
+    // The device that pushed, for snapshots of encrypted data (see pushToRemote)
+    syncedBy: metadata.device,
+  };
+  return {
+    format: SHARDED_FORMAT,
+    version: SHARDED_VERSION,
+    syncedAt: metadata.syncedAt,
+    localModifiedAt: metadata.localModifiedAt,
+    shardIds: shards.map((shard) => shard.id),
+    index: passphrase ? await encryptSyncPayload(index, passphrase) : index,
+    shardData,
+  };
 }
 
 /**
- * Fetch data from Google Drive using Google Apps Script
- * 
- * IMPORTANT: We must NOT send custom headers (Cache-Control, Pragma, etc.)
- * because they trigger a CORS preflight (OPTIONS) request that Google Apps Script
- * cannot handle. We use a simple GET with only a cache-buster query parameter.
- * 
- * @param {string} scriptEndpoint - The Google Apps Script Web App URL
- * @param {string} fileId - The Google Drive file ID
- * @returns {Promise<Object>} The parsed JSON data from the file
+ * Push local data to the configured sync provider
+ * Only the sync scopes this device syncs are pushed; the remote data of the others is kept.
+ * @param {*} expectedRevision - The remote revision the local data was merged with (null if
+ *   the remote had no data); the push fails with SYNC_ERRORS.STALE_REVISION if it changed
+ * @param {object} [options]
+ * @param {object} [options.stats] - Sync log stats to fill in (see createSyncStats)
+ * @param {object} [options.remote] - What the remote already stores (see readRemotePayload);
+ *   only the shards that changed are uploaded
  */
-export async function fetchFromGoogleDrive(scriptEndpoint, fileId) {
-  if (!scriptEndpoint) {
-    throw new Error('Google Apps Script endpoint is required. Please configure it in Settings.');
-  }
+export async function pushToRemote(expectedRevision, { stats = null, remote = null } = {}) {
+  const settings = await getSyncSettings();
+  const provider = getSyncProvider(settings.provider);
   
-  if (!fileId) {
-    throw new Error('Google Drive file ID is required. Please configure it in Settings.');
+  if (!provider.isConfigured(settings)) {
+    throw new Error(`${provider.name} sync is not configured. Please set it up in Settings.`);
   }
   
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 20000);
+  // Export the synced part of the local data
+  const exportData = await exportAllData({ scopes: settings.scopes });
+  const syncedAt = new Date().toISOString();
+  // Data outside the scopes that has to be written again, e.g. re-encrypted
+  const pushedData = remote?.excludedData
+    ? { ...exportData, data: combineScopedData(exportData.data, remote.excludedData) }
+    : exportData;
   
-  try {
-    console.log('Fetching from Google Drive via Apps Script...');
-    const cacheBuster = Date.now();
-    const url = `${scriptEndpoint}?fileId=${encodeURIComponent(fileId)}&_cb=${cacheBuster}`;
-    
-    // Simple fetch with NO custom headers to avoid CORS preflight
-    const response = await fetch(url, {
-      method: 'GET',
-      signal: controller.signal,
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    
-    // Check for error in response
-    if (data.error) {
-      throw new Error(data.message || data.error);
-    }
-    
-    console.log('✓ Successfully fetched data from Google Drive');
-    return data;
-    
-  } catch (error) {
-    clearTimeout(timeoutId);
-    console.error('✗ Failed to fetch from Google Drive:', error.message);
-    
-    // Provide helpful error message
-    let errorMsg = `Sync failed: ${error.message}\n\n`;
-    
-    if (error.name === 'AbortError') {
-      errorMsg = `Request timed out.\n\nCheck that your Apps Script URL is correct and the script is deployed.`;
-    } else if (error.message.includes('Failed to fetch')) {
-      errorMsg += `Check that:\n`;
-      errorMsg += `1. Your Apps Script URL is correct\n`;
-      errorMsg += `2. The script is deployed as a Web App with "Who has access" set to "Anyone"\n`;
-      errorMsg += `3. You authorized the script when deploying\n`;
-    } else if (error.message.includes('File') || error.message.includes('file')) {
-      errorMsg += `Check that:\n`;
-      errorMsg += `1. The file ID is correct\n`;
-      errorMsg += `2. The file exists in YOUR Google Drive\n`;
-      errorMsg += `3. The file contains valid JSON data\n`;
-    }
-    
-    throw new Error(errorMsg);
-  }
-}
-
-/**
- * Push data to Google Drive using Google Apps Script
- * Uses the same endpoint as reading (handles both GET and POST)
- */
-export async function pushToGoogleDrive() {
-  const settings = await getGoogleDriveSyncSettings();
+  // Encrypted before the data leaves the device
+  const encryption = await getSyncEncryptionSettings();
+  const devices = await updateDeviceRegistry(remote?.devices || {}, syncedAt);
+  const device = await getDeviceInfo();
+  const body = await buildShardedPayload(
+    pushedData,
+    { syncedAt, localModifiedAt: await getLocalDataModifiedAt(), devices, device: { id: device.id, name: device.name } },
+    encryption.enabled ? encryption.passphrase : null,
+    remote,
+    settings.scopes
+  );
   
-  if (!settings.scriptEndpoint) {
-    throw new Error('Google Apps Script endpoint not configured. Please set it up in Settings.');
+  // Label the snapshot the provider keeps of this push. The label is stored in plain text,
+  // so encrypted data gets none; the device is in the encrypted index instead. Counts aren't
+  // known for shards carried over from the remote.
+  if (!encryption.enabled) {
+    const countsKnown = !remote?.shards || !hasExcludedScopes(settings.scopes);
+    body.snapshotInfo = {
+      deviceId: device.id,
+      deviceName: device.name,
+      ...(countsKnown && getSnapshotCounts(pushedData.data)),
+    };
   }
-  
-  if (!settings.fileId) {
-    throw new Error('Google Drive file ID not configured. Please set it up in Settings.');
+  if (stats) {
+    stats.uploadedBytes = getPayloadSize(body);
+    stats.shardsUploaded = Object.keys(body.shardData).length;
   }
   
-  // Export all local data
-  const exportData = await exportAllData();
-  
-  // Add sync metadata
-  const syncData = {
-    ...exportData,
-    syncedAt: new Date().toISOString(),
-    localModifiedAt: await getLocalDataModifiedAt(),
-  };
-  
   try {
-    console.log('Pushing data to Google Drive via Apps Script...');
-    
-    // Use 'text/plain' content type to avoid CORS preflight
-    // (application/json triggers preflight, text/plain does not)
-    // The Apps Script doPost() can still parse JSON from text/plain body
-    const response = await fetch(`${settings.scriptEndpoint}?fileId=${encodeURIComponent(settings.fileId)}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'text/plain',
-      },
-      body: JSON.stringify(syncData),
-    });
+    await provider.write(settings, body, expectedRevision);
+    if (stats) stats.pushed = true;
     
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    let result;
-    try {
-      result = await response.json();
-    } catch {
-      // If we can't parse response, assume success if status was OK
-      result = { success: true };
-    }
+    // The pushed data is what both sides now agree on
+    await setSetting(SYNC_BASE_SETTING, exportData.data);
+    await setSetting(SYNC_DEVICES_SETTING, devices);
+    await setSetting(FORGOTTEN_DEVICES_SETTING, []);
     
-    if (result.error) {
-      throw new Error(result.message || result.error);
+    // The cloud copy no longer uses an old passphrase
+    if (encryption.previousPassphrase) {
+      await setSetting(SYNC_ENCRYPTION_SETTING, { ...encryption, previousPassphrase: '' });
     }
     
-    console.log('✓ Successfully pushed data to Google Drive');
-    
     // Update last sync timestamp
-    await setGoogleDriveSyncSettings({
+    await setSyncSettings({
       lastSyncAt: new Date().toISOString(),
     });
     
     return {
       action: SYNC_RESULT.PUSHED,
-      timestamp: syncData.syncedAt,
+      timestamp: syncedAt,
     };
   } catch (error) {
-    console.error('Failed to push to Google Drive:', error);
-    throw new Error('Failed to push data to Google Drive: ' + error.message);
+    // Left as is so syncWithRemote can retry
+    if (error.code === SYNC_ERRORS.STALE_REVISION) throw error;
+    console.error(`Failed to push to ${provider.name}:`, error);
+    throw new Error(`Failed to push data to ${provider.name}: ${error.message}`, { cause: error });
   }
 }
 
 /**
- * Sync data with Google Drive using Google Apps Script
- * Compares local and remote timestamps and syncs accordingly:
- * - FIRST SYNC (never synced before): Always pull from Google Drive, replacing local data
- * - If remote is newer: pull from Google Drive
- * - If local is newer: push to Google Drive
- * - If same: no action needed
+ * Sync data with the configured sync provider
+ * - FIRST SYNC (never synced before): Always pull from the provider, replacing local data
+ *   (if the provider has no data yet, local data is pushed instead)
+ * - Otherwise: three-way merge of local and remote data against the dataset from the last
+ *   sync (see utils/syncMerge). Changes made on either side survive; records edited on both
+ *   sides are merged field by field, with the newer edit winning overlapping fields.
+ *   The merged data is written locally and/or pushed, depending on which side it changes.
+ * Pushes only succeed if the remote data is unchanged since it was fetched. If another
+ * device pushed in between, or an edit was saved here before the merge result is applied,
+ * the whole fetch-merge-push cycle runs again.
+ * Every cycle is recorded in the sync log (see getSyncLog).
+ * On success the local changes made before the sync are no longer pending (see getPendingSync).
  */
-export async function syncFromGoogleDrive() {
-  const settings = await getGoogleDriveSyncSettings();
-  
-  if (!settings.scriptEndpoint) {
-    throw new Error('Google Apps Script endpoint not configured. Please set it up in Settings.');
+export async function syncWithRemote() {
+  const { count: pendingCount } = await getPendingSync();
+  for (let attempt = 1; ; attempt++) {
+    const stats = createSyncStats();
+    const startedAt = new Date();
+    try {
+      const result = await runSyncCycle(stats);
+      await addSyncLogEntry(createSyncLogEntry(stats, startedAt, attempt, result));
+      await clearSyncPending(pendingCount);
+      return result;
+    } catch (error) {
+      await addSyncLogEntry(createSyncLogEntry(stats, startedAt, attempt, null, error));
+      const isRetryable = error.code === SYNC_ERRORS.STALE_REVISION || error.code === SYNC_ERRORS.LOCAL_CHANGED;
+      if (!isRetryable || attempt >= MAX_SYNC_ATTEMPTS) {
+        throw error;
+      }
+      const changed = error.code === SYNC_ERRORS.LOCAL_CHANGED ? 'Local' : 'Remote';
+      console.log(`${changed} data changed during sync, retrying (attempt ${attempt + 1} of ${MAX_SYNC_ATTEMPTS})...`);
+    }
   }
+}
+
+/**
+ * Make sure no edit was saved since local data was exported for a sync cycle
+ * Importing the cycle's result replaces the local stores, which would drop the edit, so the
+ * cycle starts over instead (see syncWithRemote).
+ * @throws {Error} - With error.code SYNC_ERRORS.LOCAL_CHANGED
+ */
+async function assertLocalUnchangedSince(exportedModifiedAt) {
+  if ((await getLocalDataModifiedAt()) !== exportedModifiedAt) {
+    const error = new Error('Local data was changed during sync');
+    error.code = SYNC_ERRORS.LOCAL_CHANGED;
+    throw error;
+  }
+}
+
+/**
+ * Run one fetch-merge-push cycle (see syncWithRemote)
+ * @param {object} stats - Filled in for the sync log as the cycle goes (see createSyncStats)
+ */
+async function runSyncCycle(stats) {
+  const settings = await getSyncSettings();
+  const provider = getSyncProvider(settings.provider);
+  stats.provider = provider.name;
+  stats.lastSyncAt = settings.lastSyncAt;
   
-  if (!settings.fileId) {
-    throw new Error('Google Drive file ID not configured. Please set it up in Settings.');
+  if (!provider.isConfigured(settings)) {
+    throw new Error(`${provider.name} sync is not configured. Please set it up in Settings.`);
   }
   
   // Check if this is the first sync (never synced before)
   const isFirstSync = !settings.lastSyncAt;
+  stats.isFirstSync = isFirstSync;
+  
+  // Data outside the sync scopes stays out of the merge, so it is neither pushed nor
+  // taken for deleted (see sync/scopes)
+  const { scopes } = settings;
+  // Read before exporting, so an edit made during the export can only cause a needless retry
+  const exportedModifiedAt = await getLocalDataModifiedAt();
+  const localData = await exportAllData({ scopes });
+  stats.localCounts = getSnapshotCounts(localData.data);
+  
+  const fetched = await provider.read(settings);
+  stats.downloadedBytes = fetched ? getPayloadSize(fetched.payload) : 0;
+  
+  // Nothing stored remotely yet: this device's data becomes the remote copy
+  if (!fetched) {
+    console.log(`No data on ${provider.name} yet - pushing local data...`);
+    const pushResult = await pushToRemote(null, { stats });
+    return {
+      ...pushResult,
+      localTimestamp: await getLocalDataModifiedAt(),
+      remoteTimestamp: null,
+      isFirstSync,
+    };
+  }
   
-  // Fetch remote data from Google Drive via Apps Script
-  const remoteData = await fetchFromGoogleDrive(settings.scriptEndpoint, settings.fileId);
+  // Decrypt the remote data if needed, downloading only shards that differ from the local
+  // data and the last synced data. The base may be from before a scope was turned off.
+  const storedBase = await getSetting(SYNC_BASE_SETTING);
+  const base = storedBase ? filterDataByScopes(storedBase, scopes) : null;
+  const { payload: remoteData, needsPush, remote, stats: shardStats } = await readRemotePayload(
+    fetched.payload,
+    { settings, provider },
+    [localData.data, base],
+    scopes
+  );
+  stats.downloadedBytes += shardStats.downloadedBytes;
+  stats.shardCount = shardStats.shardCount;
+  stats.shardsDownloaded = shardStats.downloadedCount;
+  await setSetting(SYNC_DEVICES_SETTING, remote.devices);
+  // Also push when nothing changed but this device's registry entry is out of date
+  const registryOutdated = await isDeviceRegistryOutdated(remote.devices);
   
   // Get timestamps
   const localModifiedAt = await getLocalDataModifiedAt();
   const remoteModifiedAt = remoteData.localModifiedAt || remoteData.syncedAt || remoteData.exportedAt;
+  stats.encrypted = isEncryptedPayload(fetched.payload) || isEncryptedPayload(fetched.payload.index);
+  stats.remoteCounts = getSnapshotCounts(remoteData.data || {});
+  stats.localModifiedAt = localModifiedAt;
+  stats.remoteModifiedAt = remoteModifiedAt;
   
   // FIRST SYNC: Always pull from cloud, replacing local data (no push allowed)
   if (isFirstSync) {
-    console.log('First sync detected - pulling from Google Drive and replacing local data...');
+    console.log(`First sync detected - pulling from ${provider.name} and replacing local data...`);
     // Use preserveLocalTimestamp: true so we can set it to remote timestamp ourselves
-    const importResult = await importAllData(remoteData, { preserveLocalTimestamp: true });
+    await assertLocalUnchangedSince(exportedModifiedAt);
+    const importResult = await importAllData(remoteData, { preserveLocalTimestamp: true, keepHistory: true, scopes });
+    stats.pulled = true;
+    stats.tasksImported = importResult.tasksImported;
+    stats.habitsImported = importResult.habitsImported;
     
     // Set the local modified timestamp to match the remote
     // This prevents immediate re-sync
@@ -990,11 +2089,19 @@ export async function syncFromGoogleDrive() {
       await setSetting('localDataModifiedAt', remoteModifiedAt);
     }
     
+    // The pulled data becomes the base for the next merge
+    await setSetting(SYNC_BASE_SETTING, (await exportAllData({ scopes })).data);
+    
     // Update last sync timestamp (marks that first sync is complete)
-    await setGoogleDriveSyncSettings({
+    await setSyncSettings({
       lastSyncAt: new Date().toISOString(),
     });
     
+    // Same data, but the cloud copy's encryption (or device registry) has to be updated
+    if (needsPush || registryOutdated) {
+      await pushToRemote(fetched.revision, { stats, remote });
+    }
+    
     return {
       action: SYNC_RESULT.PULLED,
       tasksImported: importResult.tasksImported,
@@ -1005,53 +2112,63 @@ export async function syncFromGoogleDrive() {
     };
   }
   
-  // Compare timestamps for subsequent syncs
-  const localTime = localModifiedAt ? new Date(localModifiedAt).getTime() : 0;
-  const remoteTime = remoteModifiedAt ? new Date(remoteModifiedAt).getTime() : 0;
+  // Merge record by record against the last synced dataset
+  const merge = mergeSyncData(base, localData.data, remoteData.data || {});
+  if (merge.conflicts.length > 0) {
+    console.log(`Resolved ${merge.conflicts.length} sync conflict(s)`, merge.conflicts);
+    await addSyncConflicts(merge.conflicts);
+  }
+  stats.conflictCount = merge.conflicts.length;
   
-  // If local is newer, push to Google Drive
-  if (localTime > remoteTime) {
-    console.log('Local data is newer, pushing to Google Drive...');
-    const result = await pushToGoogleDrive();
-    return {
-      action: SYNC_RESULT.PUSHED,
-      localTimestamp: localModifiedAt,
-      remoteTimestamp: remoteModifiedAt,
-    };
+  let importResult = null;
+  if (merge.localChanged) {
+    console.log('Applying remote changes to local data...');
+    // Use preserveLocalTimestamp: true so we can set the timestamp ourselves
+    await assertLocalUnchangedSince(exportedModifiedAt);
+    importResult = await importAllData({ data: merge.data }, { preserveLocalTimestamp: true, keepHistory: true, scopes });
+    stats.pulled = true;
+    stats.tasksImported = importResult.tasksImported;
+    stats.habitsImported = importResult.habitsImported;
+    // If nothing needs pushing, local now matches the remote data
+    await setSetting(
+      'localDataModifiedAt',
+      merge.remoteChanged || !remoteModifiedAt ? new Date().toISOString() : remoteModifiedAt
+    );
   }
   
-  // If remote is newer, pull from Google Drive
-  if (remoteTime > localTime) {
-    console.log('Remote data is newer, pulling from Google Drive...');
-    // Use preserveLocalTimestamp: true so we can set it to remote timestamp ourselves
-    const importResult = await importAllData(remoteData, { preserveLocalTimestamp: true });
-    
-    // Set the local modified timestamp to match the remote
-    // This prevents immediate re-sync
-    if (remoteModifiedAt) {
-      await setSetting('localDataModifiedAt', remoteModifiedAt);
-    }
-    
-    // Update last sync timestamp
-    await setGoogleDriveSyncSettings({
+  if (merge.remoteChanged || needsPush || registryOutdated) {
+    console.log(`Pushing merged data to ${provider.name}...`);
+    // Also stores the pushed data as the new merge base
+    await pushToRemote(fetched.revision, { stats, remote });
+  } else {
+    await setSetting(SYNC_BASE_SETTING, (await exportAllData({ scopes })).data);
+    await setSyncSettings({
       lastSyncAt: new Date().toISOString(),
     });
-    
+  }
+  
+  if (merge.localChanged) {
     return {
       action: SYNC_RESULT.PULLED,
       tasksImported: importResult.tasksImported,
       habitsImported: importResult.habitsImported,
+      pushed: merge.remoteChanged,
+      conflicts: merge.conflicts,
       localTimestamp: localModifiedAt,
       remoteTimestamp: remoteModifiedAt,
     };
   }
   
-  // Timestamps are equal or both null - already in sync
-  console.log('Data is already in sync');
-  await setGoogleDriveSyncSettings({
-    lastSyncAt: new Date().toISOString(),
-  });
+  if (merge.remoteChanged || needsPush) {
+    return {
+      action: SYNC_RESULT.PUSHED,
+      conflicts: merge.conflicts,
+      localTimestamp: localModifiedAt,
+      remoteTimestamp: remoteModifiedAt,
+    };
+  }
   
+  console.log('Data is already in sync');
   return {
     action: SYNC_RESULT.UP_TO_DATE,
     localTimestamp: localModifiedAt,
@@ -1059,3 +2176,476 @@ export async function syncFromGoogleDrive() {
   };
 }
 
+// ============================================
+// Sync Log (diagnostics)
+// ============================================
+
+// Entries to keep; the oldest are dropped first
+const SYNC_LOG_LIMIT = 200;
+
+// What a sync attempt changed
+export const SYNC_LOG_DIRECTIONS = {
+  PULL: 'pull',   // Remote changes were applied locally
+  PUSH: 'push',   // Local data was uploaded
+  BOTH: 'both',
+  NONE: 'none',   // Nothing changed (or the attempt failed before changing anything)
+};
+
+/**
+ * Create the stats runSyncCycle fills in for the sync log
+ */
+function createSyncStats() {
+  return {
+    provider: null,
+    isFirstSync: null,
+    lastSyncAt: null,
+    localModifiedAt: null,
+    remoteModifiedAt: null,
+    localCounts: null,   // { taskCount, habitCount } before the sync
+    remoteCounts: null,  // { taskCount, habitCount } of the fetched data
+    encrypted: null,
+    downloadedBytes: null,
+    uploadedBytes: null,
+    shardCount: null,      // Shards of the fetched data (null for the single-file format)
+    shardsDownloaded: null,
+    shardsUploaded: null,
+    pulled: false,
+    pushed: false,
+    tasksImported: null,
+    habitsImported: null,
+    conflictCount: null,
+  };
+}
+
+function getPayloadSize(payload) {
+  return new TextEncoder().encode(JSON.stringify(payload)).length;
+}
+
+function serializeError(error) {
+  if (!error) return null;
+  return {
+    name: error.name || 'Error',
+    message: error.message || String(error),
+    code: error.code ?? null,
+    stack: error.stack || null,
+    cause: error.cause ? serializeError(error.cause) : null,
+  };
+}
+
+/**
+ * Build a sync log entry from a finished sync attempt
+ * @param {object} stats - From createSyncStats, filled in by runSyncCycle
+ * @param {Date} startedAt - When the attempt started
+ * @param {number} attempt - Attempt number within the sync (retries follow stale pushes)
+ * @param {object|null} result - The sync result, null if the attempt failed
+ * @param {Error} [error] - Why the attempt failed
+ */
+function createSyncLogEntry(stats, startedAt, attempt, result, error = null) {
+  const finishedAt = new Date();
+  const { pulled, pushed, ...details } = stats;
+  let direction = SYNC_LOG_DIRECTIONS.NONE;
+  if (pulled && pushed) direction = SYNC_LOG_DIRECTIONS.BOTH;
+  else if (pulled) direction = SYNC_LOG_DIRECTIONS.PULL;
+  else if (pushed) direction = SYNC_LOG_DIRECTIONS.PUSH;
+
+  return {
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    attempt,
+    success: !error,
+    action: result?.action ?? SYNC_RESULT.ERROR,
+    direction,
+    ...details,
+    error: serializeError(error),
+  };
+}
+
+/**
+ * Store a sync log entry, dropping the oldest beyond SYNC_LOG_LIMIT
+ * Never throws: a failing log must not fail the sync.
+ */
+async function addSyncLogEntry(entry) {
+  try {
+    const db = await initDB();
+    const tx = db.transaction(SYNC_LOG_STORE, 'readwrite');
+    await tx.store.add(entry);
+    let excess = (await tx.store.count()) - SYNC_LOG_LIMIT;
+    let cursor = excess > 0 ? await tx.store.openCursor() : null;
+    while (cursor && excess > 0) {
+      await cursor.delete();
+      excess--;
+      cursor = await cursor.continue();
+    }
+    await tx.done;
+  } catch (error) {
+    console.warn('Failed to write the sync log:', error);
+  }
+}
+
+/**
+ * Get the sync log, newest first
+ * @returns {Promise<Array>} - Entries from createSyncLogEntry, with their id
+ */
+export async function getSyncLog() {
+  const db = await initDB();
+  const entries = await db.getAll(SYNC_LOG_STORE);
+  return entries.reverse();
+}
+
+/**
+ * Delete all sync log entries
+ */
+export async function clearSyncLog() {
+  const db = await initDB();
+  await db.clear(SYNC_LOG_STORE);
+}
+
+// ============================================
+// Version History (remote snapshots)
+// ============================================
+
+/**
+ * Count the live (not trashed) tasks and habit entries of a dataset
+ */
+function getSnapshotCounts(data) {
+  const countLive = (records = []) => records.filter((record) => !record.deletedAt).length;
+  return {
+    taskCount: countLive(data?.tasks),
+    habitCount: countLive(data?.habits),
+  };
+}
+
+/**
+ * Get the configured sync provider, or throw if sync isn't set up
+ */
+async function getConfiguredProvider() {
+  const settings = await getSyncSettings();
+  const provider = getSyncProvider(settings.provider);
+  if (!isSyncConfigured(settings)) {
+    throw new Error(`${provider.name} sync is not configured. Please set it up in Settings.`);
+  }
+  return { settings, provider };
+}
+
+/**
+ * Get the configured sync provider, or throw if it doesn't keep snapshots
+ */
+async function getSnapshotProvider() {
+  const { settings, provider } = await getConfiguredProvider();
+  if (!hasVersionHistory(settings.provider)) {
+    throw new Error(`${provider.name} sync does not keep a version history.`);
+  }
+  return { settings, provider };
+}
+
+/**
+ * List the snapshots the sync provider kept of earlier pushes, newest first
+ * @returns {Promise<Array>} - [{ id, createdAt, revision, deviceName, taskCount, habitCount }]
+ *   (deviceName, taskCount and habitCount are null for encrypted snapshots)
+ */
+export async function listRemoteSnapshots() {
+  const { settings, provider } = await getSnapshotProvider();
+  const snapshots = await provider.listSnapshots(settings);
+  return [...snapshots].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Download and decrypt a snapshot
+ * @param {string} id - The snapshot ID
+ * @returns {Promise<object>} - The snapshot's sync payload (an export), with taskCount, habitCount
+ *   and deviceName (which the list only has for unencrypted snapshots)
+ */
+export async function getRemoteSnapshot(id) {
+  const { settings, provider } = await getSnapshotProvider();
+  const stored = await provider.readSnapshot(settings, id);
+  if (!stored) {
+    throw new Error('This snapshot is empty');
+  }
+  const { payload } = await readRemotePayload(stored, { settings, provider }, [await getSetting(SYNC_BASE_SETTING)]);
+  return { ...payload, ...getSnapshotCounts(payload.data), deviceName: payload.syncedBy?.name || null };
+}
+
+/**
+ * Roll local data back to a snapshot and sync the result to other devices
+ * Restored records are stamped as edited now and their tombstones are dropped, so the
+ * rollback wins the merge against deletions and edits made after the snapshot.
+ * Records created after the snapshot are removed. Only the synced scopes are restored.
+ * @param {string} id - The snapshot ID
+ * @returns {Promise<object>} - The import result, plus syncError if the follow-up sync failed
+ */
+export async function restoreRemoteSnapshot(id) {
+  const snapshot = await getRemoteSnapshot(id);
+  const { scopes } = await getSyncSettings();
+  const data = filterDataByScopes(snapshot.data || {}, scopes);
+  const restoredAt = new Date().toISOString();
+  const touch = (record) => ({ ...record, updatedAt: restoredAt });
+  const tasks = (data.tasks || []).map(touch);
+  const habits = (data.habits || []).map(touch);
+  
+  const restoredKeys = new Set([
+    ...tasks.map((task) => `${SEARCH_RESULT_TYPES.TASK}:${task.id}`),
+    ...habits.map((habit) => `${SEARCH_RESULT_TYPES.HABIT}:${habit.id}`),
+  ]);
+  // importAllData merges in local tombstones, so drop those first
+  const db = await initDB();
+  for (const key of restoredKeys) {
+    await db.delete(TOMBSTONES_STORE, key);
+  }
+  const tombstones = (data.tombstones || []).filter((tombstone) => !restoredKeys.has(tombstone.key));
+  
+  // No timestamp on the import data, so the local modified time becomes now
+  const result = await importAllData({ data: { ...data, tasks, habits, tombstones } }, { scopes });
+  
+  try {
+    await syncWithRemote();
+  } catch (error) {
+    console.error('Failed to sync the restored data:', error);
+    return { ...result, syncError: error.message };
+  }
+  return result;
+}
+
+// ============================================
+// Device Registry
+// ============================================
+//
+// The sync payload lists the devices that sync with it, in the index (so it is encrypted
+// along with the data): { <deviceId>: { name, lastSeenAt, appVersion, platform } }.
+// Every push updates this device's entry. A sync with nothing to push still pushes once
+// the entry is DEVICE_SEEN_REFRESH_DAYS old, so devices that only pull don't look unused.
+
+// Setting caching the registry from the last sync, for the device list in Settings
+const SYNC_DEVICES_SETTING = 'syncDevices';
+// Device-only setting with the IDs of devices to remove from the registry on the next push
+const FORGOTTEN_DEVICES_SETTING = 'forgottenSyncDevices';
+const DEVICE_SEEN_REFRESH_DAYS = 7;
+
+async function getDeviceRegistryEntry() {
+  const device = await getDeviceInfo();
+  return { id: device.id, name: device.name, appVersion: APP_VERSION, platform: getDevicePlatform() };
+}
+
+/**
+ * Check whether the remote registry needs this device's entry updated or forgotten devices removed
+ */
+async function isDeviceRegistryOutdated(devices) {
+  const { id, ...current } = await getDeviceRegistryEntry();
+  const stored = devices[id];
+  const forgotten = (await getSetting(FORGOTTEN_DEVICES_SETTING)) || [];
+  const refreshBefore = new Date(Date.now() - DEVICE_SEEN_REFRESH_DAYS * 86400000).toISOString();
+  return !stored ||
+    Object.entries(current).some(([key, value]) => stored[key] !== value) ||
+    !stored.lastSeenAt || stored.lastSeenAt < refreshBefore ||
+    forgotten.some((forgottenId) => devices[forgottenId]);
+}
+
+/**
+ * Get the registry to push: this device's entry updated, forgotten devices removed
+ */
+async function updateDeviceRegistry(devices, seenAt) {
+  const { id, ...current } = await getDeviceRegistryEntry();
+  const forgotten = new Set((await getSetting(FORGOTTEN_DEVICES_SETTING)) || []);
+  return {
+    ...Object.fromEntries(Object.entries(devices).filter(([deviceId]) => !forgotten.has(deviceId))),
+    [id]: { ...current, lastSeenAt: seenAt },
+  };
+}
+
+/**
+ * List the devices that sync with the sync provider, as of the last sync, most recently seen first
+ * This device is always listed, with its current name (lastSeenAt is null before it pushed).
+ * @returns {Promise<Array>} - [{ id, name, lastSeenAt, appVersion, platform, isCurrent }]
+ */
+export async function getSyncDevices() {
+  const devices = (await getSetting(SYNC_DEVICES_SETTING)) || {};
+  const forgotten = new Set((await getSetting(FORGOTTEN_DEVICES_SETTING)) || []);
+  const { id: currentId, ...current } = await getDeviceRegistryEntry();
+  const listed = {
+    ...devices,
+    [currentId]: { lastSeenAt: null, ...devices[currentId], ...current },
+  };
+  return Object.entries(listed)
+    .filter(([id]) => !forgotten.has(id))
+    .map(([id, device]) => ({ ...device, id, isCurrent: id === currentId }))
+    .sort((a, b) => String(b.lastSeenAt).localeCompare(String(a.lastSeenAt)));
+}
+
+/**
+ * Remove another device from the device registry
+ * It is removed remotely with the next push; if the device syncs again, it is listed again.
+ */
+export async function forgetSyncDevice(id) {
+  const forgotten = (await getSetting(FORGOTTEN_DEVICES_SETTING)) || [];
+  if (!forgotten.includes(id)) {
+    await setSetting(FORGOTTEN_DEVICES_SETTING, [...forgotten, id]);
+  }
+}
+
+// ============================================
+// Device-to-Device Sync (see sync/peerSync)
+// ============================================
+
+// Setting holding, per paired device ID, { data, syncedAt } of the last sync with that
+// device (the base of the three-way merge)
+const PEER_SYNC_BASES_SETTING = 'peerSyncBases';
+// Paired devices to remember; the least recently synced are forgotten first
+const PEER_SYNC_BASES_LIMIT = 5;
+
+async function setPeerSyncBase(peerDeviceId, data) {
+  const bases = { ...(await getSetting(PEER_SYNC_BASES_SETTING)), [peerDeviceId]: { data, syncedAt: new Date().toISOString() } };
+  const kept = Object.entries(bases)
+    .sort(([, a], [, b]) => b.syncedAt.localeCompare(a.syncedAt))
+    .slice(0, PEER_SYNC_BASES_LIMIT);
+  await setSetting(PEER_SYNC_BASES_SETTING, Object.fromEntries(kept));
+}
+
+/**
+ * Write a merged dataset locally if it changed this device's data
+ * @param {object} merge - The result of mergeSyncData
+ * @param {string} peerName - Shown instead of "Cloud" when reviewing the conflicts
+ * @param {object} scopes - The sync scopes the merge covers
+ */
+async function applyMergeLocally(merge, peerName, scopes) {
+  if (merge.conflicts.length > 0) {
+    await addSyncConflicts(merge.conflicts.map((conflict) => ({ ...conflict, remoteName: peerName })));
+  }
+  if (!merge.localChanged) {
+    return { tasksImported: 0, habitsImported: 0 };
+  }
+  // No timestamp on the import data, so the local modified time becomes now
+  const importResult = await importAllData({ data: merge.data }, { keepHistory: true, scopes });
+  // Pass the changes on to the sync provider, if one is set up
+  triggerAutoSync();
+  return importResult;
+}
+
+/**
+ * Merge another device's dataset into local data (on the device hosting the pairing)
+ * @param {object} peer - The other device's { id, name }
+ * @param {object} peerData - The other device's export data
+ * @param {object} scopes - The sync scopes both devices sync (see sync/scopes)
+ * @returns {Promise<object>} - { data, localChanged, conflicts, tasksImported, habitsImported }
+ *   where data is the merged dataset to send back
+ */
+export async function mergePeerDataset(peer, peerData, scopes) {
+  const bases = (await getSetting(PEER_SYNC_BASES_SETTING)) || {};
+  const base = bases[peer.id] ? filterDataByScopes(bases[peer.id].data, scopes) : null;
+  const localData = (await exportAllData({ scopes })).data;
+  const merge = mergeSyncData(base, localData, filterDataByScopes(peerData || {}, scopes));
+  const importResult = await applyMergeLocally(merge, peer.name, scopes);
+  await setPeerSyncBase(peer.id, merge.data);
+  return {
+    data: merge.data,
+    localChanged: merge.localChanged,
+    conflicts: merge.conflicts,
+    ...importResult,
+  };
+}
+
+/**
+ * Apply the dataset merged by the hosting device
+ * Edits made here while the host was merging are kept by merging once more,
+ * against the dataset that was sent.
+ * @param {object} peer - The hosting device's { id, name }
+ * @param {object} sentData - The export data sent to the host
+ * @param {object} mergedData - The merged dataset from the host
+ * @param {object} scopes - The sync scopes both devices sync (see sync/scopes)
+ * @returns {Promise<object>} - { localChanged, conflicts, tasksImported, habitsImported }
+ */
+export async function applyPeerMergedDataset(peer, sentData, mergedData, scopes) {
+  const localData = (await exportAllData({ scopes })).data;
+  const merge = mergeSyncData(sentData, localData, filterDataByScopes(mergedData || {}, scopes));
+  const importResult = await applyMergeLocally(merge, peer.name, scopes);
+  // The host stored mergedData as its base
+  await setPeerSyncBase(peer.id, mergedData);
+  return {
+    localChanged: merge.localChanged,
+    conflicts: merge.conflicts,
+    ...importResult,
+  };
+}
+
+// ============================================
+// Sync Conflict Review
+// ============================================
+
+/**
+ * Get conflicts that were resolved automatically during sync and await review
+ * Each conflict is { key, type, id, fields, local, remote, resolved, detectedAt }, plus
+ * remoteName when the remote side is another device synced directly (see mergePeerDataset)
+ */
+export async function getSyncConflicts() {
+  return (await getSetting(SYNC_CONFLICTS_SETTING)) || [];
+}
+
+/**
+ * Store newly detected conflicts, replacing older ones for the same record
+ */
+async function addSyncConflicts(conflicts) {
+  const detectedAt = new Date().toISOString();
+  const byKey = new Map((await getSyncConflicts()).map((conflict) => [conflict.key, conflict]));
+  for (const conflict of conflicts) {
+    // Habit conflicts are keyed by date, since both sides may hold different entries for a day
+    const recordKey = conflict.type === SEARCH_RESULT_TYPES.HABIT ? conflict.resolved.date : conflict.id;
+    const key = `${conflict.type}:${recordKey}`;
+    byKey.set(key, { ...conflict, key, detectedAt });
+  }
+  await setSetting(SYNC_CONFLICTS_SETTING, [...byKey.values()]);
+}
+
+/**
+ * Keep the automatic resolution of a conflict and remove it from the review list
+ */
+export async function dismissSyncConflict(key) {
+  const conflicts = await getSyncConflicts();
+  await setSetting(SYNC_CONFLICTS_SETTING, conflicts.filter((conflict) => conflict.key !== key));
+}
+
+/**
+ * Resolve a conflict with the user's choice and sync the result
+ * The chosen record is saved with a new updatedAt so it wins the next merge,
+ * then synced, which pushes it through pushToRemote.
+ * @param {string} key - The conflict key
+ * @param {'local'|'remote'|object} resolution - A side, or { [field]: 'local' | 'remote' }
+ * @returns {object|null} - The sync result, or null if sync isn't configured
+ */
+export async function resolveSyncConflict(key, resolution) {
+  const conflicts = await getSyncConflicts();
+  const conflict = conflicts.find((item) => item.key === key);
+  if (!conflict) {
+    throw new Error(`Sync conflict ${key} not found`);
+  }
+
+  const db = await ensureHabitsStore();
+  const record = { ...buildConflictResolution(conflict, resolution), updatedAt: new Date().toISOString() };
+  if (conflict.type === SEARCH_RESULT_TYPES.TASK) {
+    await db.put(TASKS_STORE, record);
+    if (record.deletedAt) {
+      await removeFromSearchIndex(db, SEARCH_RESULT_TYPES.TASK, record.id);
+    } else {
+      await indexTaskForSearch(db, record);
+    }
+  } else {
+    // Two entries for the same day have different ids; drop the one not chosen
+    const current = await getHabitByDateIncludingDeleted(record.date);
+    if (current && current.id !== record.id) {
+      await purgeRecord(db, SEARCH_RESULT_TYPES.HABIT, current.id);
+    }
+    await db.put(HABITS_STORE, record);
+    if (record.deletedAt) {
+      await removeFromSearchIndex(db, SEARCH_RESULT_TYPES.HABIT, record.id);
+    } else {
+      await indexHabitForSearch(db, record);
+    }
+  }
+
+  await setSetting(SYNC_CONFLICTS_SETTING, conflicts.filter((item) => item.key !== key));
+  await updateLocalDataTimestamp();
+
+  const settings = await getSyncSettings();
+  if (!isSyncConfigured(settings) || !settings.lastSyncAt) {
+    return null;
+  }
+  return syncWithRemote();
+}
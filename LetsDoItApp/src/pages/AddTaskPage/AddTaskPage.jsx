@@ -1,6 +1,7 @@
 import { useEffect, useState, useRef } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
-import { createTask, getAvailableTags, syncFromGoogleDrive, getGoogleDriveSyncSettings } from '../../db/database';
+import { createTask, getAvailableTags, syncWithRemote, getSyncSettings } from '../../db/database';
+import { isSyncConfigured } from '../../sync';
 import { getTodayDateString } from '../../utils/dateUtils';
 import styles from './AddTaskPage.module.css';
 
@@ -96,11 +97,11 @@ function AddTaskPage() {
         setCreatedTask(newTask);
 
         // Check if sync is enabled and trigger sync
-        const syncSettings = await getGoogleDriveSyncSettings();
-        if (syncSettings.enabled && syncSettings.shareLink) {
+        const syncSettings = await getSyncSettings();
+        if (isSyncConfigured(syncSettings)) {
           setStatus('syncing');
           try {
-            await syncFromGoogleDrive();
+            await syncWithRemote();
             setStatus('success');
             // Close after a brief success display
             setTimeout(closeOrRedirect, 800);
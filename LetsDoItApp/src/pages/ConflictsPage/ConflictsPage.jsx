@@ -0,0 +1,267 @@
+import { useState, useEffect, useCallback } from 'react';
+import NavToggle, { SettingsButton, SearchButton } from '../../components/NavToggle';
+import Logo from '../../components/Logo';
+import { useSync } from '../../context';
+import {
+  getSyncConflicts,
+  resolveSyncConflict,
+  dismissSyncConflict,
+  getAvailableTags,
+} from '../../db/database';
+import { getDifferingFields, stableStringify } from '../../utils/syncMerge';
+import { SEARCH_RESULT_TYPES } from '../../utils/searchUtils';
+import { parseDateString, describeRecurrence } from '../../utils/dateUtils';
+import { scoreToEmoji, scoreToLabel } from '../../utils/habitUtils';
+import { getPriorityLevel } from '../../utils/priorityUtils';
+import styles from './ConflictsPage.module.css';
+
+// Display names for record fields
+const FIELD_LABELS = {
+  content: 'Title',
+  note: 'Note',
+  dueDate: 'Due date',
+  doneAt: 'Completed',
+  deletedAt: 'In trash',
+  tags: 'Tags',
+  subtasks: 'Checklist',
+  priority: 'Priority',
+  recurrence: 'Repeat',
+  sortOrder: 'Position',
+  score: 'Mood',
+  gratitude: 'Gratitude',
+  bedtimeThoughts: 'Bedtime thoughts',
+  date: 'Entry',
+};
+
+const formatTimestamp = (timestamp) => {
+  const date = new Date(timestamp);
+  if (isNaN(date)) return String(timestamp);
+  return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+};
+
+const formatDay = (dateStr) => {
+  const date = parseDateString(dateStr);
+  return date
+    ? date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })
+    : String(dateStr);
+};
+
+// Turn a field value into readable text
+const formatFieldValue = (field, value, tags) => {
+  if (value === undefined || value === null || value === '') return '—';
+  switch (field) {
+    case 'doneAt':
+    case 'deletedAt':
+      return formatTimestamp(value);
+    case 'dueDate':
+      return formatDay(String(value).slice(0, 10));
+    case 'tags':
+      return value.map((tagId) => tags.find((tag) => tag.id === tagId)?.name || tagId).join(', ') || '—';
+    case 'subtasks':
+      return value.map((subtask) => `${subtask.doneAt ? '☑' : '☐'} ${subtask.content}`).join('\n') || '—';
+    case 'recurrence':
+      return describeRecurrence(value) || '—';
+    case 'priority':
+      return getPriorityLevel(value).label;
+    case 'score':
+      return `${scoreToEmoji(value)} ${scoreToLabel(value)}`;
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+};
+
+const getConflictTitle = (conflict) => {
+  if (conflict.type === SEARCH_RESULT_TYPES.HABIT) {
+    return `Mood entry · ${formatDay(conflict.resolved.date)}`;
+  }
+  return conflict.resolved.content || conflict.local?.content || 'Untitled task';
+};
+
+// Two different entries for the same day can only be resolved as a whole
+const isWholeRecordConflict = (conflict) => conflict.local?.id !== conflict.remote?.id;
+
+function ConflictCard({ conflict, tags, onResolve, onDismiss, isBusy }) {
+  const wholeRecord = isWholeRecordConflict(conflict);
+  const fields = wholeRecord
+    ? getDifferingFields(conflict.local, conflict.remote).filter((field) => field !== 'id')
+    : getDifferingFields(conflict.local, conflict.remote);
+
+  // Start from the automatic resolution
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(fields.map((field) => [
+      field,
+      stableStringify(conflict.resolved[field]) === stableStringify(conflict.remote?.[field]) ? 'remote' : 'local',
+    ]))
+  );
+
+  const selectField = (field, side) => {
+    if (wholeRecord) return;
+    setChoices((prev) => ({ ...prev, [field]: side }));
+  };
+
+  return (
+    <li className={styles.card}>
+      <div className={styles.cardHeader}>
+        <div className={styles.cardTitleGroup}>
+          <h3 className={styles.cardTitle}>{getConflictTitle(conflict)}</h3>
+          <span className={styles.cardMeta}>Detected {formatTimestamp(conflict.detectedAt)}</span>
+        </div>
+      </div>
+
+      <table className={styles.diffTable}>
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>This device</th>
+            <th>{conflict.remoteName || 'Cloud'}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {fields.map((field) => (
+            <tr key={field} className={conflict.fields.includes(field) ? styles.conflictRow : ''}>
+              <th scope="row">{FIELD_LABELS[field] || field}</th>
+              {['local', 'remote'].map((side) => (
+                <td key={side}>
+                  <button
+                    className={`${styles.valueCell} ${!wholeRecord && choices[field] === side ? styles.chosen : ''}`}
+                    onClick={() => selectField(field, side)}
+                    disabled={wholeRecord || isBusy}
+                  >
+                    {formatFieldValue(field, conflict[side]?.[field], tags)}
+                  </button>
+                </td>
+              ))}
+            </tr>
+          ))}
+          <tr className={styles.metaRow}>
+            <th scope="row">Edited</th>
+            <td>{conflict.local ? formatTimestamp(conflict.local.updatedAt) : '—'}</td>
+            <td>{conflict.remote ? formatTimestamp(conflict.remote.updatedAt) : '—'}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div className={styles.actions}>
+        <button className={styles.secondaryBtn} onClick={() => onDismiss(conflict)} disabled={isBusy}>
+          Keep automatic merge
+        </button>
+        <div className={styles.actionGroup}>
+          <button className={styles.sideBtn} onClick={() => onResolve(conflict, 'local')} disabled={isBusy}>
+            Keep this device
+          </button>
+          <button className={styles.sideBtn} onClick={() => onResolve(conflict, 'remote')} disabled={isBusy}>
+            Keep {conflict.remoteName || 'cloud'}
+          </button>
+          {!wholeRecord && (
+            <button className={styles.primaryBtn} onClick={() => onResolve(conflict, choices)} disabled={isBusy}>
+              Use selection
+            </button>
+          )}
+        </div>
+      </div>
+    </li>
+  );
+}
+
+function ConflictsPage() {
+  const [conflicts, setConflicts] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyKey, setBusyKey] = useState(null);
+  const [error, setError] = useState('');
+  const { lastSyncResult, refreshConflicts } = useSync();
+
+  const loadConflicts = useCallback(async () => {
+    try {
+      const [items, availableTags] = await Promise.all([getSyncConflicts(), getAvailableTags()]);
+      setConflicts(items);
+      setTags(availableTags);
+    } catch (err) {
+      console.error('Failed to load sync conflicts:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadConflicts();
+  }, [loadConflicts]);
+
+  // New conflicts can arrive with any sync
+  useEffect(() => {
+    if (lastSyncResult) {
+      loadConflicts();
+    }
+  }, [lastSyncResult, loadConflicts]);
+
+  const handleResolve = async (conflict, resolution) => {
+    setBusyKey(conflict.key);
+    setError('');
+    try {
+      await resolveSyncConflict(conflict.key, resolution);
+    } catch (err) {
+      console.error('Failed to resolve conflict:', err);
+      setError(err.message || 'Failed to save the resolution');
+    } finally {
+      setBusyKey(null);
+      await loadConflicts();
+      refreshConflicts();
+    }
+  };
+
+  const handleDismiss = async (conflict) => {
+    await dismissSyncConflict(conflict.key);
+    await loadConflicts();
+    refreshConflicts();
+  };
+
+  return (
+    <div className={styles.page}>
+      <header className={styles.header}>
+        <div className={styles.headerContent}>
+          <Logo />
+          <NavToggle />
+          <div className={styles.headerActions}>
+            <SearchButton />
+            <SettingsButton />
+          </div>
+        </div>
+      </header>
+
+      <main className={styles.main}>
+        <div className={styles.container}>
+          <h2 className={styles.title}>Sync conflicts</h2>
+          <p className={styles.subtitle}>
+            These items were changed on this device and in the cloud (or on a device synced directly)
+            since the last sync.
+            They were merged automatically, with the newer edit winning. Pick the version to keep,
+            or click values to combine them field by field.
+          </p>
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          {isLoading ? (
+            <div className={styles.empty}>Loading...</div>
+          ) : conflicts.length === 0 ? (
+            <div className={styles.empty}>No conflicts to review</div>
+          ) : (
+            <ul className={styles.list}>
+              {conflicts.map((conflict) => (
+                <ConflictCard
+                  key={`${conflict.key}-${conflict.detectedAt}`}
+                  conflict={conflict}
+                  tags={tags}
+                  onResolve={handleResolve}
+                  onDismiss={handleDismiss}
+                  isBusy={busyKey === conflict.key}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default ConflictsPage;
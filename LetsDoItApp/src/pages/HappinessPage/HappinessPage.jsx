@@ -1,22 +1,19 @@
-import { useState, useEffect } from 'react';
-import NavToggle, { SettingsButton } from '../../components/NavToggle';
+import { useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import NavToggle, { SettingsButton, SearchButton } from '../../components/NavToggle';
 import HabitTracker from '../../components/HabitTracker';
 import SyncButton from '../../components/SyncButton';
 import Logo from '../../components/Logo';
-import { useSync } from '../../context';
 import styles from './HappinessPage.module.css';
 
 function HappinessPage() {
-  const [refreshKey, setRefreshKey] = useState(0);
-  const { lastSyncResult } = useSync();
+  const location = useLocation();
+  const navigate = useNavigate();
 
-  // Refresh data when sync pulls new data (both manual and automatic)
-  useEffect(() => {
-    if (lastSyncResult?.action === 'pulled') {
-      console.log('Data pulled from cloud, refreshing view...');
-      setRefreshKey((prev) => prev + 1);
-    }
-  }, [lastSyncResult]);
+  // Clear the navigation state once the requested entry is open, so it doesn't reopen on back/refresh
+  const handleOpenDateHandled = useCallback(() => {
+    navigate(location.pathname, { replace: true, state: null });
+  }, [navigate, location.pathname]);
 
   return (
     <div className={styles.page}>
@@ -24,14 +21,18 @@ function HappinessPage() {
         <div className={styles.headerContent}>
           <Logo />
           <NavToggle />
-          <SettingsButton />
+          <div className={styles.headerActions}>
+            <SearchButton />
+            <SettingsButton />
+          </div>
         </div>
       </header>
 
       <main className={styles.main}>
         <HabitTracker 
-          key={refreshKey} 
           headerAction={<SyncButton />}
+          openDate={location.state?.openHabitDate}
+          onOpenDateHandled={handleOpenDateHandled}
         />
       </main>
     </div>
@@ -1,12 +1,14 @@
 import { useState, useCallback, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import DailyTaskList from '../../components/DailyTaskList';
 import WeeklyTaskList from '../../components/WeeklyTaskList';
 import TaskModal from '../../components/TaskModal';
-import NavToggle, { SettingsButton } from '../../components/NavToggle';
+import NavToggle, { SettingsButton, SearchButton } from '../../components/NavToggle';
 import TodoViewToggle from '../../components/TodoViewToggle';
 import SyncButton from '../../components/SyncButton';
 import Logo from '../../components/Logo';
-import { useSync, SYNC_STATE } from '../../context';
+import { useSync, useUndo, SYNC_STATE } from '../../context';
+import { getTask } from '../../db/database';
 import styles from './HomePage.module.css';
 
 function HomePage() {
@@ -14,15 +16,19 @@ function HomePage() {
   const [selectedTask, setSelectedTask] = useState(null);
   const [refreshKey, setRefreshKey] = useState(0);
   
-  const { syncState, lastSyncResult } = useSync();
+  const { syncState } = useSync();
+  const { historyRevision } = useUndo();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const openTaskId = location.state?.openTaskId;
 
   const handleSelectTask = (task) => {
     setSelectedTask(task);
   };
 
-  const handleCloseModal = () => {
+  const handleCloseModal = useCallback(() => {
     setSelectedTask(null);
-  };
+  }, []);
 
   const handleTaskUpdate = useCallback(() => {
     // Trigger refresh by updating key
@@ -34,13 +40,15 @@ function HomePage() {
     setSelectedTask(null);
   };
 
-  // Refresh data when sync pulls new data (both manual and automatic)
+  // Open a task requested through navigation state (e.g. a search result)
   useEffect(() => {
-    if (lastSyncResult?.action === 'pulled') {
-      console.log('Data pulled from cloud, refreshing view...');
-      setRefreshKey((prev) => prev + 1);
-    }
-  }, [lastSyncResult]);
+    if (!openTaskId) return;
+    getTask(openTaskId).then((task) => {
+      if (task) setSelectedTask(task);
+    });
+    // Clear the state so the modal doesn't reopen on back/refresh
+    navigate(location.pathname, { replace: true, state: null });
+  }, [openTaskId, navigate, location.pathname]);
 
   return (
     <div className={styles.page}>
@@ -48,7 +56,10 @@ function HomePage() {
         <div className={styles.headerContent}>
           <Logo />
           <NavToggle />
-          <SettingsButton />
+          <div className={styles.headerActions}>
+            <SearchButton />
+            <SettingsButton />
+          </div>
         </div>
       </header>
 
@@ -61,14 +72,14 @@ function HomePage() {
           
           {isWeekly ? (
             <WeeklyTaskList
-              key={`weekly-${refreshKey}`}
+              key={`weekly-${refreshKey}-${historyRevision}`}
               onSelectTask={handleSelectTask}
               selectedTask={selectedTask}
               hideHeader
             />
           ) : (
             <DailyTaskList
-              key={`daily-${refreshKey}`}
+              key={`daily-${refreshKey}-${historyRevision}`}
               onSelectTask={handleSelectTask}
               selectedTask={selectedTask}
               hideHeader
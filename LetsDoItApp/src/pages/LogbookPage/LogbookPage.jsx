@@ -0,0 +1,254 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import NavToggle, { SettingsButton, SearchButton } from '../../components/NavToggle';
+import TaskModal from '../../components/TaskModal';
+import SyncButton from '../../components/SyncButton';
+import Logo from '../../components/Logo';
+import { useSync, useUndo } from '../../context';
+import { getCompletedTasks, getAvailableTags, updateTask, deleteTask } from '../../db/database';
+import { getTodayDateString, addDaysToDateString, extractDateString, parseDateString } from '../../utils/dateUtils';
+import styles from './LogbookPage.module.css';
+
+// Default range shown when opening the logbook
+const DEFAULT_RANGE_DAYS = 30;
+
+// Format a completion day heading (Today / Yesterday / weekday and date)
+const formatDayHeading = (dateStr) => {
+  const todayStr = getTodayDateString();
+  if (dateStr === todayStr) return 'Today';
+  if (dateStr === addDaysToDateString(todayStr, -1)) return 'Yesterday';
+  return parseDateString(dateStr).toLocaleDateString(undefined, {
+    weekday: 'long',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+};
+
+// Format the time of day a task was completed
+const formatDoneTime = (doneAt) => {
+  const date = new Date(doneAt);
+  if (isNaN(date)) return '';
+  return date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+};
+
+function LogbookPage() {
+  const [tasks, setTasks] = useState([]);
+  const [availableTags, setAvailableTags] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [startDate, setStartDate] = useState(() => addDaysToDateString(getTodayDateString(), -(DEFAULT_RANGE_DAYS - 1)));
+  const [endDate, setEndDate] = useState(() => getTodayDateString());
+  const [tagFilter, setTagFilter] = useState('');
+  const [selectedTask, setSelectedTask] = useState(null);
+  const { lastSyncResult } = useSync();
+  const { historyRevision } = useUndo();
+
+  const loadTasks = useCallback(async () => {
+    try {
+      const [completed, tags] = await Promise.all([
+        getCompletedTasks(startDate || null, endDate || null),
+        getAvailableTags(),
+      ]);
+      setTasks(completed);
+      setAvailableTags(tags);
+    } catch (error) {
+      console.error('Failed to load completed tasks:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [startDate, endDate]);
+
+  useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
+
+  // Refresh data when sync pulls new data (both manual and automatic)
+  useEffect(() => {
+    if (lastSyncResult?.action === 'pulled') {
+      loadTasks();
+    }
+  }, [lastSyncResult, loadTasks]);
+
+  // Refresh data after an undo/redo
+  useEffect(() => {
+    if (historyRevision > 0) {
+      loadTasks();
+    }
+  }, [historyRevision, loadTasks]);
+
+  // Group completed tasks by local completion day, newest first
+  const groups = useMemo(() => {
+    const filtered = tagFilter
+      ? tasks.filter((task) => task.tags?.includes(tagFilter))
+      : tasks;
+    const byDay = new Map();
+    for (const task of filtered) {
+      const dateStr = extractDateString(task.doneAt);
+      if (!byDay.has(dateStr)) byDay.set(dateStr, []);
+      byDay.get(dateStr).push(task);
+    }
+    return [...byDay.entries()].map(([dateStr, dayTasks]) => ({ dateStr, tasks: dayTasks }));
+  }, [tasks, tagFilter]);
+
+  const totalCount = groups.reduce((sum, group) => sum + group.tasks.length, 0);
+
+  const getTagById = (tagId) => availableTags.find((t) => t.id === tagId);
+
+  const handleUncomplete = async (e, task) => {
+    e.stopPropagation();
+    await updateTask(task.id, { doneAt: null });
+    loadTasks();
+  };
+
+  const handleDelete = async (e, task) => {
+    e.stopPropagation();
+    await deleteTask(task.id);
+    loadTasks();
+  };
+
+  const handleCloseModal = useCallback(() => {
+    setSelectedTask(null);
+  }, []);
+
+  const handleShowAll = () => {
+    setStartDate('');
+    setEndDate('');
+  };
+
+  return (
+    <div className={styles.page}>
+      <header className={styles.header}>
+        <div className={styles.headerContent}>
+          <Logo />
+          <NavToggle />
+          <div className={styles.headerActions}>
+            <SearchButton />
+            <SettingsButton />
+          </div>
+        </div>
+      </header>
+
+      <main className={styles.main}>
+        <div className={styles.container}>
+          <div className={styles.titleRow}>
+            <h2 className={styles.title}>Logbook</h2>
+            <SyncButton />
+          </div>
+
+          <div className={styles.filters}>
+            <label className={styles.filter}>
+              <span>From</span>
+              <input
+                type="date"
+                className={styles.dateInput}
+                value={startDate}
+                max={endDate || undefined}
+                onChange={(e) => setStartDate(e.target.value)}
+              />
+            </label>
+            <label className={styles.filter}>
+              <span>To</span>
+              <input
+                type="date"
+                className={styles.dateInput}
+                value={endDate}
+                min={startDate || undefined}
+                onChange={(e) => setEndDate(e.target.value)}
+              />
+            </label>
+            <label className={styles.filter}>
+              <span>Tag</span>
+              <select
+                className={styles.select}
+                value={tagFilter}
+                onChange={(e) => setTagFilter(e.target.value)}
+              >
+                <option value="">All tags</option>
+                {availableTags.map((tag) => (
+                  <option key={tag.id} value={tag.id}>{tag.name}</option>
+                ))}
+              </select>
+            </label>
+            {(startDate || endDate) && (
+              <button type="button" className={styles.showAllBtn} onClick={handleShowAll}>
+                Show all
+              </button>
+            )}
+          </div>
+
+          <div className={styles.content}>
+            {isLoading ? (
+              <div className={styles.empty}>Loading...</div>
+            ) : totalCount === 0 ? (
+              <div className={styles.empty}>No completed tasks in this range</div>
+            ) : (
+              <>
+                <p className={styles.summary}>
+                  {totalCount} {totalCount === 1 ? 'task' : 'tasks'} completed
+                </p>
+                {groups.map((group) => (
+                  <section key={group.dateStr} className={styles.day}>
+                    <h3 className={styles.dayTitle}>
+                      {formatDayHeading(group.dateStr)}
+                      <span className={styles.dayCount}>{group.tasks.length}</span>
+                    </h3>
+                    <ul className={styles.taskList}>
+                      {group.tasks.map((task) => (
+                        <li
+                          key={task.id}
+                          className={styles.task}
+                          onClick={() => setSelectedTask(task)}
+                        >
+                          <input
+                            type="checkbox"
+                            className={styles.checkbox}
+                            checked
+                            onChange={(e) => handleUncomplete(e, task)}
+                            onClick={(e) => e.stopPropagation()}
+                            title="Mark as not done"
+                          />
+                          <span className={styles.taskContent}>{task.content}</span>
+                          {task.tags?.map((tagId) => {
+                            const tag = getTagById(tagId);
+                            if (!tag) return null;
+                            return (
+                              <span
+                                key={tag.id}
+                                className={styles.tag}
+                                style={{ backgroundColor: tag.color + '20', color: tag.color, borderColor: tag.color }}
+                              >
+                                {tag.name}
+                              </span>
+                            );
+                          })}
+                          <span className={styles.doneTime}>{formatDoneTime(task.doneAt)}</span>
+                          <button
+                            type="button"
+                            className={styles.deleteBtn}
+                            onClick={(e) => handleDelete(e, task)}
+                            title="Move to trash"
+                          >
+                            ×
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </section>
+                ))}
+              </>
+            )}
+          </div>
+        </div>
+      </main>
+
+      {selectedTask && (
+        <TaskModal
+          task={selectedTask}
+          onClose={handleCloseModal}
+          onUpdate={loadTasks}
+        />
+      )}
+    </div>
+  );
+}
+
+export default LogbookPage;
@@ -2,22 +2,90 @@ import { useState, useRef, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { QRCodeSVG } from 'qrcode.react';
 import { Html5Qrcode } from 'html5-qrcode';
-import NavToggle, { SettingsButton } from '../../components/NavToggle';
+import NavToggle, { SettingsButton, SearchButton } from '../../components/NavToggle';
 import Logo from '../../components/Logo';
+import PeerSyncModal from '../../components/PeerSyncModal';
+import SyncLogModal from '../../components/SyncLogModal';
 import { useTheme, useSync, SYNC_STATE } from '../../context';
 import { 
   exportAllData, 
   importAllData, 
   deleteAllData,
-  getGoogleDriveSyncSettings,
-  setGoogleDriveSyncSettings,
+  getSyncSettings,
+  setSyncSettings,
   extractGoogleDriveFileId,
   getDeviceTimezone,
   setDeviceTimezone,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  getSyncEncryptionSettings,
+  setSyncEncryptionSettings,
+  checkSyncConnection,
+  listRemoteSnapshots,
+  getRemoteSnapshot,
+  restoreRemoteSnapshot,
+  getSyncDevices,
+  forgetSyncDevice,
+  setDeviceName,
   SYNC_RESULT,
 } from '../../db/database';
+import {
+  SYNC_PROVIDERS,
+  DEFAULT_SYNC_PROVIDER,
+  SNAPSHOT_LIMIT,
+  SYNC_SCOPES,
+  DEFAULT_SYNC_SCOPES,
+  isScopeSynced,
+  getSyncProvider,
+  getSupportedSyncProviders,
+  hasVersionHistory,
+} from '../../sync';
+import { pickSyncFile } from '../../sync/localFileProvider';
+import {
+  QR_SHARE_KEY_LENGTH,
+  QR_SHARE_DISPLAY_MINUTES,
+  QR_SHARE_ERRORS,
+  createQRShareKey,
+  createQRShareCode,
+  normalizeQRShareKey,
+  parseQRShareCode,
+  readQRShareCode,
+} from '../../sync/qrShare';
+import { getAppsScriptSource } from '../../sync/appsScriptTemplate';
+import { getDefaultDeviceName } from '../../utils/deviceUtils';
 import styles from './OptionsPage.module.css';
 
+// Trash retention choices (0 = never purge automatically)
+const TRASH_RETENTION_OPTIONS = [
+  { value: 7, label: 'Delete items after 7 days' },
+  { value: 30, label: 'Delete items after 30 days' },
+  { value: 90, label: 'Delete items after 90 days' },
+  { value: 0, label: 'Keep items until the trash is emptied' },
+];
+
+// How often auto-sync pulls while the app is open (0 = only on load, edits and tab switches)
+const PULL_INTERVAL_OPTIONS = [
+  { value: 1, label: 'Every minute' },
+  { value: 5, label: 'Every 5 minutes' },
+  { value: 15, label: 'Every 15 minutes' },
+  { value: 60, label: 'Every hour' },
+  { value: 0, label: 'Never' },
+];
+
+// Parts of the data that can be left out of sync on this device
+const SYNC_SCOPE_OPTIONS = [
+  { value: SYNC_SCOPES.TASKS, label: 'Tasks', description: 'Tasks, subtasks and deleted tasks' },
+  { value: SYNC_SCOPES.TAGS, label: 'Tags', description: 'Your tag list' },
+  { value: SYNC_SCOPES.HABITS, label: 'Habits & happiness', description: 'Daily habit and happiness entries' },
+  { value: SYNC_SCOPES.SETTINGS, label: 'Settings', description: 'Trash retention and section layout' },
+];
+
+// Providers whose settings work on another device (a local file is only on this one)
+const QR_SHAREABLE_PROVIDERS = [SYNC_PROVIDERS.GOOGLE_APPS_SCRIPT, SYNC_PROVIDERS.WEBDAV];
+
+// Tasks listed when previewing a version from the history
+const SNAPSHOT_PREVIEW_TASKS = 20;
+
 // Check if device is mobile
 const isMobileDevice = () => {
   return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) || 
@@ -34,24 +102,46 @@ function OptionsPage() {
   const { theme, setTheme, refreshTimezone } = useTheme();
   
   // Use sync context
-  const { syncState, triggerSync, refreshSyncSettings } = useSync();
+  const { syncState, triggerSync, refreshSyncSettings, refreshConflicts, conflictCount } = useSync();
   
-  // Google Drive sync state
+  // Sync state
+  const [syncProvider, setSyncProvider] = useState(DEFAULT_SYNC_PROVIDER);
   const [googleDriveFileId, setGoogleDriveFileId] = useState('');
   const [googleDriveScriptEndpoint, setGoogleDriveScriptEndpoint] = useState('');
-  const [googleDriveEnabled, setGoogleDriveEnabled] = useState(false);
-  const [googleDriveAutoSync, setGoogleDriveAutoSync] = useState(false);
-  const [googleDriveLastSyncAt, setGoogleDriveLastSyncAt] = useState(null);
-  const [isEditingGoogleDrive, setIsEditingGoogleDrive] = useState(false);
+  const [webdavUrl, setWebdavUrl] = useState('');
+  const [webdavUsername, setWebdavUsername] = useState('');
+  const [webdavPassword, setWebdavPassword] = useState('');
+  const [syncFileHandle, setSyncFileHandle] = useState(null);
+  const [isCheckingConnection, setIsCheckingConnection] = useState(false);
+  const [syncEnabled, setSyncEnabled] = useState(false);
+  const [autoSyncEnabled, setAutoSyncEnabled] = useState(false);
+  const [pullIntervalMinutes, setPullIntervalMinutes] = useState(0);
+  const [syncScopes, setSyncScopes] = useState(DEFAULT_SYNC_SCOPES);
+  const [lastSyncAt, setLastSyncAt] = useState(null);
+  const [isEditingSync, setIsEditingSync] = useState(false);
   const [showSetupGuide, setShowSetupGuide] = useState(false);
   const [copiedScript, setCopiedScript] = useState(false);
   
   // Derive syncing state from context
-  const isGoogleDriveSyncing = syncState === SYNC_STATE.SYNCING;
+  const isSyncing = syncState === SYNC_STATE.SYNCING;
+  const isWebdav = syncProvider === SYNC_PROVIDERS.WEBDAV;
+  const isLocalFile = syncProvider === SYNC_PROVIDERS.LOCAL_FILE;
+  const canShareQR = QR_SHAREABLE_PROVIDERS.includes(syncProvider);
+  const providerName = getSyncProvider(syncProvider).name;
   
   // QR Code state
   const [showQRModal, setShowQRModal] = useState(false);
   const [showQRScanner, setShowQRScanner] = useState(false);
+  // { key, text, hideAt, hidden } of the shown code (null while it is encrypted)
+  const [qrShare, setQRShare] = useState(null);
+  // Bumped for every code generated, so only the latest one is shown
+  const qrShareRequestRef = useRef(0);
+  // Parsed encrypted code waiting for its key
+  const [scannedQRCode, setScannedQRCode] = useState(null);
+  const [qrKeyInput, setQRKeyInput] = useState('');
+  const [isReadingQRCode, setIsReadingQRCode] = useState(false);
+  const [showPeerSync, setShowPeerSync] = useState(false);
+  const [showSyncLog, setShowSyncLog] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
   const qrScannerRef = useRef(null);
   const html5QrCodeRef = useRef(null);
@@ -61,19 +151,52 @@ function OptionsPage() {
     Intl.DateTimeFormat().resolvedOptions().timeZone
   );
 
-  // Load Google Drive settings and timezone on mount
+  // Sync encryption state (the passphrase itself is only read when saving)
+  const [syncEncryptionEnabled, setSyncEncryptionEnabled] = useState(false);
+  const [isEditingPassphrase, setIsEditingPassphrase] = useState(false);
+  const [passphraseInput, setPassphraseInput] = useState('');
+  const [passphraseConfirm, setPassphraseConfirm] = useState('');
+  
+  // Version history state (snapshots kept by the sync provider)
+  const [showHistory, setShowHistory] = useState(false);
+  const [snapshots, setSnapshots] = useState([]);
+  const [isLoadingSnapshots, setIsLoadingSnapshots] = useState(false);
+  // { entry, data } of the snapshot being previewed (data is null while it loads)
+  const [previewSnapshot, setPreviewSnapshot] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  // Device registry state (devices that sync with the provider)
+  const [showDevices, setShowDevices] = useState(false);
+  const [syncDevices, setSyncDevices] = useState([]);
+  const [isRenamingDevice, setIsRenamingDevice] = useState(false);
+  const [deviceNameInput, setDeviceNameInput] = useState('');
+
+  // Trash retention in days (0 = keep until emptied manually)
+  const [trashRetentionDays, setTrashRetentionDaysState] = useState(null);
+
+  // Load sync settings and timezone on mount
   useEffect(() => {
     const loadSettings = async () => {
-      const googleDriveSettings = await getGoogleDriveSyncSettings();
-      setGoogleDriveFileId(googleDriveSettings.fileId || '');
-      setGoogleDriveScriptEndpoint(googleDriveSettings.scriptEndpoint || '');
-      setGoogleDriveEnabled(googleDriveSettings.enabled || false);
-      setGoogleDriveAutoSync(googleDriveSettings.autoSync || false);
-      setGoogleDriveLastSyncAt(googleDriveSettings.lastSyncAt || null);
+      const syncSettings = await getSyncSettings();
+      setSyncProvider(syncSettings.provider);
+      setGoogleDriveFileId(syncSettings.fileId || '');
+      setGoogleDriveScriptEndpoint(syncSettings.scriptEndpoint || '');
+      setWebdavUrl(syncSettings.webdavUrl || '');
+      setWebdavUsername(syncSettings.webdavUsername || '');
+      setWebdavPassword(syncSettings.webdavPassword || '');
+      setSyncFileHandle(syncSettings.fileHandle || null);
+      setSyncEnabled(syncSettings.enabled || false);
+      setAutoSyncEnabled(syncSettings.autoSync || false);
+      setPullIntervalMinutes(syncSettings.pullIntervalMinutes || 0);
+      setSyncScopes(syncSettings.scopes);
+      setLastSyncAt(syncSettings.lastSyncAt || null);
+      setSyncEncryptionEnabled((await getSyncEncryptionSettings()).enabled);
       
       // Load device timezone
       const tz = await getDeviceTimezone();
       setDeviceTimezoneState(tz);
+
+      setTrashRetentionDaysState(await getTrashRetentionDays());
     };
     loadSettings();
   }, []);
@@ -110,6 +233,13 @@ function OptionsPage() {
     showToast(`Timezone changed to ${newTimezone}`);
   };
 
+  // Trash retention handler
+  const handleTrashRetentionChange = async (days) => {
+    await setTrashRetentionDays(days);
+    setTrashRetentionDaysState(days);
+    showToast(days === 0 ? 'Trash will be kept until emptied' : `Trash will be emptied after ${days} days`);
+  };
+
   // Get common timezone options
   const getTimezoneOptions = () => {
     const commonTimezones = [
@@ -241,39 +371,98 @@ function OptionsPage() {
     }
   };
 
-  // Google Drive sync handlers
+  // Sync handlers
   const handleSaveGoogleDrive = async () => {
+    // Extract file ID if a full URL was provided
+    const fileId = extractGoogleDriveFileId(googleDriveFileId) || googleDriveFileId;
+    
+    await setSyncSettings({
+      provider: SYNC_PROVIDERS.GOOGLE_APPS_SCRIPT,
+      fileId: fileId,
+      scriptEndpoint: googleDriveScriptEndpoint,
+      enabled: !!(fileId && googleDriveScriptEndpoint),
+    });
+    setSyncEnabled(!!(fileId && googleDriveScriptEndpoint));
+    setGoogleDriveFileId(fileId); // Update with extracted ID
+  };
+
+  const handleSaveWebdav = async () => {
+    const settings = {
+      provider: SYNC_PROVIDERS.WEBDAV,
+      webdavUrl: webdavUrl.trim(),
+      webdavUsername: webdavUsername.trim(),
+      webdavPassword,
+    };
+    
+    // Check the URL and credentials before saving, so typos show up right away
+    setIsCheckingConnection(true);
     try {
-      // Extract file ID if a full URL was provided
-      const fileId = extractGoogleDriveFileId(googleDriveFileId) || googleDriveFileId;
-      
-      await setGoogleDriveSyncSettings({
-        fileId: fileId,
-        scriptEndpoint: googleDriveScriptEndpoint,
-        enabled: !!(fileId && googleDriveScriptEndpoint),
-      });
-      setGoogleDriveEnabled(!!(fileId && googleDriveScriptEndpoint));
-      setGoogleDriveFileId(fileId); // Update with extracted ID
-      setIsEditingGoogleDrive(false);
+      await checkSyncConnection(settings);
+    } finally {
+      setIsCheckingConnection(false);
+    }
+    
+    await setSyncSettings({ ...settings, enabled: !!settings.webdavUrl });
+    setSyncEnabled(!!settings.webdavUrl);
+    setWebdavUrl(settings.webdavUrl);
+    setWebdavUsername(settings.webdavUsername);
+  };
+
+  // Picking the file also grants access to it, so there is nothing to check when saving
+  const handleChooseSyncFile = async (create) => {
+    try {
+      setSyncFileHandle(await pickSyncFile(create));
+    } catch (error) {
+      if (error.name === 'AbortError') return; // Picker was closed
+      console.error('Failed to choose sync file:', error);
+      showToast(`Failed to choose file: ${error.message}`, 'error');
+    }
+  };
+
+  const handleSaveLocalFile = async () => {
+    await setSyncSettings({
+      provider: SYNC_PROVIDERS.LOCAL_FILE,
+      fileHandle: syncFileHandle,
+      enabled: !!syncFileHandle,
+    });
+    setSyncEnabled(!!syncFileHandle);
+  };
+
+  const handleSaveSyncSettings = async () => {
+    try {
+      if (isLocalFile) {
+        await handleSaveLocalFile();
+      } else if (isWebdav) {
+        await handleSaveWebdav();
+      } else {
+        await handleSaveGoogleDrive();
+      }
+      setIsEditingSync(false);
       // Refresh sync context to pick up new settings
       await refreshSyncSettings();
-      showToast('Google Drive sync configured successfully!');
+      showToast(`${providerName} sync configured successfully!`);
     } catch (error) {
-      console.error('Failed to save Google Drive settings:', error);
-      showToast('Failed to save Google Drive settings', 'error');
+      console.error(`Failed to save ${providerName} settings:`, error);
+      showToast(`Failed to save ${providerName} settings: ${error.message}`, 'error');
     }
   };
 
-  const handleGoogleDriveSync = async () => {
-    if (!googleDriveFileId || !googleDriveScriptEndpoint) {
-      showToast('Please configure Google Drive sync first', 'error');
+  // Switching providers only takes effect once saved
+  const handleCancelEditSync = async () => {
+    setSyncProvider((await getSyncSettings()).provider);
+    setIsEditingSync(false);
+  };
+
+  const handleSyncNow = async () => {
+    if (!syncEnabled) {
+      showToast(`Please configure ${providerName} sync first`, 'error');
       return;
     }
     
     try {
       const result = await triggerSync();
       if (result) {
-        setGoogleDriveLastSyncAt(new Date().toISOString());
+        setLastSyncAt(new Date().toISOString());
         
         // Show appropriate message based on sync result
         switch (result.action) {
@@ -298,36 +487,203 @@ function OptionsPage() {
         }
       }
     } catch (error) {
-      console.error('Google Drive sync failed:', error);
+      console.error('Sync failed:', error);
       showToast(`Sync failed: ${error.message}`, 'error');
     }
   };
 
-  const handleToggleGoogleDriveAutoSync = async () => {
-    const newValue = !googleDriveAutoSync;
-    setGoogleDriveAutoSync(newValue);
-    await setGoogleDriveSyncSettings({ autoSync: newValue });
+  const handleToggleAutoSync = async () => {
+    const newValue = !autoSyncEnabled;
+    setAutoSyncEnabled(newValue);
+    await setSyncSettings({ autoSync: newValue });
     // Refresh sync context to pick up new settings
     await refreshSyncSettings();
     showToast(newValue ? 'Auto-sync enabled' : 'Auto-sync disabled');
   };
 
-  const handleDisconnectGoogleDrive = async () => {
+  const handlePullIntervalChange = async (minutes) => {
+    setPullIntervalMinutes(minutes);
+    await setSyncSettings({ pullIntervalMinutes: minutes });
+    await refreshSyncSettings();
+  };
+
+  const handleToggleSyncScope = async (scope) => {
+    const scopes = { ...syncScopes, [scope]: !isScopeSynced(syncScopes, scope) };
+    if (!Object.values(SYNC_SCOPES).some((value) => isScopeSynced(scopes, value))) {
+      showToast('At least one kind of data has to be synced', 'error');
+      return;
+    }
+    setSyncScopes(scopes);
+    await setSyncSettings({ scopes });
+    await refreshSyncSettings();
+    const { label } = SYNC_SCOPE_OPTIONS.find((option) => option.value === scope);
+    showToast(scopes[scope] ? `${label} will sync` : `${label} will stay on this device`);
+  };
+
+  // Encryption handlers
+  const closePassphraseForm = () => {
+    setIsEditingPassphrase(false);
+    setPassphraseInput('');
+    setPassphraseConfirm('');
+  };
+
+  const handleSavePassphrase = async () => {
+    if (passphraseInput !== passphraseConfirm) {
+      showToast('Passphrases do not match', 'error');
+      return;
+    }
+    try {
+      await setSyncEncryptionSettings({ enabled: true, passphrase: passphraseInput });
+    } catch (error) {
+      showToast(error.message, 'error');
+      return;
+    }
+    setSyncEncryptionEnabled(true);
+    closePassphraseForm();
+    showToast('Encryption enabled');
+    // Re-encrypt the cloud copy right away
+    await handleSyncNow();
+  };
+
+  const handleDisableEncryption = async () => {
+    await setSyncEncryptionSettings({ enabled: false });
+    setSyncEncryptionEnabled(false);
+    showToast('Encryption disabled');
+    await handleSyncNow();
+  };
+
+  // Version history handlers
+  const loadSnapshots = async () => {
+    setIsLoadingSnapshots(true);
+    try {
+      setSnapshots(await listRemoteSnapshots());
+    } catch (error) {
+      console.error('Failed to load version history:', error);
+      setSnapshots([]);
+      showToast(`Could not load version history: ${error.message}`, 'error');
+    } finally {
+      setIsLoadingSnapshots(false);
+    }
+  };
+
+  const handleToggleHistory = async () => {
+    if (showHistory) {
+      setShowHistory(false);
+      return;
+    }
+    setShowHistory(true);
+    await loadSnapshots();
+  };
+
+  // Device registry handlers
+  const handleToggleDevices = async () => {
+    if (showDevices) {
+      setShowDevices(false);
+      setIsRenamingDevice(false);
+      return;
+    }
+    setSyncDevices(await getSyncDevices());
+    setShowDevices(true);
+  };
+
+  const handleStartRenameDevice = (device) => {
+    setDeviceNameInput(device.name);
+    setIsRenamingDevice(true);
+  };
+
+  const handleRenameDevice = async (e) => {
+    e.preventDefault();
+    await setDeviceName(deviceNameInput);
+    setIsRenamingDevice(false);
+    setSyncDevices(await getSyncDevices());
+    showToast('Device renamed. Other devices see the new name after the next sync.');
+  };
+
+  const handleForgetDevice = async (device) => {
+    if (!window.confirm(`Forget "${device.name}"? It is listed again if it syncs again.`)) return;
+    await forgetSyncDevice(device.id);
+    setSyncDevices(await getSyncDevices());
+    // Remove it from the cloud copy too
+    await handleSyncNow();
+    setSyncDevices(await getSyncDevices());
+  };
+
+  const formatDeviceMeta = (device) => [
+    device.platform,
+    device.appVersion && `v${device.appVersion}`,
+    device.lastSeenAt ? `Last synced ${formatLastSync(device.lastSeenAt).toLowerCase()}` : 'Not synced yet',
+  ].filter(Boolean).join(' · ');
+
+  const handlePreviewSnapshot = async (entry) => {
+    setPreviewSnapshot({ entry, data: null });
+    try {
+      const data = await getRemoteSnapshot(entry.id);
+      setPreviewSnapshot({ entry, data });
+    } catch (error) {
+      console.error('Failed to load snapshot:', error);
+      setPreviewSnapshot(null);
+      showToast(`Could not open this version: ${error.message}`, 'error');
+    }
+  };
+
+  const handleRestoreSnapshot = async () => {
+    const { entry } = previewSnapshot;
+    setIsRestoring(true);
+    try {
+      const result = await restoreRemoteSnapshot(entry.id);
+      setPreviewSnapshot(null);
+      setLastSyncAt((await getSyncSettings()).lastSyncAt || null);
+      if (result.syncError) {
+        showToast(`Restored on this device, but syncing failed: ${result.syncError}`, 'error');
+      } else {
+        showToast(`Restored the version from ${formatSnapshotDate(entry.createdAt)}`);
+      }
+      await loadSnapshots();
+    } catch (error) {
+      console.error('Failed to restore snapshot:', error);
+      showToast(`Restore failed: ${error.message}`, 'error');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const handleDisconnectSync = async () => {
     setGoogleDriveFileId('');
     setGoogleDriveScriptEndpoint('');
-    setGoogleDriveEnabled(false);
-    setGoogleDriveAutoSync(false);
-    setGoogleDriveLastSyncAt(null);
-    await setGoogleDriveSyncSettings({
+    setWebdavUrl('');
+    setWebdavUsername('');
+    setWebdavPassword('');
+    setSyncFileHandle(null);
+    setSyncEnabled(false);
+    setAutoSyncEnabled(false);
+    setLastSyncAt(null);
+    await setSyncSettings({
       fileId: '',
       scriptEndpoint: '',
+      webdavUrl: '',
+      webdavUsername: '',
+      webdavPassword: '',
+      fileHandle: null,
       enabled: false,
       autoSync: false,
       lastSyncAt: null,
     });
     // Refresh sync context to pick up new settings
     await refreshSyncSettings();
-    showToast('Google Drive disconnected');
+    showToast(`${providerName} disconnected`);
+  };
+
+  const formatSnapshotDate = (isoString) => {
+    return new Date(isoString).toLocaleString(undefined, {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+    });
+  };
+
+  // Encrypted snapshots only reveal their counts once opened
+  const formatSnapshotCounts = ({ taskCount, habitCount }) => {
+    if (taskCount === null || taskCount === undefined) return 'Encrypted';
+    return `${taskCount} task${taskCount === 1 ? '' : 's'}, ${habitCount} habit entr${habitCount === 1 ? 'y' : 'ies'}`;
   };
 
   const formatLastSync = (isoString) => {
@@ -346,39 +702,118 @@ function OptionsPage() {
     return date.toLocaleDateString();
   };
 
-  // Generate QR code data
-  const getQRCodeData = () => {
-    const data = {
-      type: 'letsdoit-sync',
-      fileId: googleDriveFileId,
-      scriptEndpoint: googleDriveScriptEndpoint,
-    };
-    return JSON.stringify(data);
+  // Encrypt the sync settings into a new QR code with a new key (see sync/qrShare)
+  // The WebDAV password and the encryption passphrase are deliberately left out
+  const generateQRShare = async () => {
+    const request = ++qrShareRequestRef.current;
+    setQRShare(null);
+    if (!canShareQR) return;
+    const settings = isWebdav
+      ? { provider: SYNC_PROVIDERS.WEBDAV, webdavUrl, webdavUsername }
+      : {
+        provider: SYNC_PROVIDERS.GOOGLE_APPS_SCRIPT,
+        fileId: googleDriveFileId,
+        scriptEndpoint: googleDriveScriptEndpoint,
+      };
+    settings.encryptionEnabled = (await getSyncEncryptionSettings()).enabled;
+    const key = createQRShareKey();
+    try {
+      const text = await createQRShareCode(settings, key);
+      // The modal was closed (or a newer code started) meanwhile
+      if (request !== qrShareRequestRef.current) return;
+      const hideAt = Date.now() + QR_SHARE_DISPLAY_MINUTES * 60000;
+      setQRShare({ key, text, hideAt, hidden: false });
+    } catch (error) {
+      if (request !== qrShareRequestRef.current) return;
+      console.error('Failed to create QR code:', error);
+      showToast('Could not create QR code', 'error');
+      setShowQRModal(false);
+    }
+  };
+
+  const handleOpenQRModal = () => {
+    setShowQRModal(true);
+    generateQRShare();
+  };
+
+  const closeQRModal = () => {
+    qrShareRequestRef.current++;
+    setShowQRModal(false);
+    setQRShare(null);
+  };
+
+  // Stop showing the code after a while, so it doesn't stay on an unattended screen
+  useEffect(() => {
+    if (!qrShare || qrShare.hidden) return;
+    const timeout = setTimeout(
+      () => setQRShare((current) => current && { ...current, hidden: true }),
+      qrShare.hideAt - Date.now()
+    );
+    return () => clearTimeout(timeout);
+  }, [qrShare]);
+
+  // Fill in sync settings read from a QR code (they are saved when connecting)
+  const applySharedSyncSettings = (data) => {
+    // QR codes from before WebDAV support carry no provider
+    setSyncProvider(data.provider || SYNC_PROVIDERS.GOOGLE_APPS_SCRIPT);
+    if (data.fileId) setGoogleDriveFileId(data.fileId);
+    if (data.scriptEndpoint) setGoogleDriveScriptEndpoint(data.scriptEndpoint);
+    if (data.webdavUrl) setWebdavUrl(data.webdavUrl);
+    if (data.webdavUsername) setWebdavUsername(data.webdavUsername);
   };
 
   // Handle QR code scan result
   const handleQRScanSuccess = useCallback(async (decodedText) => {
+    const code = parseQRShareCode(decodedText);
+    if (!code) {
+      showToast('Invalid QR code format', 'error');
+      return;
+    }
+    
+    // Stop scanner; encrypted codes wait for their key in the scanner modal
+    if (html5QrCodeRef.current) {
+      await html5QrCodeRef.current.stop();
+      html5QrCodeRef.current = null;
+    }
+    if (code.encrypted) {
+      setQRKeyInput('');
+      setScannedQRCode(code.data);
+      return;
+    }
     try {
-      const data = JSON.parse(decodedText);
-      if (data.type === 'letsdoit-sync' && (data.fileId || data.scriptEndpoint)) {
-        if (data.fileId) setGoogleDriveFileId(data.fileId);
-        if (data.scriptEndpoint) setGoogleDriveScriptEndpoint(data.scriptEndpoint);
-        
-        // Stop scanner and close modal
-        if (html5QrCodeRef.current) {
-          await html5QrCodeRef.current.stop();
-          html5QrCodeRef.current = null;
-        }
-        setShowQRScanner(false);
-        showToast('Sync settings imported from QR code!');
-      } else {
-        showToast('Invalid QR code format', 'error');
-      }
+      applySharedSyncSettings(code.data);
+      setShowQRScanner(false);
+      showToast('Sync settings imported from QR code!');
     } catch {
       showToast('Could not read QR code data', 'error');
     }
   }, []);
 
+  const handleQRKeySubmit = async (e) => {
+    e.preventDefault();
+    setIsReadingQRCode(true);
+    try {
+      const settings = await readQRShareCode(scannedQRCode, qrKeyInput);
+      applySharedSyncSettings(settings);
+      setScannedQRCode(null);
+      setShowQRScanner(false);
+      // The passphrase is never shared, so it has to be set up on this device too
+      showToast(settings.encryptionEnabled
+        ? 'Sync settings imported. Set up encryption with the same passphrase after connecting.'
+        : 'Sync settings imported from QR code!');
+    } catch (error) {
+      showToast(error.message, 'error');
+      if (error.code === QR_SHARE_ERRORS.WRONG_KEY) {
+        setQRKeyInput('');
+      } else {
+        setScannedQRCode(null);
+        setShowQRScanner(false);
+      }
+    } finally {
+      setIsReadingQRCode(false);
+    }
+  };
+
   // Start QR scanner
   const startQRScanner = useCallback(async () => {
     setShowQRScanner(true);
@@ -418,6 +853,7 @@ function OptionsPage() {
       }
       html5QrCodeRef.current = null;
     }
+    setScannedQRCode(null);
     setShowQRScanner(false);
   }, []);
 
@@ -436,7 +872,10 @@ function OptionsPage() {
         <div className={styles.headerContent}>
           <Logo />
           <NavToggle />
-          <SettingsButton />
+          <div className={styles.headerActions}>
+            <SearchButton />
+            <SettingsButton />
+          </div>
         </div>
       </header>
 
@@ -562,24 +1001,45 @@ function OptionsPage() {
             </div>
 
             <div className={styles.dataSection}>
-              {/* Google Drive Sync */}
+              {/* Cloud Sync */}
               <div className={styles.cloudCard}>
                 <div className={styles.cloudHeader}>
-                  <div className={styles.cloudLogo}>
-                    <svg viewBox="0 0 87.3 78" fill="none">
-                      <path d="M6.6 66.85L17.85 45.3l14.1 24.45a13.34 13.34 0 01-25.35-2.9z" fill="#0066DA"/>
-                      <path d="M43.65 66.85L29.55 42.4 43.65 18l14.1 24.4z" fill="#00AC47"/>
-                      <path d="M80.7 66.85L69.45 45.3l-14.1 24.45a13.34 13.34 0 0025.35-2.9z" fill="#EA4335"/>
-                      <path d="M43.65 18L29.55 42.4l-14.1-24.45a13.34 13.34 0 0128.2.05z" fill="#00832D"/>
-                      <path d="M43.65 18l14.1 24.4 14.1-24.45a13.34 13.34 0 00-28.2.05z" fill="#2684FC"/>
-                      <path d="M57.75 42.4L43.65 66.85h28.2a13.34 13.34 0 00-14.1-24.45z" fill="#FFBA00"/>
-                    </svg>
-                  </div>
+                  {isLocalFile ? (
+                    <div className={`${styles.cloudLogo} ${styles.localFile}`}>
+                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M22 19a2 2 0 01-2 2H4a2 2 0 01-2-2V5a2 2 0 012-2h5l2 3h9a2 2 0 012 2z" />
+                      </svg>
+                    </div>
+                  ) : isWebdav ? (
+                    <div className={`${styles.cloudLogo} ${styles.webdav}`}>
+                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <rect x="2" y="3" width="20" height="7" rx="2" />
+                        <rect x="2" y="14" width="20" height="7" rx="2" />
+                        <line x1="6" y1="6.5" x2="6.01" y2="6.5" />
+                        <line x1="6" y1="17.5" x2="6.01" y2="17.5" />
+                      </svg>
+                    </div>
+                  ) : (
+                    <div className={styles.cloudLogo}>
+                      <svg viewBox="0 0 87.3 78" fill="none">
+                        <path d="M6.6 66.85L17.85 45.3l14.1 24.45a13.34 13.34 0 01-25.35-2.9z" fill="#0066DA"/>
+                        <path d="M43.65 66.85L29.55 42.4 43.65 18l14.1 24.4z" fill="#00AC47"/>
+                        <path d="M80.7 66.85L69.45 45.3l-14.1 24.45a13.34 13.34 0 0025.35-2.9z" fill="#EA4335"/>
+                        <path d="M43.65 18L29.55 42.4l-14.1-24.45a13.34 13.34 0 0128.2.05z" fill="#00832D"/>
+                        <path d="M43.65 18l14.1 24.4 14.1-24.45a13.34 13.34 0 00-28.2.05z" fill="#2684FC"/>
+                        <path d="M57.75 42.4L43.65 66.85h28.2a13.34 13.34 0 00-14.1-24.45z" fill="#FFBA00"/>
+                      </svg>
+                    </div>
+                  )}
                   <div className={styles.cloudTitleArea}>
-                    <h3 className={styles.cloudTitle}>Google Drive</h3>
-                    <p className={styles.cloudSubtitle}>Cloud Backup & Sync</p>
+                    <h3 className={styles.cloudTitle}>{providerName}</h3>
+                    <p className={styles.cloudSubtitle}>
+                      {isLocalFile
+                        ? 'Syncthing, Dropbox & Folder Sync'
+                        : isWebdav ? 'Nextcloud & Self-Hosted Sync' : 'Cloud Backup & Sync'}
+                    </p>
                   </div>
-                  {googleDriveEnabled && (
+                  {syncEnabled && (
                     <div className={styles.cloudStatusBadge}>
                       <span className={styles.cloudStatusIcon}>
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3">
@@ -591,22 +1051,39 @@ function OptionsPage() {
                   )}
                 </div>
 
-                {!googleDriveEnabled || isEditingGoogleDrive ? (
+                {!syncEnabled || isEditingSync ? (
                   <div className={styles.cloudSetup}>
+                    {/* Provider Picker */}
+                    <div className={styles.cloudProviderPicker} role="radiogroup" aria-label="Sync provider">
+                      {getSupportedSyncProviders().map((providerId) => (
+                        <button
+                          key={providerId}
+                          role="radio"
+                          aria-checked={syncProvider === providerId}
+                          className={`${styles.cloudProviderOption} ${syncProvider === providerId ? styles.active : ''}`}
+                          onClick={() => setSyncProvider(providerId)}
+                        >
+                          {getSyncProvider(providerId).name}
+                        </button>
+                      ))}
+                    </div>
+
                     {/* Setup Guide Button */}
-                    <button 
-                      className={styles.cloudSetupGuideBtn}
-                      onClick={() => setShowSetupGuide(true)}
-                    >
-                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                        <circle cx="12" cy="12" r="10" />
-                        <path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3M12 17h.01" />
-                      </svg>
-                      Need help? Open Setup Guide
-                    </button>
+                    {syncProvider === SYNC_PROVIDERS.GOOGLE_APPS_SCRIPT && (
+                      <button 
+                        className={styles.cloudSetupGuideBtn}
+                        onClick={() => setShowSetupGuide(true)}
+                      >
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                          <circle cx="12" cy="12" r="10" />
+                          <path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3M12 17h.01" />
+                        </svg>
+                        Need help? Open Setup Guide
+                      </button>
+                    )}
 
                     {/* QR Code Scanner Button - Mobile Only */}
-                    {isMobile && !googleDriveFileId && (
+                    {isMobile && !isLocalFile && !googleDriveFileId && !webdavUrl && (
                       <button
                         className={styles.cloudScanQRBtn}
                         onClick={startQRScanner}
@@ -619,69 +1096,174 @@ function OptionsPage() {
                       </button>
                     )}
                     
-                    {/* Google Drive File ID */}
-                    <div className={styles.cloudInputGroup}>
-                      <label className={styles.cloudInputLabel}>
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                          <path d="M13 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V9z" />
-                          <polyline points="13 2 13 9 20 9" />
-                        </svg>
-                        Google Drive File ID
-                        <span className={styles.requiredBadge}>Required</span>
-                      </label>
-                      <div className={styles.cloudInputWrapper}>
-                        <input
-                          type="text"
-                          placeholder="e.g. 1aBcDeFgHiJkLmNoPqRsTuVwXyZ0123456 or full share link"
-                          value={googleDriveFileId}
-                          onChange={(e) => setGoogleDriveFileId(e.target.value)}
-                          className={styles.cloudInput}
-                        />
+                    {isLocalFile ? (
+                      <>
+                        {/* Local Sync File */}
+                        <div className={styles.cloudInputGroup}>
+                          <label className={styles.cloudInputLabel}>
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                              <path d="M13 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V9z" />
+                              <polyline points="13 2 13 9 20 9" />
+                            </svg>
+                            Sync File
+                            <span className={styles.requiredBadge}>Required</span>
+                          </label>
+                          <div className={styles.cloudFilePicker}>
+                            <span className={styles.cloudFilePickerName}>
+                              {syncFileHandle ? syncFileHandle.name : 'No file chosen'}
+                            </span>
+                            <button className={styles.cloudCancelBtn} onClick={() => handleChooseSyncFile(false)}>
+                              Open Existing File
+                            </button>
+                            <button className={styles.cloudCancelBtn} onClick={() => handleChooseSyncFile(true)}>
+                              Create New File
+                            </button>
+                          </div>
+                          <p className={styles.cloudInputHint}>
+                            Put the file in a folder that Syncthing, Dropbox or a similar app syncs, and open the same
+                            file on your other devices. Changes to it are picked up within seconds.
+                            After restarting the browser, click Sync once to allow access again.
+                          </p>
+                        </div>
+                      </>
+                    ) : isWebdav ? (
+                      <>
+                        {/* WebDAV File URL */}
+                        <div className={styles.cloudInputGroup}>
+                          <label className={styles.cloudInputLabel}>
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                              <path d="M10 13a5 5 0 007.54.54l3-3a5 5 0 00-7.07-7.07l-1.72 1.71" />
+                              <path d="M14 11a5 5 0 00-7.54-.54l-3 3a5 5 0 007.07 7.07l1.71-1.71" />
+                            </svg>
+                            File URL
+                            <span className={styles.requiredBadge}>Required</span>
+                          </label>
+                          <div className={styles.cloudInputWrapper}>
+                            <input
+                              type="url"
+                              placeholder="https://cloud.example.com/remote.php/dav/files/USER/letsdoit.json"
+                              value={webdavUrl}
+                              onChange={(e) => setWebdavUrl(e.target.value)}
+                              className={styles.cloudInput}
+                            />
+                          </div>
+                          <p className={styles.cloudInputHint}>
+                            Full WebDAV URL of the sync file. The folder must exist; the file is created on the first sync.
+                            The server must allow cross-origin requests from this app.
+                          </p>
+                        </div>
+
+                        {/* WebDAV Credentials */}
+                        <div className={styles.cloudInputGroup}>
+                          <label className={styles.cloudInputLabel}>
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                              <path d="M20 21v-2a4 4 0 00-4-4H8a4 4 0 00-4 4v2" />
+                              <circle cx="12" cy="7" r="4" />
+                            </svg>
+                            Username &amp; Password
+                          </label>
+                          <div className={styles.cloudInputWrapper}>
+                            <input
+                              type="text"
+                              placeholder="Username"
+                              value={webdavUsername}
+                              onChange={(e) => setWebdavUsername(e.target.value)}
+                              className={styles.cloudInput}
+                              autoComplete="username"
+                            />
+                          </div>
+                          <div className={styles.cloudInputWrapper}>
+                            <input
+                              type="password"
+                              placeholder="Password or app password"
+                              value={webdavPassword}
+                              onChange={(e) => setWebdavPassword(e.target.value)}
+                              className={styles.cloudInput}
+                              autoComplete="current-password"
+                            />
+                          </div>
+                          <p className={styles.cloudInputHint}>
+                            For Nextcloud, create an app password under Settings → Security. Stored on this device only.
+                          </p>
+                        </div>
+                      </>
+                    ) : (
+                      <>
+                      {/* Google Drive File ID */}
+                      <div className={styles.cloudInputGroup}>
+                        <label className={styles.cloudInputLabel}>
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M13 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V9z" />
+                            <polyline points="13 2 13 9 20 9" />
+                          </svg>
+                          Google Drive File ID
+                          <span className={styles.requiredBadge}>Required</span>
+                        </label>
+                        <div className={styles.cloudInputWrapper}>
+                          <input
+                            type="text"
+                            placeholder="e.g. 1aBcDeFgHiJkLmNoPqRsTuVwXyZ0123456 or full share link"
+                            value={googleDriveFileId}
+                            onChange={(e) => setGoogleDriveFileId(e.target.value)}
+                            className={styles.cloudInput}
+                          />
+                        </div>
+                        <p className={styles.cloudInputHint}>
+                          Your file ID from Google Drive. You can paste the full share link and we'll extract the ID.
+                        </p>
                       </div>
-                      <p className={styles.cloudInputHint}>
-                        Your file ID from Google Drive. You can paste the full share link and we'll extract the ID.
-                      </p>
-                    </div>
 
-                    {/* Google Apps Script Endpoint */}
-                    <div className={styles.cloudInputGroup}>
-                      <label className={styles.cloudInputLabel}>
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                          <path d="M10 13a5 5 0 007.54.54l3-3a5 5 0 00-7.07-7.07l-1.72 1.71" />
-                          <path d="M14 11a5 5 0 00-7.54-.54l-3 3a5 5 0 007.07 7.07l1.71-1.71" />
-                        </svg>
-                        Google Apps Script Web App URL
-                        <span className={styles.requiredBadge}>Required</span>
-                      </label>
-                      <div className={styles.cloudInputWrapper}>
-                        <input
-                          type="url"
-                          placeholder="https://script.google.com/macros/s/.../exec"
-                          value={googleDriveScriptEndpoint}
-                          onChange={(e) => setGoogleDriveScriptEndpoint(e.target.value)}
-                          className={styles.cloudInput}
-                        />
+                      {/* Google Apps Script Endpoint */}
+                      <div className={styles.cloudInputGroup}>
+                        <label className={styles.cloudInputLabel}>
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M10 13a5 5 0 007.54.54l3-3a5 5 0 00-7.07-7.07l-1.72 1.71" />
+                            <path d="M14 11a5 5 0 00-7.54-.54l-3 3a5 5 0 007.07 7.07l1.71-1.71" />
+                          </svg>
+                          Google Apps Script Web App URL
+                          <span className={styles.requiredBadge}>Required</span>
+                        </label>
+                        <div className={styles.cloudInputWrapper}>
+                          <input
+                            type="url"
+                            placeholder="https://script.google.com/macros/s/.../exec"
+                            value={googleDriveScriptEndpoint}
+                            onChange={(e) => setGoogleDriveScriptEndpoint(e.target.value)}
+                            className={styles.cloudInput}
+                          />
+                        </div>
+                        <p className={styles.cloudInputHint}>
+                          ✓ Reliable • No CORS errors • Handles both reading and writing
+                        </p>
                       </div>
-                      <p className={styles.cloudInputHint}>
-                        ✓ Reliable • No CORS errors • Handles both reading and writing
-                      </p>
-                    </div>
-                    
+                      
+                      </>
+                    )}
+
                     <div className={styles.cloudSetupActions}>
                       <button
                         className={styles.cloudConnectBtn}
-                        onClick={handleSaveGoogleDrive}
-                        disabled={!googleDriveFileId || !googleDriveScriptEndpoint}
+                        onClick={handleSaveSyncSettings}
+                        disabled={
+                          isCheckingConnection ||
+                          (isLocalFile
+                            ? !syncFileHandle
+                            : isWebdav ? !webdavUrl : !googleDriveFileId || !googleDriveScriptEndpoint)
+                        }
                       >
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                           <path d="M18 13v6a2 2 0 01-2 2H5a2 2 0 01-2-2V8a2 2 0 012-2h6M15 3h6v6M10 14L21 3" />
                         </svg>
-                        {googleDriveEnabled ? 'Update Connection' : 'Connect to Drive'}
+                        {isCheckingConnection
+                          ? 'Checking Connection...'
+                          : syncEnabled
+                            ? 'Update Connection'
+                            : `Connect to ${isLocalFile ? 'File' : isWebdav ? 'Server' : 'Drive'}`}
                       </button>
-                      {isEditingGoogleDrive && (
+                      {isEditingSync && (
                         <button
                           className={styles.cloudCancelBtn}
-                          onClick={() => setIsEditingGoogleDrive(false)}
+                          onClick={handleCancelEditSync}
                         >
                           Cancel
                         </button>
@@ -701,14 +1283,33 @@ function OptionsPage() {
                         </svg>
                       </div>
                       <div className={styles.cloudFileInfo}>
-                        <p className={styles.cloudFileName}>File ID: {googleDriveFileId.substring(0, 20)}...</p>
-                        <p className={styles.cloudFileLink}>
-                          {googleDriveScriptEndpoint.length > 50 ? `${googleDriveScriptEndpoint.substring(0, 50)}...` : googleDriveScriptEndpoint}
-                        </p>
+                        {isLocalFile ? (
+                          <>
+                            <p className={styles.cloudFileName}>{syncFileHandle?.name}</p>
+                            <p className={styles.cloudFileLink}>Local file on this device</p>
+                          </>
+                        ) : isWebdav ? (
+                          <>
+                            <p className={styles.cloudFileName}>
+                              {webdavUrl.split('/').filter(Boolean).pop()}
+                              {webdavUsername && ` (${webdavUsername})`}
+                            </p>
+                            <p className={styles.cloudFileLink}>
+                              {webdavUrl.length > 50 ? `${webdavUrl.substring(0, 50)}...` : webdavUrl}
+                            </p>
+                          </>
+                        ) : (
+                          <>
+                            <p className={styles.cloudFileName}>File ID: {googleDriveFileId.substring(0, 20)}...</p>
+                            <p className={styles.cloudFileLink}>
+                              {googleDriveScriptEndpoint.length > 50 ? `${googleDriveScriptEndpoint.substring(0, 50)}...` : googleDriveScriptEndpoint}
+                            </p>
+                          </>
+                        )}
                       </div>
                       <button 
                         className={styles.cloudEditBtn}
-                        onClick={() => setIsEditingGoogleDrive(true)}
+                        onClick={() => setIsEditingSync(true)}
                         title="Edit settings"
                       >
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -725,24 +1326,41 @@ function OptionsPage() {
                             <circle cx="12" cy="12" r="10" />
                             <polyline points="12,6 12,12 16,14" />
                           </svg>
-                          <span>Last synced: <strong>{formatLastSync(googleDriveLastSyncAt)}</strong></span>
+                          <span>Last synced: <strong>{formatLastSync(lastSyncAt)}</strong></span>
                         </div>
                         
                         <label className={styles.cloudAutoSync}>
                           <input
                             type="checkbox"
-                            checked={googleDriveAutoSync}
-                            onChange={handleToggleGoogleDriveAutoSync}
+                            checked={autoSyncEnabled}
+                            onChange={handleToggleAutoSync}
                           />
                           <span className={styles.cloudAutoSyncSlider}></span>
-                          <span className={styles.cloudAutoSyncLabel}>Auto-sync on app load</span>
+                          <span className={styles.cloudAutoSyncLabel}>Auto-sync</span>
                         </label>
+
+                        {autoSyncEnabled && (
+                          <label className={styles.cloudPullInterval}>
+                            <span className={styles.cloudAutoSyncLabel}>Check for changes</span>
+                            <select
+                              className={styles.cloudPullIntervalSelect}
+                              value={pullIntervalMinutes}
+                              onChange={(e) => handlePullIntervalChange(Number(e.target.value))}
+                            >
+                              {PULL_INTERVAL_OPTIONS.map((option) => (
+                                <option key={option.value} value={option.value}>
+                                  {option.label}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                        )}
                       </div>
 
                       <button
-                        className={`${styles.cloudSyncBtn} ${isGoogleDriveSyncing ? styles.syncing : ''}`}
-                        onClick={handleGoogleDriveSync}
-                        disabled={isGoogleDriveSyncing}
+                        className={`${styles.cloudSyncBtn} ${isSyncing ? styles.syncing : ''}`}
+                        onClick={handleSyncNow}
+                        disabled={isSyncing}
                       >
                         <svg 
                           className={styles.cloudSyncIcon} 
@@ -754,30 +1372,263 @@ function OptionsPage() {
                           <path d="M23 4v6h-6M1 20v-6h6" />
                           <path d="M3.51 9a9 9 0 0114.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0020.49 15" />
                         </svg>
-                        <span>{isGoogleDriveSyncing ? 'Syncing...' : 'Sync Now'}</span>
+                        <span>{isSyncing ? 'Syncing...' : 'Sync Now'}</span>
                       </button>
                     </div>
 
+                    {/* End-to-end encryption */}
+                    <div className={styles.cloudEncryption}>
+                      <div className={styles.cloudEncryptionHeader}>
+                        <div className={styles.cloudEncryptionIcon}>
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <rect x="3" y="11" width="18" height="11" rx="2" />
+                            <path d="M7 11V7a5 5 0 0110 0v4" />
+                          </svg>
+                        </div>
+                        <div className={styles.cloudEncryptionInfo}>
+                          <p className={styles.cloudEncryptionTitle}>End-to-end encryption</p>
+                          <p className={styles.cloudEncryptionDescription}>
+                            {syncEncryptionEnabled
+                              ? 'On. Data is encrypted on this device before it is uploaded.'
+                              : 'Off. Encrypt your tasks and reflections with a passphrase before upload.'}
+                          </p>
+                        </div>
+                        {!isEditingPassphrase && (
+                          <div className={styles.cloudEncryptionActions}>
+                            <button
+                              className={styles.cloudCancelBtn}
+                              onClick={() => setIsEditingPassphrase(true)}
+                            >
+                              {syncEncryptionEnabled ? 'Change' : 'Set Up'}
+                            </button>
+                            {syncEncryptionEnabled && (
+                              <button className={styles.cloudCancelBtn} onClick={handleDisableEncryption}>
+                                Turn Off
+                              </button>
+                            )}
+                          </div>
+                        )}
+                      </div>
+
+                      {isEditingPassphrase && (
+                        <div className={styles.cloudEncryptionForm}>
+                          <input
+                            type="password"
+                            placeholder="Passphrase"
+                            value={passphraseInput}
+                            onChange={(e) => setPassphraseInput(e.target.value)}
+                            className={styles.cloudInput}
+                            autoComplete="new-password"
+                          />
+                          <input
+                            type="password"
+                            placeholder="Repeat passphrase"
+                            value={passphraseConfirm}
+                            onChange={(e) => setPassphraseConfirm(e.target.value)}
+                            className={styles.cloudInput}
+                            autoComplete="new-password"
+                          />
+                          <p className={styles.cloudInputHint}>
+                            Use the same passphrase on all your devices. It stays on this device and is never
+                            part of the QR code. If it is lost, the cloud copy can&apos;t be decrypted.
+                          </p>
+                          <div className={styles.cloudSetupActions}>
+                            <button
+                              className={styles.cloudConnectBtn}
+                              onClick={handleSavePassphrase}
+                              disabled={!passphraseInput}
+                            >
+                              Save Passphrase
+                            </button>
+                            <button className={styles.cloudCancelBtn} onClick={closePassphraseForm}>
+                              Cancel
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+
+                    {/* Version history */}
+                    {hasVersionHistory(syncProvider) && (
+                      <div className={styles.cloudHistory}>
+                        <div className={styles.cloudHistoryHeader}>
+                          <div className={styles.cloudHistoryIcon}>
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                              <path d="M3 12a9 9 0 109-9 9.75 9.75 0 00-6.74 2.74L3 8" />
+                              <path d="M3 3v5h5" />
+                              <polyline points="12,7 12,12 15,14" />
+                            </svg>
+                          </div>
+                          <div className={styles.cloudHistoryInfo}>
+                            <p className={styles.cloudHistoryTitle}>Version history</p>
+                            <p className={styles.cloudHistoryDescription}>
+                              The last {SNAPSHOT_LIMIT} synced versions are kept in the cloud. Restore one to undo changes on all devices.
+                            </p>
+                          </div>
+                          <button className={styles.cloudCancelBtn} onClick={handleToggleHistory}>
+                            {showHistory ? 'Hide' : 'Show'}
+                          </button>
+                        </div>
+
+                        {showHistory && (
+                          <div className={styles.cloudHistoryList}>
+                            {isLoadingSnapshots ? (
+                              <p className={styles.cloudHistoryEmpty}>Loading versions...</p>
+                            ) : snapshots.length === 0 ? (
+                              <p className={styles.cloudHistoryEmpty}>No versions yet. One is kept every time this or another device syncs.</p>
+                            ) : (
+                              snapshots.map((snapshot, index) => (
+                                <div key={snapshot.id} className={styles.cloudHistoryItem}>
+                                  <div className={styles.cloudHistoryItemInfo}>
+                                    <p className={styles.cloudHistoryItemDate}>
+                                      {formatSnapshotDate(snapshot.createdAt)}
+                                      {index === 0 && <span className={styles.cloudHistoryBadge}>Latest</span>}
+                                    </p>
+                                    <p className={styles.cloudHistoryItemMeta}>
+                                      {snapshot.deviceName || 'Unknown device'} · {formatSnapshotCounts(snapshot)}
+                                    </p>
+                                  </div>
+                                  <button
+                                    className={styles.cloudCancelBtn}
+                                    onClick={() => handlePreviewSnapshot(snapshot)}
+                                  >
+                                    Preview
+                                  </button>
+                                </div>
+                              ))
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Devices that sync with the provider */}
+                    <div className={styles.cloudHistory}>
+                      <div className={styles.cloudHistoryHeader}>
+                        <div className={`${styles.cloudHistoryIcon} ${styles.cloudDevicesIcon}`}>
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <rect x="2" y="4" width="14" height="10" rx="1" />
+                            <path d="M6 18h6M9 14v4" />
+                            <rect x="16" y="8" width="6" height="12" rx="1" />
+                          </svg>
+                        </div>
+                        <div className={styles.cloudHistoryInfo}>
+                          <p className={styles.cloudHistoryTitle}>Devices</p>
+                          <p className={styles.cloudHistoryDescription}>
+                            Devices that sync with {providerName}, as of this device&apos;s last sync.
+                          </p>
+                        </div>
+                        <button className={styles.cloudCancelBtn} onClick={handleToggleDevices}>
+                          {showDevices ? 'Hide' : 'Show'}
+                        </button>
+                      </div>
+
+                      {showDevices && (
+                        <div className={styles.cloudHistoryList}>
+                          {syncDevices.map((device) => (
+                            <div key={device.id} className={styles.cloudHistoryItem}>
+                              {device.isCurrent && isRenamingDevice ? (
+                                <form className={styles.cloudDeviceRename} onSubmit={handleRenameDevice}>
+                                  <input
+                                    type="text"
+                                    value={deviceNameInput}
+                                    onChange={(e) => setDeviceNameInput(e.target.value)}
+                                    placeholder={getDefaultDeviceName()}
+                                    maxLength={60}
+                                    className={styles.cloudInput}
+                                    autoFocus
+                                  />
+                                  <button type="submit" className={styles.cloudCancelBtn}>Save</button>
+                                  <button
+                                    type="button"
+                                    className={styles.cloudCancelBtn}
+                                    onClick={() => setIsRenamingDevice(false)}
+                                  >
+                                    Cancel
+                                  </button>
+                                </form>
+                              ) : (
+                                <>
+                                  <div className={styles.cloudHistoryItemInfo}>
+                                    <p className={styles.cloudHistoryItemDate}>
+                                      {device.name || 'Unnamed device'}
+                                      {device.isCurrent && <span className={styles.cloudHistoryBadge}>This device</span>}
+                                    </p>
+                                    <p className={styles.cloudHistoryItemMeta}>{formatDeviceMeta(device)}</p>
+                                  </div>
+                                  {device.isCurrent ? (
+                                    <button
+                                      className={styles.cloudCancelBtn}
+                                      onClick={() => handleStartRenameDevice(device)}
+                                    >
+                                      Rename
+                                    </button>
+                                  ) : (
+                                    <button
+                                      className={styles.cloudCancelBtn}
+                                      onClick={() => handleForgetDevice(device)}
+                                      disabled={isSyncing}
+                                    >
+                                      Forget
+                                    </button>
+                                  )}
+                                </>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+
                     <div className={styles.cloudBottomActions}>
+                      {canShareQR && (
+                        <button
+                          className={styles.cloudQRBtn}
+                          onClick={handleOpenQRModal}
+                          title="Share sync settings via QR code"
+                        >
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <rect x="3" y="3" width="7" height="7" rx="1" />
+                            <rect x="14" y="3" width="7" height="7" rx="1" />
+                            <rect x="3" y="14" width="7" height="7" rx="1" />
+                            <rect x="14" y="14" width="3" height="3" />
+                            <rect x="18" y="14" width="3" height="3" />
+                            <rect x="14" y="18" width="3" height="3" />
+                            <rect x="18" y="18" width="3" height="3" />
+                          </svg>
+                          Share QR Code
+                        </button>
+                      )}
+                      <button
+                        className={`${styles.cloudConflictsBtn} ${conflictCount > 0 ? styles.hasConflicts : ''}`}
+                        onClick={() => navigate('/conflicts')}
+                        title="Review changes made on this device and in the cloud at the same time"
+                      >
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                          <path d="M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z" />
+                          <line x1="12" y1="9" x2="12" y2="13" />
+                          <line x1="12" y1="17" x2="12.01" y2="17" />
+                        </svg>
+                        {conflictCount > 0 ? `Review Conflicts (${conflictCount})` : 'Conflicts'}
+                      </button>
                       <button
-                        className={styles.cloudQRBtn}
-                        onClick={() => setShowQRModal(true)}
-                        title="Share sync settings via QR code"
+                        className={styles.cloudLogBtn}
+                        onClick={() => setShowSyncLog(true)}
+                        title="See every sync attempt and why it failed"
                       >
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                          <rect x="3" y="3" width="7" height="7" rx="1" />
-                          <rect x="14" y="3" width="7" height="7" rx="1" />
-                          <rect x="3" y="14" width="7" height="7" rx="1" />
-                          <rect x="14" y="14" width="3" height="3" />
-                          <rect x="18" y="14" width="3" height="3" />
-                          <rect x="14" y="18" width="3" height="3" />
-                          <rect x="18" y="18" width="3" height="3" />
+                          <line x1="8" y1="6" x2="21" y2="6" />
+                          <line x1="8" y1="12" x2="21" y2="12" />
+                          <line x1="8" y1="18" x2="21" y2="18" />
+                          <line x1="3" y1="6" x2="3.01" y2="6" />
+                          <line x1="3" y1="12" x2="3.01" y2="12" />
+                          <line x1="3" y1="18" x2="3.01" y2="18" />
                         </svg>
-                        Share QR Code
+                        Sync Log
                       </button>
                       <button
                         className={styles.cloudDisconnectBtn}
-                        onClick={handleDisconnectGoogleDrive}
+                        onClick={handleDisconnectSync}
                       >
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                           <path d="M18.36 6.64a9 9 0 11-12.73 0M12 2v10" />
@@ -789,6 +1640,35 @@ function OptionsPage() {
                 )}
               </div>
 
+              {/* Sync scopes (cloud and device-to-device sync) */}
+              <div className={styles.syncScopes}>
+                <div className={styles.syncScopesHeader}>
+                  <p className={styles.syncScopesTitle}>Synced data</p>
+                  <p className={styles.syncScopesDescription}>
+                    Data that is turned off stays on this device. It is not uploaded, and other devices
+                    don&apos;t change or delete it here.
+                  </p>
+                </div>
+                <div className={styles.syncScopesList}>
+                  {SYNC_SCOPE_OPTIONS.map((option) => (
+                    <label key={option.value} className={styles.syncScope}>
+                      <span className={styles.syncScopeInfo}>
+                        <span className={styles.syncScopeLabel}>{option.label}</span>
+                        <span className={styles.syncScopeDescription}>{option.description}</span>
+                      </span>
+                      <span className={styles.cloudAutoSync}>
+                        <input
+                          type="checkbox"
+                          checked={isScopeSynced(syncScopes, option.value)}
+                          onChange={() => handleToggleSyncScope(option.value)}
+                        />
+                        <span className={styles.cloudAutoSyncSlider}></span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
               {/* Export/Import Actions */}
               <div className={styles.dataActions}>
                 <button className={`${styles.actionButton} ${styles.export}`} onClick={handleExport}>
@@ -815,6 +1695,20 @@ function OptionsPage() {
                   </div>
                 </button>
 
+                <button className={`${styles.actionButton} ${styles.peer}`} onClick={() => setShowPeerSync(true)}>
+                  <div className={`${styles.actionIcon} ${styles.peer}`}>
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <rect x="2" y="4" width="8" height="14" rx="1.5" />
+                      <rect x="14" y="6" width="8" height="14" rx="1.5" />
+                      <path d="M10 9h4M12 7l2 2-2 2" />
+                    </svg>
+                  </div>
+                  <div className={styles.actionContent}>
+                    <p className={styles.actionTitle}>Device to Device</p>
+                    <p className={styles.actionDescription}>Sync directly via QR code</p>
+                  </div>
+                </button>
+
                 <input
                   ref={fileInputRef}
                   type="file"
@@ -826,6 +1720,47 @@ function OptionsPage() {
             </div>
           </section>
 
+          {/* Trash Section */}
+          <section className={styles.section}>
+            <div className={styles.sectionHeader}>
+              <div className={`${styles.sectionIcon} ${styles.trash}`}>
+                🗑️
+              </div>
+              <div className={styles.sectionTitleGroup}>
+                <h2 className={styles.sectionTitle}>Trash</h2>
+                <p className={styles.sectionDescription}>
+                  Deleted tasks and mood entries can be restored from the trash
+                </p>
+              </div>
+            </div>
+
+            <div className={styles.trashSettings}>
+              <div className={styles.timezoneSelector}>
+                <select
+                  className={styles.timezoneSelect}
+                  value={trashRetentionDays ?? ''}
+                  onChange={(e) => handleTrashRetentionChange(Number(e.target.value))}
+                  disabled={trashRetentionDays === null}
+                >
+                  {TRASH_RETENTION_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <div className={styles.timezoneSelectIcon}>
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M6 9l6 6 6-6" />
+                  </svg>
+                </div>
+              </div>
+
+              <button className={styles.trashButton} onClick={() => navigate('/trash')}>
+                Open Trash
+              </button>
+            </div>
+          </section>
+
           {/* Danger Zone */}
           <section className={`${styles.section} ${styles.dangerZone}`}>
             <div className={styles.sectionHeader}>
@@ -850,6 +1785,62 @@ function OptionsPage() {
         </div>
       </main>
 
+      {/* Snapshot Preview Modal */}
+      {previewSnapshot && (
+        <div className={styles.modalOverlay} onClick={() => !isRestoring && setPreviewSnapshot(null)}>
+          <div className={`${styles.modal} ${styles.snapshotModal}`} onClick={(e) => e.stopPropagation()}>
+            <h3 className={styles.modalTitle}>{formatSnapshotDate(previewSnapshot.entry.createdAt)}</h3>
+            <p className={styles.snapshotModalMeta}>
+              Synced from {previewSnapshot.entry.deviceName || previewSnapshot.data?.deviceName || 'an unknown device'}
+            </p>
+            {previewSnapshot.data ? (
+              <>
+                <p className={styles.snapshotModalMeta}>{formatSnapshotCounts(previewSnapshot.data)}</p>
+                {previewSnapshot.data.taskCount > 0 && (
+                  <ul className={styles.snapshotTaskList}>
+                    {(previewSnapshot.data.data?.tasks || [])
+                      .filter((task) => !task.deletedAt)
+                      .slice(0, SNAPSHOT_PREVIEW_TASKS)
+                      .map((task) => (
+                        <li key={task.id} className={task.doneAt ? styles.snapshotTaskDone : ''}>
+                          {task.content}
+                        </li>
+                      ))}
+                    {previewSnapshot.data.taskCount > SNAPSHOT_PREVIEW_TASKS && (
+                      <li className={styles.snapshotTaskMore}>
+                        and {previewSnapshot.data.taskCount - SNAPSHOT_PREVIEW_TASKS} more
+                      </li>
+                    )}
+                  </ul>
+                )}
+                <p className={styles.modalDescription}>
+                  Restoring replaces your tasks, habit entries and tags on all devices with this version.
+                  Changes made after it are undone.
+                </p>
+              </>
+            ) : (
+              <p className={styles.modalDescription}>Loading this version...</p>
+            )}
+            <div className={styles.modalActions}>
+              <button
+                className={styles.modalCancelBtn}
+                onClick={() => setPreviewSnapshot(null)}
+                disabled={isRestoring}
+              >
+                Close
+              </button>
+              <button
+                className={styles.modalDeleteBtn}
+                onClick={handleRestoreSnapshot}
+                disabled={!previewSnapshot.data || isRestoring}
+              >
+                {isRestoring ? 'Restoring...' : 'Restore This Version'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Delete Confirmation Modal */}
       {showDeleteModal && (
         <div className={styles.modalOverlay} onClick={() => setShowDeleteModal(false)}>
@@ -921,69 +1912,7 @@ function OptionsPage() {
                       className={styles.copyCodeBtn}
                       onClick={() => {
                         const fileId = extractGoogleDriveFileId(googleDriveFileId) || 'YOUR_FILE_ID_HERE';
-                        const script = `// Google Apps Script for LetsDoIt Sync
-const FILE_ID = '${fileId}';
-
-function doGet(e) {
-  try {
-    const fileId = e.parameter.fileId || FILE_ID;
-    if (!fileId) {
-      return ContentService
-        .createTextOutput(JSON.stringify({ error: 'No file ID provided' }))
-        .setMimeType(ContentService.MimeType.JSON);
-    }
-    
-    const file = DriveApp.getFileById(fileId);
-    const content = file.getBlob().getDataAsString();
-    const data = JSON.parse(content);
-    data.fetchedAt = new Date().toISOString();
-    data.fetchMethod = 'GoogleAppsScript';
-    
-    return ContentService
-      .createTextOutput(JSON.stringify(data))
-      .setMimeType(ContentService.MimeType.JSON);
-  } catch (error) {
-    return ContentService
-      .createTextOutput(JSON.stringify({ 
-        error: error.toString(),
-        message: 'Failed to read file' 
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
-  }
-}
-
-function doPost(e) {
-  try {
-    const data = JSON.parse(e.postData.contents);
-    const fileId = e.parameter.fileId || FILE_ID;
-    if (!fileId) {
-      return ContentService
-        .createTextOutput(JSON.stringify({ error: 'No file ID provided' }))
-        .setMimeType(ContentService.MimeType.JSON);
-    }
-    
-    const file = DriveApp.getFileById(fileId);
-    file.setContent(JSON.stringify(data, null, 2));
-    
-    return ContentService
-      .createTextOutput(JSON.stringify({ 
-        success: true,
-        timestamp: new Date().toISOString()
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
-  } catch (error) {
-    return ContentService
-      .createTextOutput(JSON.stringify({ 
-        error: error.toString(),
-        message: 'Failed to write file' 
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
-  }
-}
-
-function doOptions(e) {
-  return ContentService.createTextOutput('');
-}`;
+                        const script = getAppsScriptSource(fileId);
                         navigator.clipboard.writeText(script);
                         setCopiedScript(true);
                         setTimeout(() => setCopiedScript(false), 2000);
@@ -1007,25 +1936,7 @@ function doOptions(e) {
                       )}
                     </button>
                     <pre className={styles.codeContent}>
-{`const FILE_ID = '${extractGoogleDriveFileId(googleDriveFileId) || 'YOUR_FILE_ID'}';
-
-function doGet(e) {
-  const fileId = e.parameter.fileId || FILE_ID;
-  const file = DriveApp.getFileById(fileId);
-  const content = file.getBlob().getDataAsString();
-  return ContentService.createTextOutput(content)
-    .setMimeType(ContentService.MimeType.JSON);
-}
-
-function doPost(e) {
-  const data = JSON.parse(e.postData.contents);
-  const fileId = e.parameter.fileId || FILE_ID;
-  const file = DriveApp.getFileById(fileId);
-  file.setContent(JSON.stringify(data, null, 2));
-  return ContentService.createTextOutput(
-    JSON.stringify({ success: true })
-  ).setMimeType(ContentService.MimeType.JSON);
-}`}
+                      {getAppsScriptSource(extractGoogleDriveFileId(googleDriveFileId) || 'YOUR_FILE_ID_HERE')}
                     </pre>
                   </div>
                 </div>
@@ -1046,6 +1957,16 @@ function doPost(e) {
                     <strong>Important:</strong> You must select <strong>&quot;Anyone&quot;</strong> (no authentication) to avoid CORS errors. 
                     If you select &quot;Anyone with Google account&quot;, sync will fail with CORS policy errors.
                   </div>
+                  <div className={styles.setupNote}>
+                    <strong>Tip:</strong> Anyone who has the URL can read the synced data. Turn on
+                    {' '}<strong>End-to-end encryption</strong> after connecting so only devices with your passphrase can read it.
+                  </div>
+                  <div className={styles.setupNote}>
+                    <strong>Updating an older script?</strong> Paste the latest version, then use <strong>Deploy</strong> →
+                    {' '}<strong>Manage deployments</strong> → <strong>Edit</strong> → <strong>New version</strong> so the URL stays
+                    the same. Older scripts can&apos;t stop two devices from overwriting each other&apos;s changes
+                    and don&apos;t keep a version history.
+                  </div>
                 </div>
               </div>
 
@@ -1074,11 +1995,11 @@ function doPost(e) {
 
       {/* QR Code Modal */}
       {showQRModal && (
-        <div className={styles.modalOverlay} onClick={() => setShowQRModal(false)}>
+        <div className={styles.modalOverlay} onClick={closeQRModal}>
           <div className={`${styles.modal} ${styles.qrModal}`} onClick={(e) => e.stopPropagation()}>
             <button 
               className={styles.modalCloseBtn}
-              onClick={() => setShowQRModal(false)}
+              onClick={closeQRModal}
             >
               <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                 <path d="M18 6L6 18M6 6l12 12" />
@@ -1087,40 +2008,99 @@ function doPost(e) {
             
             <div className={styles.qrModalContent}>
               <div className={styles.qrCodeWrapper}>
-                <QRCodeSVG
-                  value={getQRCodeData()}
-                  size={220}
-                  level="M"
-                  includeMargin={true}
-                  bgColor="var(--bg-primary)"
-                  fgColor="var(--text-primary)"
-                />
+                {qrShare && !qrShare.hidden ? (
+                  <QRCodeSVG
+                    value={qrShare.text}
+                    size={220}
+                    level="M"
+                    includeMargin={true}
+                    bgColor="var(--bg-primary)"
+                    fgColor="var(--text-primary)"
+                  />
+                ) : (
+                  <div className={styles.qrCodePlaceholder}>
+                    {qrShare?.hidden ? (
+                      <button className={styles.cloudCancelBtn} onClick={generateQRShare}>
+                        Show New Code
+                      </button>
+                    ) : (
+                      'Encrypting...'
+                    )}
+                  </div>
+                )}
               </div>
               <h3 className={styles.qrModalTitle}>Scan to Import Settings</h3>
+              {qrShare && !qrShare.hidden && (
+                <div className={styles.qrKey}>
+                  <span className={styles.qrKeyLabel}>Key</span>
+                  <span className={styles.qrKeyValue}>{qrShare.key}</span>
+                  <span className={styles.qrKeyHint}>
+                    Shown until {new Date(qrShare.hideAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  </span>
+                </div>
+              )}
               <p className={styles.qrModalDescription}>
-                Use another device to scan this QR code and automatically import your Google Drive sync settings.
+                Use another device to scan this QR code and type the key to import your {providerName} sync
+                settings. The code is encrypted with the key, so don&apos;t share both together.
+                {isWebdav && ' The password is not included and has to be entered on the other device.'}
+                {syncEncryptionEnabled && ' The encryption passphrase is not included either.'}
               </p>
-              <div className={styles.qrModalInfo}>
-                <div className={styles.qrInfoItem}>
-                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <path d="M13 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V9z" />
-                    <polyline points="13 2 13 9 20 9" />
-                  </svg>
-                  <span>File ID: {googleDriveFileId ? 'Configured' : 'Not set'}</span>
+              {isWebdav ? (
+                <div className={styles.qrModalInfo}>
+                  <div className={styles.qrInfoItem}>
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M10 13a5 5 0 007.54.54l3-3a5 5 0 00-7.07-7.07l-1.72 1.71" />
+                      <path d="M14 11a5 5 0 00-7.54-.54l-3 3a5 5 0 007.07 7.07l1.71-1.71" />
+                    </svg>
+                    <span>File URL: {webdavUrl ? 'Configured' : 'Not set'}</span>
+                  </div>
+                  <div className={styles.qrInfoItem}>
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M20 21v-2a4 4 0 00-4-4H8a4 4 0 00-4 4v2" />
+                      <circle cx="12" cy="7" r="4" />
+                    </svg>
+                    <span>Username: {webdavUsername || 'Not set'}</span>
+                  </div>
                 </div>
-                <div className={styles.qrInfoItem}>
-                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <path d="M10 13a5 5 0 007.54.54l3-3a5 5 0 00-7.07-7.07l-1.72 1.71" />
-                    <path d="M14 11a5 5 0 00-7.54-.54l-3 3a5 5 0 007.07 7.07l1.71-1.71" />
-                  </svg>
-                  <span>Script Endpoint: {googleDriveScriptEndpoint ? 'Configured' : 'Not set'}</span>
+              ) : (
+                <div className={styles.qrModalInfo}>
+                  <div className={styles.qrInfoItem}>
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M13 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V9z" />
+                      <polyline points="13 2 13 9 20 9" />
+                    </svg>
+                    <span>File ID: {googleDriveFileId ? 'Configured' : 'Not set'}</span>
+                  </div>
+                  <div className={styles.qrInfoItem}>
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M10 13a5 5 0 007.54.54l3-3a5 5 0 00-7.07-7.07l-1.72 1.71" />
+                      <path d="M14 11a5 5 0 00-7.54-.54l-3 3a5 5 0 007.07 7.07l1.71-1.71" />
+                    </svg>
+                    <span>Script Endpoint: {googleDriveScriptEndpoint ? 'Configured' : 'Not set'}</span>
+                  </div>
                 </div>
-              </div>
+              )}
             </div>
           </div>
         </div>
       )}
 
+      {/* Device-to-Device Sync Modal */}
+      {showPeerSync && (
+        <PeerSyncModal
+          onClose={() => setShowPeerSync(false)}
+          onComplete={(result) => {
+            refreshConflicts();
+            showToast(`Synced with ${result.peerName}`);
+          }}
+        />
+      )}
+
+      {/* Sync Log Modal */}
+      {showSyncLog && (
+        <SyncLogModal onClose={() => setShowSyncLog(false)} showToast={showToast} />
+      )}
+
       {/* QR Scanner Modal */}
       {showQRScanner && (
         <div className={styles.modalOverlay} onClick={stopQRScanner}>
@@ -1134,23 +2114,58 @@ function doPost(e) {
               </svg>
             </button>
             
-            <div className={styles.qrScannerContent}>
-              <h3 className={styles.qrScannerTitle}>Scan QR Code</h3>
-              <p className={styles.qrScannerDescription}>
-                Point your camera at a LetsDoIt sync QR code
-              </p>
-              <div 
-                id="qr-scanner-container" 
-                ref={qrScannerRef}
-                className={styles.qrScannerViewport}
-              />
-              <button 
-                className={styles.qrScannerCancelBtn}
-                onClick={stopQRScanner}
-              >
-                Cancel
-              </button>
-            </div>
+            {scannedQRCode ? (
+              <form className={`${styles.qrScannerContent} ${styles.qrKeyForm}`} onSubmit={handleQRKeySubmit}>
+                <h3 className={styles.qrScannerTitle}>Enter Key</h3>
+                <p className={styles.qrScannerDescription}>
+                  Type the key shown next to the QR code on the other device
+                </p>
+                <input
+                  type="text"
+                  autoComplete="off"
+                  autoCapitalize="characters"
+                  autoCorrect="off"
+                  spellCheck={false}
+                  placeholder="XXXX-XXXX-…"
+                  value={qrKeyInput}
+                  onChange={(e) => setQRKeyInput(e.target.value.toUpperCase())}
+                  className={`${styles.cloudInput} ${styles.qrKeyInput}`}
+                  autoFocus
+                />
+                <button
+                  type="submit"
+                  className={styles.cloudConnectBtn}
+                  disabled={normalizeQRShareKey(qrKeyInput).length !== QR_SHARE_KEY_LENGTH || isReadingQRCode}
+                >
+                  {isReadingQRCode ? 'Decrypting...' : 'Import Settings'}
+                </button>
+                <button 
+                  type="button"
+                  className={styles.qrScannerCancelBtn}
+                  onClick={stopQRScanner}
+                >
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <div className={styles.qrScannerContent}>
+                <h3 className={styles.qrScannerTitle}>Scan QR Code</h3>
+                <p className={styles.qrScannerDescription}>
+                  Point your camera at a LetsDoIt sync QR code
+                </p>
+                <div 
+                  id="qr-scanner-container" 
+                  ref={qrScannerRef}
+                  className={styles.qrScannerViewport}
+                />
+                <button 
+                  className={styles.qrScannerCancelBtn}
+                  onClick={stopQRScanner}
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
           </div>
         </div>
       )}
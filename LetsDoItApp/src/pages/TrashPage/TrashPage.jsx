@@ -0,0 +1,241 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import NavToggle, { SettingsButton, SearchButton } from '../../components/NavToggle';
+import Logo from '../../components/Logo';
+import { useSync, useUndo } from '../../context';
+import {
+  getTrashItems,
+  restoreTask,
+  restoreHabit,
+  purgeTask,
+  purgeHabit,
+  emptyTrash,
+  getTrashRetentionDays,
+} from '../../db/database';
+import { parseDateString } from '../../utils/dateUtils';
+import { scoreToEmoji } from '../../utils/habitUtils';
+import styles from './TrashPage.module.css';
+
+// Format when an item was deleted
+const formatDeletedAt = (deletedAt) => {
+  const date = new Date(deletedAt);
+  if (isNaN(date)) return '';
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+// Days left before an item is purged automatically
+const getDaysLeft = (deletedAt, retentionDays) => {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const elapsed = Math.floor((Date.now() - new Date(deletedAt).getTime()) / dayMs);
+  return Math.max(0, retentionDays - elapsed);
+};
+
+function TrashPage() {
+  const [tasks, setTasks] = useState([]);
+  const [habits, setHabits] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+  const { lastSyncResult } = useSync();
+  const { historyRevision } = useUndo();
+
+  const loadTrash = useCallback(async () => {
+    try {
+      const [items, days] = await Promise.all([getTrashItems(), getTrashRetentionDays()]);
+      setTasks(items.tasks);
+      setHabits(items.habits);
+      setRetentionDays(days);
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  // Refresh data when sync pulls new data (both manual and automatic)
+  useEffect(() => {
+    if (lastSyncResult?.action === 'pulled') {
+      loadTrash();
+    }
+  }, [lastSyncResult, loadTrash]);
+
+  // Refresh data after an undo/redo
+  useEffect(() => {
+    if (historyRevision > 0) {
+      loadTrash();
+    }
+  }, [historyRevision, loadTrash]);
+
+  const handleRestoreTask = async (id) => {
+    await restoreTask(id);
+    loadTrash();
+  };
+
+  const handleRestoreHabit = async (id) => {
+    await restoreHabit(id);
+    loadTrash();
+  };
+
+  const handlePurgeTask = async (id) => {
+    await purgeTask(id);
+    loadTrash();
+  };
+
+  const handlePurgeHabit = async (id) => {
+    await purgeHabit(id);
+    loadTrash();
+  };
+
+  const handleEmptyTrash = async () => {
+    await emptyTrash();
+    setConfirmEmpty(false);
+    loadTrash();
+  };
+
+  const renderExpiry = (deletedAt) => {
+    if (!retentionDays) return null;
+    const daysLeft = getDaysLeft(deletedAt, retentionDays);
+    return (
+      <span className={styles.expiry}>
+        {daysLeft === 0 ? 'Deleted on next start' : `${daysLeft}d left`}
+      </span>
+    );
+  };
+
+  const isEmpty = tasks.length === 0 && habits.length === 0;
+
+  return (
+    <div className={styles.page}>
+      <header className={styles.header}>
+        <div className={styles.headerContent}>
+          <Logo />
+          <NavToggle />
+          <div className={styles.headerActions}>
+            <SearchButton />
+            <SettingsButton />
+          </div>
+        </div>
+      </header>
+
+      <main className={styles.main}>
+        <div className={styles.container}>
+          <div className={styles.titleRow}>
+            <h2 className={styles.title}>Trash</h2>
+            {!isEmpty && (
+              confirmEmpty ? (
+                <div className={styles.confirm}>
+                  <span>Delete everything forever?</span>
+                  <button className={styles.cancelBtn} onClick={() => setConfirmEmpty(false)}>
+                    No
+                  </button>
+                  <button className={styles.dangerBtn} onClick={handleEmptyTrash}>
+                    Yes
+                  </button>
+                </div>
+              ) : (
+                <button className={styles.dangerBtn} onClick={() => setConfirmEmpty(true)}>
+                  Empty trash
+                </button>
+              )
+            )}
+          </div>
+          <p className={styles.subtitle}>
+            {retentionDays
+              ? `Items are permanently deleted ${retentionDays} days after they were moved here. `
+              : 'Items stay here until you delete them. '}
+            <Link to="/options" className={styles.link}>Change in Options</Link>
+          </p>
+
+          <div className={styles.content}>
+            {isLoading ? (
+              <div className={styles.empty}>Loading...</div>
+            ) : isEmpty ? (
+              <div className={styles.empty}>The trash is empty</div>
+            ) : (
+              <>
+                {tasks.length > 0 && (
+                  <section className={styles.group}>
+                    <h3 className={styles.groupTitle}>
+                      Tasks
+                      <span className={styles.groupCount}>{tasks.length}</span>
+                    </h3>
+                    <ul className={styles.list}>
+                      {tasks.map((task) => (
+                        <li key={task.id} className={styles.item}>
+                          <span className={styles.itemIcon}>{task.doneAt ? '✅' : '☐'}</span>
+                          <div className={styles.itemBody}>
+                            <span className={styles.itemTitle}>{task.content}</span>
+                            <span className={styles.itemMeta}>
+                              Deleted {formatDeletedAt(task.deletedAt)}
+                            </span>
+                          </div>
+                          {renderExpiry(task.deletedAt)}
+                          <button className={styles.restoreBtn} onClick={() => handleRestoreTask(task.id)}>
+                            Restore
+                          </button>
+                          <button
+                            className={styles.purgeBtn}
+                            onClick={() => handlePurgeTask(task.id)}
+                            title="Delete forever"
+                          >
+                            ×
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </section>
+                )}
+
+                {habits.length > 0 && (
+                  <section className={styles.group}>
+                    <h3 className={styles.groupTitle}>
+                      Mood entries
+                      <span className={styles.groupCount}>{habits.length}</span>
+                    </h3>
+                    <ul className={styles.list}>
+                      {habits.map((habit) => (
+                        <li key={habit.id} className={styles.item}>
+                          <span className={styles.itemIcon}>{scoreToEmoji(habit.score)}</span>
+                          <div className={styles.itemBody}>
+                            <span className={styles.itemTitle}>
+                              {parseDateString(habit.date)?.toLocaleDateString(undefined, {
+                                weekday: 'short',
+                                month: 'short',
+                                day: 'numeric',
+                                year: 'numeric',
+                              })}
+                            </span>
+                            <span className={styles.itemMeta}>
+                              Deleted {formatDeletedAt(habit.deletedAt)}
+                            </span>
+                          </div>
+                          {renderExpiry(habit.deletedAt)}
+                          <button className={styles.restoreBtn} onClick={() => handleRestoreHabit(habit.id)}>
+                            Restore
+                          </button>
+                          <button
+                            className={styles.purgeBtn}
+                            onClick={() => handlePurgeHabit(habit.id)}
+                            title="Delete forever"
+                          >
+                            ×
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </section>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default TrashPage;
@@ -0,0 +1,11 @@
+// Paths of the app's pages (see App.jsx)
+// The service worker serves the app for these paths while offline (see vite.config.js).
+export const ROUTES = {
+  HOME: '/',
+  HAPPINESS: '/happiness',
+  LOGBOOK: '/logbook',
+  TRASH: '/trash',
+  CONFLICTS: '/conflicts',
+  OPTIONS: '/options',
+  ADD_TASK: '/add-task',
+};
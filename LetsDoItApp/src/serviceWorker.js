@@ -0,0 +1,94 @@
+// ============================================
+// Service worker
+// ============================================
+//
+// Built into sw.js by the service worker plugin in vite.config.js, which fills in the
+// build's version, its files and the app's routes. Every file of the build is precached
+// in a cache named after the version, so the app loads without a connection; all data
+// already lives in IndexedDB. Navigations to the app's pages (see src/routes.js) get the
+// precached index.html.
+//
+// Updates: a new build is a new version of this script. It installs next to the running
+// version and waits until the app asks it to take over (SKIP_WAITING, sent when the user
+// accepts the update prompt, see components/UpdatePrompt). Once it is active, the caches
+// of other versions are deleted.
+
+const CACHE_VERSION = __CACHE_VERSION__;
+const PRECACHE_URLS = __PRECACHE_URLS__;
+const APP_ROUTES = __APP_ROUTES__;
+
+const PRECACHE_PREFIX = 'letsdoit-precache-';
+const PRECACHE_NAME = `${PRECACHE_PREFIX}${CACHE_VERSION}`;
+const APP_SHELL_URL = '/index.html';
+
+// Google Fonts (see index.html) are cached as they are used and refreshed in the background
+const FONTS_CACHE_NAME = 'letsdoit-fonts';
+const FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+const precachedPaths = new Set(PRECACHE_URLS);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE_NAME).then((cache) =>
+      // Bypass the HTTP cache so a stale file can't end up in the new version
+      cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: 'reload' })))
+    )
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(
+      names
+        .filter((name) => name.startsWith(PRECACHE_PREFIX) && name !== PRECACHE_NAME)
+        .map((name) => caches.delete(name))
+    );
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    // "/options/" is the same page as "/options"
+    const path = url.pathname.length > 1 ? url.pathname.replace(/\/$/, '') : url.pathname;
+    if (request.mode === 'navigate' && APP_ROUTES.includes(path)) {
+      event.respondWith(fromPrecache(APP_SHELL_URL, request));
+    } else if (precachedPaths.has(path)) {
+      event.respondWith(fromPrecache(path, request));
+    }
+    // Anything else (e.g. a WebDAV server on the same origin) goes to the network as usual
+  } else if (FONT_ORIGINS.includes(url.origin)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+async function fromPrecache(path, request) {
+  const cached = await caches.match(path, { cacheName: PRECACHE_NAME });
+  return cached || fetch(request);
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(FONTS_CACHE_NAME);
+  const cached = await cache.match(request);
+  const fetched = fetch(request)
+    .then((response) => {
+      // The stylesheet is fetched without CORS, so its response is opaque
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || fetched;
+}
@@ -0,0 +1,260 @@
+// ============================================
+// Google Apps Script template
+// ============================================
+//
+// The script users paste into script.google.com (see the setup guide on the Options page).
+// It implements the protocol of googleAppsScriptProvider: GET returns the file, POST stores
+// the body unless it is based on an outdated revision. The script lock makes the revision
+// check and the write atomic when two devices push at the same time.
+//
+// Each write is also saved as a snapshot in a "<file name> (history)" folder next to the
+// file, with its list entry (see sync/snapshots) and its shardIds as the file description.
+//
+// Shards sent in a write's shardData are stored as files in a "<file name> (shards)" folder
+// and left out of the file (see sync/shards). GET ?action=shards&shardIds= returns them.
+// Shards that neither the file nor a kept snapshot lists in its shardIds are deleted.
+
+/**
+ * Build the Apps Script source
+ * @param {string} fileId - The Google Drive file ID used when a request doesn't pass one
+ * @returns {string} - The script
+ */
+export function getAppsScriptSource(fileId) {
+  return `// Google Apps Script for LetsDoIt Sync
+const FILE_ID = ${JSON.stringify(fileId)};
+
+function jsonOutput(body) {
+  return ContentService
+    .createTextOutput(JSON.stringify(body))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+function getFile(e) {
+  const fileId = e.parameter.fileId || FILE_ID;
+  if (!fileId) {
+    throw new Error('No file ID provided');
+  }
+  return DriveApp.getFileById(fileId);
+}
+
+// An empty file has no data yet; the app then uploads its own
+function readData(file) {
+  const content = file.getBlob().getDataAsString();
+  return content.trim() ? JSON.parse(content) : null;
+}
+
+// A folder next to the file, e.g. "<file name> (history)"
+function getSiblingFolder(file, suffix, create) {
+  const parents = file.getParents();
+  const parent = parents.hasNext() ? parents.next() : DriveApp.getRootFolder();
+  const name = file.getName() + ' ' + suffix;
+  const folders = parent.getFoldersByName(name);
+  if (folders.hasNext()) {
+    return folders.next();
+  }
+  return create ? parent.createFolder(name) : null;
+}
+
+function getSnapshotFolder(file, create) {
+  return getSiblingFolder(file, '(history)', create);
+}
+
+function getShardFolder(file, create) {
+  return getSiblingFolder(file, '(shards)', create);
+}
+
+// Trashed files are skipped
+function getFolderFiles(folder) {
+  const files = [];
+  const iterator = folder.getFiles();
+  while (iterator.hasNext()) {
+    const file = iterator.next();
+    if (!file.isTrashed()) {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+// Newest first
+function getSnapshotFiles(folder) {
+  return getFolderFiles(folder).sort((a, b) => b.getDateCreated().getTime() - a.getDateCreated().getTime());
+}
+
+function saveShards(file, shardData) {
+  const folder = getShardFolder(file, true);
+  Object.keys(shardData).forEach((id) => {
+    folder.createFile(id + '.json', JSON.stringify(shardData[id]), MimeType.PLAIN_TEXT);
+  });
+}
+
+// Missing shards are null
+function readShards(file, shardIds) {
+  const folder = getShardFolder(file, false);
+  const shards = {};
+  shardIds.forEach((id) => {
+    const files = folder ? folder.getFilesByName(id + '.json') : null;
+    shards[id] = files && files.hasNext() ? readData(files.next()) : null;
+  });
+  return shards;
+}
+
+// Shards stay as long as the file or a kept snapshot lists them
+function removeUnusedShards(file, data) {
+  const folder = getShardFolder(file, false);
+  if (!folder) {
+    return;
+  }
+  const used = {};
+  const addUsed = (stored) => ((stored && stored.shardIds) || []).forEach((id) => {
+    used[id + '.json'] = true;
+  });
+  addUsed(data);
+  const history = getSnapshotFolder(file, false);
+  if (history) {
+    getSnapshotFiles(history).forEach((snapshot) => addUsed({ shardIds: getSnapshotShardIds(snapshot) }));
+  }
+  getFolderFiles(folder).forEach((shard) => {
+    if (!used[shard.getName()]) {
+      shard.setTrashed(true);
+    }
+  });
+}
+
+// Read from the description, so removing unused shards doesn't download every snapshot.
+// Snapshots saved before their description listed them are read once and get it added.
+function getSnapshotShardIds(snapshot) {
+  const entry = JSON.parse(snapshot.getDescription() || '{}');
+  if (!entry.shardIds) {
+    const stored = readData(snapshot);
+    entry.shardIds = (stored && stored.shardIds) || [];
+    snapshot.setDescription(JSON.stringify(entry));
+  }
+  return entry.shardIds;
+}
+
+function saveSnapshot(file, data, keep) {
+  const folder = getSnapshotFolder(file, true);
+  const createdAt = new Date().toISOString();
+  const info = data.snapshotInfo || {};
+  const snapshot = folder.createFile('snapshot-' + createdAt + '.json', JSON.stringify(data), MimeType.PLAIN_TEXT);
+  snapshot.setDescription(JSON.stringify({
+    createdAt: createdAt,
+    revision: data.revision === undefined ? null : data.revision,
+    deviceName: info.deviceName || null,
+    taskCount: info.taskCount === undefined ? null : info.taskCount,
+    habitCount: info.habitCount === undefined ? null : info.habitCount,
+    shardIds: data.shardIds || [],
+  }));
+  getSnapshotFiles(folder).slice(keep).forEach((old) => old.setTrashed(true));
+}
+
+function listSnapshots(file) {
+  const folder = getSnapshotFolder(file, false);
+  if (!folder) {
+    return [];
+  }
+  return getSnapshotFiles(folder).map((snapshot) => {
+    const entry = JSON.parse(snapshot.getDescription() || '{}');
+    entry.id = snapshot.getId();
+    return entry;
+  });
+}
+
+// Only files in this sync file's history folder are served
+function readSnapshot(file, snapshotId) {
+  const folder = getSnapshotFolder(file, false);
+  const snapshot = DriveApp.getFileById(snapshotId);
+  const parents = snapshot.getParents();
+  if (!folder || !parents.hasNext() || parents.next().getId() !== folder.getId()) {
+    throw new Error('Snapshot not found');
+  }
+  return readData(snapshot);
+}
+
+function doGet(e) {
+  try {
+    const file = getFile(e);
+    if (e.parameter.action === 'snapshots') {
+      return jsonOutput({ snapshots: listSnapshots(file) });
+    }
+    if (e.parameter.action === 'snapshot') {
+      return jsonOutput({ snapshot: readSnapshot(file, e.parameter.snapshotId) });
+    }
+    if (e.parameter.action === 'shards') {
+      return jsonOutput({ shards: readShards(file, (e.parameter.shardIds || '').split(',').filter(String)) });
+    }
+
+    const data = readData(file);
+    if (data) {
+      data.fetchedAt = new Date().toISOString();
+      data.fetchMethod = 'GoogleAppsScript';
+    }
+    return jsonOutput(data);
+  } catch (error) {
+    return jsonOutput({ error: error.toString(), message: 'Failed to read file' });
+  }
+}
+
+function doPost(e) {
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+    const data = JSON.parse(e.postData.contents);
+    const file = getFile(e);
+
+    // Reject writes based on an older revision than the file's,
+    // so changes pushed by another device in the meantime aren't overwritten
+    if (e.parameter.baseRevision !== undefined) {
+      const current = readData(file);
+      const currentRevision = (current && Number(current.revision)) || 0;
+      if (currentRevision !== Number(e.parameter.baseRevision)) {
+        return jsonOutput({
+          error: 'conflict',
+          message: 'The file was changed by another device',
+          revision: currentRevision,
+        });
+      }
+    }
+
+    // Shards go to their own files before the file refers to them
+    if (data.shardData) {
+      saveShards(file, data.shardData);
+      delete data.shardData;
+    }
+
+    file.setContent(JSON.stringify(data));
+
+    // The write already succeeded, so a failed snapshot is only reported
+    let snapshotError = null;
+    const keep = Math.min(Number(e.parameter.keepSnapshots) || 0, 50);
+    if (keep > 0) {
+      try {
+        saveSnapshot(file, data, keep);
+      } catch (error) {
+        snapshotError = error.toString();
+      }
+    }
+    try {
+      removeUnusedShards(file, data);
+    } catch (error) {
+      // Left for the next write to remove
+    }
+
+    return jsonOutput({
+      success: true,
+      revision: data.revision,
+      snapshotError: snapshotError,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    return jsonOutput({ error: error.toString(), message: 'Failed to write file' });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function doOptions(e) {
+  return ContentService.createTextOutput('');
+}`;
+}
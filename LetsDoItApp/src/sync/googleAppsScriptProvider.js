@@ -0,0 +1,256 @@
+// ============================================
+// Google Apps Script sync provider
+// ============================================
+//
+// Reads and writes a JSON file in the user's Google Drive through a Google Apps Script
+// Web App deployed from the setup guide on the Options page. The script answers
+// GET ?fileId= with the file content and stores the text/plain JSON body of a POST.
+// The self-hosted server in sync-server/ speaks the same protocol.
+//
+// The stored JSON carries a revision counter. A POST sends the revision it is based on
+// (?baseRevision=) and the script rejects it with a "conflict" error if the file has moved on.
+// Scripts deployed before revisions existed ignore baseRevision and always write.
+//
+// Every POST also asks the script to keep a snapshot (?keepSnapshots=), stored in a folder
+// next to the file. GET ?action=snapshots lists them and GET ?action=snapshot&snapshotId=
+// returns one. Older scripts ignore these parameters and answer with the file itself.
+//
+// Shards in the POSTed shardData are stored as separate files by the script, and
+// GET ?action=shards&shardIds= returns them (see sync/shards). Older scripts store them
+// in the file, where they are read from as well.
+
+import { staleRevisionError } from './syncErrors';
+import { SNAPSHOT_LIMIT, isValidSnapshotId } from './snapshots';
+
+const PROVIDER_NAME = 'Google Drive';
+
+// Files written before revisions existed count as revision 0
+function getRevision(data) {
+  return Number(data?.revision) || 0;
+}
+
+/**
+ * Fetch data from Google Drive using Google Apps Script
+ * 
+ * IMPORTANT: We must NOT send custom headers (Cache-Control, Pragma, etc.)
+ * because they trigger a CORS preflight (OPTIONS) request that Google Apps Script
+ * cannot handle. We use a simple GET with only a cache-buster query parameter.
+ * 
+ * @param {string} scriptEndpoint - The Google Apps Script Web App URL
+ * @param {string} fileId - The Google Drive file ID
+ * @returns {Promise<Object|null>} The parsed JSON data from the file, or null if the
+ *   endpoint has nothing stored yet (the self-hosted sync server answers null)
+ */
+export async function fetchFromGoogleDrive(scriptEndpoint, fileId) {
+  if (!scriptEndpoint) {
+    throw new Error('Google Apps Script endpoint is required. Please configure it in Settings.');
+  }
+  
+  if (!fileId) {
+    throw new Error('Google Drive file ID is required. Please configure it in Settings.');
+  }
+  
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 20000);
+  
+  try {
+    console.log('Fetching from Google Drive via Apps Script...');
+    const cacheBuster = Date.now();
+    const url = `${scriptEndpoint}?fileId=${encodeURIComponent(fileId)}&_cb=${cacheBuster}`;
+    
+    // Simple fetch with NO custom headers to avoid CORS preflight
+    const response = await fetch(url, {
+      method: 'GET',
+      signal: controller.signal,
+    });
+    
+    clearTimeout(timeoutId);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    
+    if (data === null) {
+      console.log('✓ No data stored on the sync endpoint yet');
+      return null;
+    }
+    
+    // Check for error in response
+    if (data.error) {
+      throw new Error(data.message || data.error);
+    }
+    
+    console.log('✓ Successfully fetched data from Google Drive');
+    return data;
+    
+  } catch (error) {
+    clearTimeout(timeoutId);
+    console.error('✗ Failed to fetch from Google Drive:', error.message);
+    
+    // Provide helpful error message
+    let errorMsg = `Sync failed: ${error.message}\n\n`;
+    
+    if (error.name === 'AbortError') {
+      errorMsg = `Request timed out.\n\nCheck that your Apps Script URL is correct and the script is deployed.`;
+    } else if (error.message.includes('Failed to fetch')) {
+      errorMsg += `Check that:\n`;
+      errorMsg += `1. Your Apps Script URL is correct\n`;
+      errorMsg += `2. The script is deployed as a Web App with "Who has access" set to "Anyone"\n`;
+      errorMsg += `3. You authorized the script when deploying\n`;
+    } else if (error.message.includes('File') || error.message.includes('file')) {
+      errorMsg += `Check that:\n`;
+      errorMsg += `1. The file ID is correct\n`;
+      errorMsg += `2. The file exists in YOUR Google Drive\n`;
+      errorMsg += `3. The file contains valid JSON data\n`;
+    }
+    
+    throw new Error(errorMsg);
+  }
+}
+
+/**
+ * Store data in Google Drive using Google Apps Script
+ * Uses the same endpoint as reading (handles both GET and POST)
+ * @param {number} baseRevision - The revision the data is based on; the write is
+ *   rejected if the file has a different one
+ */
+async function postToGoogleDrive(scriptEndpoint, fileId, payload, baseRevision) {
+  console.log('Pushing data to Google Drive via Apps Script...');
+  
+  // Use 'text/plain' content type to avoid CORS preflight
+  // (application/json triggers preflight, text/plain does not)
+  // The Apps Script doPost() can still parse JSON from text/plain body
+  const query = `fileId=${encodeURIComponent(fileId)}&baseRevision=${baseRevision}&keepSnapshots=${SNAPSHOT_LIMIT}`;
+  const response = await fetch(`${scriptEndpoint}?${query}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'text/plain',
+    },
+    body: JSON.stringify(payload),
+  });
+  
+  let result;
+  try {
+    result = await response.json();
+  } catch {
+    // If we can't parse response, assume success if status was OK
+    result = { success: true };
+  }
+  
+  // Apps Script always answers 200; the sync server answers 409
+  if (result.error === 'conflict' || response.status === 409) {
+    throw staleRevisionError(PROVIDER_NAME);
+  }
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  
+  if (result.error) {
+    throw new Error(result.message || result.error);
+  }
+  
+  console.log('✓ Successfully pushed data to Google Drive');
+}
+
+/**
+ * Run a GET action of the script (version history, shards)
+ * @returns {Promise<object>} - The script's JSON answer
+ */
+async function getScriptAction(settings, params) {
+  const query = new URLSearchParams({ fileId: settings.fileId, ...params, _cb: Date.now() });
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 20000);
+
+  let response;
+  try {
+    // No custom headers, to avoid a CORS preflight (see fetchFromGoogleDrive)
+    response = await fetch(`${settings.scriptEndpoint}?${query}`, { method: 'GET', signal: controller.signal });
+  } catch (error) {
+    throw new Error(error.name === 'AbortError' ? 'Request timed out' : error.message);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  // The sync server explains errors in the body of non-2xx answers
+  const result = await response.json().catch(() => null);
+  if (result?.error) {
+    throw new Error(result.message || result.error);
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  return result;
+}
+
+/**
+ * @param {string} feature - What the script can't do yet, e.g. 'keep version history'
+ */
+function outdatedScriptError(feature) {
+  return new Error(
+    `Your Apps Script does not ${feature} yet. Update it with the script from the setup guide in Settings and deploy a new version.`
+  );
+}
+
+const googleAppsScriptProvider = {
+  id: 'googleAppsScript',
+  name: PROVIDER_NAME,
+
+  isConfigured(settings) {
+    return !!(settings.scriptEndpoint && settings.fileId);
+  },
+
+  async read(settings) {
+    const data = await fetchFromGoogleDrive(settings.scriptEndpoint, settings.fileId);
+    if (!data) return null;
+    return { payload: data, revision: getRevision(data) };
+  },
+
+  async write(settings, payload, expectedRevision) {
+    const baseRevision = expectedRevision || 0;
+    const revision = baseRevision + 1;
+    await postToGoogleDrive(
+      settings.scriptEndpoint,
+      settings.fileId,
+      { ...payload, revision },
+      baseRevision
+    );
+    return revision;
+  },
+
+  // The script only serves the whole file, so the metadata comes from its content
+  async getMetadata(settings) {
+    const data = await fetchFromGoogleDrive(settings.scriptEndpoint, settings.fileId);
+    if (!data) return null;
+    return {
+      modifiedAt: data.localModifiedAt || data.syncedAt || data.exportedAt || null,
+      size: null,
+      revision: getRevision(data),
+    };
+  },
+
+  async listSnapshots(settings) {
+    const result = await getScriptAction(settings, { action: 'snapshots' });
+    if (!Array.isArray(result?.snapshots)) throw outdatedScriptError('keep version history');
+    return result.snapshots;
+  },
+
+  async readSnapshot(settings, id) {
+    if (!isValidSnapshotId(id)) {
+      throw new Error('Invalid snapshot ID');
+    }
+    const result = await getScriptAction(settings, { action: 'snapshot', snapshotId: id });
+    if (!result || !('snapshot' in result)) throw outdatedScriptError('keep version history');
+    return result.snapshot;
+  },
+
+  async readShards(settings, ids) {
+    const result = await getScriptAction(settings, { action: 'shards', shardIds: ids.join(',') });
+    if (!result?.shards) throw outdatedScriptError('store the data in parts');
+    return result.shards;
+  },
+};
+
+export default googleAppsScriptProvider;
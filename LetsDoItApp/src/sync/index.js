@@ -0,0 +1,93 @@
+import googleAppsScriptProvider from './googleAppsScriptProvider';
+import webdavProvider from './webdavProvider';
+import localFileProvider from './localFileProvider';
+
+export { SYNC_ERRORS } from './syncErrors';
+export { SNAPSHOT_LIMIT } from './snapshots';
+export { SYNC_SCOPES, DEFAULT_SYNC_SCOPES, isScopeSynced } from './scopes';
+
+// ============================================
+// Sync providers
+// ============================================
+//
+// A sync provider stores the sync payload (a manifest with the data in shards, possibly
+// encrypted, see sync/shards) somewhere remote. The sync logic in db/database.js only talks to this
+// interface:
+//
+//   id                        - Stored in the sync settings to select the provider
+//   name                      - Shown in the UI and in error messages
+//   isConfigured(settings)    - Whether the sync settings hold everything the provider needs
+//   read(settings)            - Fetch the stored payload; resolves to { payload, revision },
+//                               or null if nothing is stored yet
+//   write(settings, payload, expectedRevision)
+//                             - Store the payload, replacing the previous one, only if the
+//                               remote copy still has expectedRevision (the revision from
+//                               read, or null if read found nothing). Otherwise rejects with
+//                               an error whose code is SYNC_ERRORS.STALE_REVISION.
+//                               Resolves to the new revision. Providers that implement
+//                               readShards store the payload's shardData separately and
+//                               leave it out of the stored payload.
+//   getMetadata(settings)     - Resolves to { modifiedAt, size, revision } of the stored
+//                               payload (any may be null), or null if nothing is stored yet
+//
+// Optional:
+//   isSupported()             - Whether this browser can use the provider (assumed if missing)
+//   listSnapshots(settings)   - Resolves to the snapshots kept from earlier writes, newest
+//                               first (entries from createSnapshotEntry, see sync/snapshots)
+//   readSnapshot(settings, id)
+//                             - Resolves to the payload stored in a snapshot
+//                               (providers without these two have no version history)
+//   readShards(settings, ids)
+//                             - Resolves to { <id>: <shard> } for shards that write stored
+//                               separately. Shards listed in the shardIds of the payload or
+//                               of a kept snapshot are kept, the others deleted. Providers
+//                               without it keep all shards in the payload.
+//   changePollIntervalMs      - Poll getMetadata this often and sync when the revision
+//                               changes, for providers where that is cheap
+//
+// Revisions are opaque to the sync logic: a counter for the Apps Script protocol, an ETag
+// for WebDAV, the modified time and size for a local file. Providers read their own
+// fields from the sync settings (see getSyncSettings).
+
+export const SYNC_PROVIDERS = {
+  GOOGLE_APPS_SCRIPT: googleAppsScriptProvider.id,
+  WEBDAV: webdavProvider.id,
+  LOCAL_FILE: localFileProvider.id,
+};
+
+export const DEFAULT_SYNC_PROVIDER = SYNC_PROVIDERS.GOOGLE_APPS_SCRIPT;
+
+const providers = {
+  [googleAppsScriptProvider.id]: googleAppsScriptProvider,
+  [webdavProvider.id]: webdavProvider,
+  [localFileProvider.id]: localFileProvider,
+};
+
+/**
+ * Get a sync provider by ID (unknown IDs fall back to the default provider)
+ */
+export function getSyncProvider(id) {
+  return providers[id] || providers[DEFAULT_SYNC_PROVIDER];
+}
+
+/**
+ * Get the IDs of the providers this browser supports
+ */
+export function getSupportedSyncProviders() {
+  return Object.values(SYNC_PROVIDERS).filter((id) => providers[id].isSupported?.() ?? true);
+}
+
+/**
+ * Check whether a provider keeps snapshots for the version history
+ */
+export function hasVersionHistory(id) {
+  return typeof getSyncProvider(id).listSnapshots === 'function';
+}
+
+/**
+ * Check whether sync is turned on and the selected provider is fully configured
+ * @param {object} settings - The sync settings
+ */
+export function isSyncConfigured(settings) {
+  return !!settings?.enabled && getSyncProvider(settings.provider).isConfigured(settings);
+}
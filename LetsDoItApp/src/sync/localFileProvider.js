@@ -0,0 +1,143 @@
+// ============================================
+// Local file sync provider
+// ============================================
+//
+// Reads and writes the sync payload as a JSON file on this device through the File System
+// Access API, so any folder sync tool (Syncthing, Dropbox, OneDrive desktop, ...) can carry
+// it to other devices. The FileSystemFileHandle is kept in the sync settings, which live in
+// IndexedDB and can hold handles.
+//
+// The file's modified time and size serve as its revision. Writes first check that the
+// file is unchanged since it was read; the check and the write aren't atomic, but a folder
+// sync tool only replaces the file every few seconds at most.
+//
+// Browsers ask again for permission to the file after a restart. Permission can only be
+// requested during a user action, so syncs without one (auto-sync) fail with
+// SYNC_ERRORS.PERMISSION_REQUIRED until the user syncs by hand.
+
+import { staleRevisionError, SYNC_ERRORS } from './syncErrors';
+
+const PROVIDER_NAME = 'Local File';
+// Checking the modified time is a cheap local call, so the file is polled often
+const CHANGE_POLL_INTERVAL_MS = 10000;
+
+const FILE_TYPES = [{ description: 'LetsDoIt sync file', accept: { 'application/json': ['.json'] } }];
+
+function getRevision(file) {
+  return `${file.lastModified}:${file.size}`;
+}
+
+/**
+ * Make sure the app may read and write the file
+ * @param {FileSystemFileHandle} handle - The sync file
+ * @param {boolean} interactive - Whether a permission prompt may be shown
+ * @returns {Promise<boolean>} - Whether access is granted
+ */
+async function hasPermission(handle, interactive) {
+  const options = { mode: 'readwrite' };
+  if ((await handle.queryPermission(options)) === 'granted') return true;
+  if (!interactive) return false;
+  return (await handle.requestPermission(options)) === 'granted';
+}
+
+function permissionError(handle) {
+  const error = new Error(`Click Sync to allow access to ${handle.name} again.`);
+  error.code = SYNC_ERRORS.PERMISSION_REQUIRED;
+  return error;
+}
+
+/**
+ * Get the sync file, asking for permission if the current user action allows it
+ */
+async function getSyncFile(settings) {
+  const handle = settings.fileHandle;
+  if (!handle) {
+    throw new Error('No sync file chosen. Please choose one in Settings.');
+  }
+  const interactive = !!navigator.userActivation?.isActive;
+  if (!(await hasPermission(handle, interactive))) {
+    throw permissionError(handle);
+  }
+  try {
+    return await handle.getFile();
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      throw new Error(`${handle.name} was moved or deleted. Choose the sync file again in Settings.`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Let the user pick the sync file (must be called from a user action)
+ * @param {boolean} create - Create a new file instead of opening an existing one
+ * @returns {Promise<FileSystemFileHandle>} - The chosen file, with read and write access
+ */
+export async function pickSyncFile(create) {
+  const handle = create
+    ? await window.showSaveFilePicker({ suggestedName: 'letsdoit.json', types: FILE_TYPES })
+    : (await window.showOpenFilePicker({ types: FILE_TYPES }))[0];
+  // Opened files are read-only until write access is granted
+  if (!(await hasPermission(handle, true))) {
+    throw new Error('Write access to the file is needed to sync');
+  }
+  return handle;
+}
+
+const localFileProvider = {
+  id: 'localFile',
+  name: PROVIDER_NAME,
+  changePollIntervalMs: CHANGE_POLL_INTERVAL_MS,
+
+  isSupported() {
+    return typeof window !== 'undefined' && 'showOpenFilePicker' in window;
+  },
+
+  isConfigured(settings) {
+    return !!settings.fileHandle;
+  },
+
+  // Resolves to null while the file is empty
+  async read(settings) {
+    const file = await getSyncFile(settings);
+    const text = await file.text();
+    if (!text.trim()) return null;
+    try {
+      return { payload: JSON.parse(text), revision: getRevision(file) };
+    } catch {
+      throw new Error(`${file.name} does not contain valid JSON data.`);
+    }
+  },
+
+  async write(settings, payload, expectedRevision) {
+    const current = await getSyncFile(settings);
+    if (expectedRevision !== undefined) {
+      const isEmpty = current.size === 0 || !(await current.text()).trim();
+      const currentRevision = isEmpty ? null : getRevision(current);
+      if (currentRevision !== expectedRevision) {
+        throw staleRevisionError(PROVIDER_NAME);
+      }
+    }
+
+    const writable = await settings.fileHandle.createWritable();
+    await writable.write(JSON.stringify(payload, null, 2));
+    await writable.close();
+    return getRevision(await settings.fileHandle.getFile());
+  },
+
+  // Never prompts, so it can be polled without a user action
+  async getMetadata(settings) {
+    if (!(await hasPermission(settings.fileHandle, false))) {
+      throw permissionError(settings.fileHandle);
+    }
+    const file = await settings.fileHandle.getFile();
+    if (file.size === 0) return null;
+    return {
+      modifiedAt: new Date(file.lastModified).toISOString(),
+      size: file.size,
+      revision: getRevision(file),
+    };
+  },
+};
+
+export default localFileProvider;
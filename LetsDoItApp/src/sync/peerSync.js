@@ -0,0 +1,361 @@
+import {
+  exportAllData,
+  getDeviceInfo,
+  getSyncSettings,
+  mergePeerDataset,
+  applyPeerMergedDataset,
+} from '../db/database';
+import { intersectScopes } from './scopes';
+
+// ============================================
+// Device-to-device sync over WebRTC
+// ============================================
+//
+// Two devices exchange their data directly over a WebRTC data channel, without a sync
+// provider or an account. There is no signaling server: the host's offer and the joiner's
+// answer travel as pairing codes, shown as QR codes or copied by hand. The codes carry the
+// DTLS fingerprints, so the channel is encrypted end to end and only reachable by the
+// device that got the code.
+//
+// Once the channel is open (JSON messages, split into chunks):
+//   both:   { type: 'hello', deviceId, deviceName, scopes }
+//   joiner: { type: 'dataset', data }    its export's data
+//   host:   { type: 'merged', data }     the three-way merge of both datasets
+//   joiner: { type: 'done' }
+// Only the host merges, so both devices end up with the same data. Only the sync scopes
+// both devices sync are exchanged (see sync/scopes).
+// Either side can answer { type: 'error', message } instead.
+
+export const PEER_ROLES = {
+  HOST: 'host',
+  JOINER: 'joiner',
+};
+
+const PAIRING_CODE_PREFIX = 'LDIP1:';
+// Only used to discover public addresses when the devices aren't on the same network;
+// no data passes through it
+const ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+const ICE_GATHERING_TIMEOUT_MS = 5000;
+// How long the joiner waits for its answer to be scanned, and the host for the connection
+const JOINER_CONNECT_TIMEOUT_MS = 5 * 60 * 1000;
+const HOST_CONNECT_TIMEOUT_MS = 30000;
+const MESSAGE_TIMEOUT_MS = 60000;
+// Data channel messages above 16 KB aren't portable between browsers
+const CHUNK_SIZE = 16 * 1024;
+// Pause sending while this much is queued on the channel
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// ============================================
+// Pairing codes
+// ============================================
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(base64) {
+  const padded = base64.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+}
+
+async function pipeThrough(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encode a session description as a pairing code (compressed so it fits in a QR code)
+ */
+async function encodePairingCode(description) {
+  const json = JSON.stringify({ type: description.type, sdp: description.sdp });
+  const compressed = await pipeThrough(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+  return `${PAIRING_CODE_PREFIX}${bytesToBase64Url(compressed)}`;
+}
+
+/**
+ * Decode a pairing code
+ * @param {string} code - The scanned or pasted code
+ * @param {string} expectedType - 'offer' or 'answer'
+ * @returns {Promise<object>} - The session description
+ */
+async function decodePairingCode(code, expectedType) {
+  const trimmed = (code || '').trim();
+  if (!trimmed.startsWith(PAIRING_CODE_PREFIX)) {
+    throw new Error('This is not a LetsDoIt pairing code');
+  }
+  let description;
+  try {
+    const bytes = base64UrlToBytes(trimmed.slice(PAIRING_CODE_PREFIX.length));
+    const json = await pipeThrough(bytes, new DecompressionStream('deflate-raw'));
+    description = JSON.parse(new TextDecoder().decode(json));
+  } catch {
+    throw new Error('The pairing code is incomplete or damaged');
+  }
+  if (description?.type !== expectedType || typeof description.sdp !== 'string') {
+    throw new Error(
+      expectedType === 'offer'
+        ? 'This code is a reply. Scan the code shown on the other device first.'
+        : 'This code starts a new pairing. Scan the reply shown on the other device.'
+    );
+  }
+  return description;
+}
+
+// ============================================
+// Connection
+// ============================================
+
+/**
+ * Wait until all ICE candidates are gathered, so the pairing code is complete
+ * (there is no way to send candidates later). Gives up after a timeout with what it has.
+ */
+function waitForIceGathering(connection) {
+  if (connection.iceGatheringState === 'complete') return Promise.resolve();
+  return new Promise((resolve) => {
+    const timeoutId = setTimeout(done, ICE_GATHERING_TIMEOUT_MS);
+    function done() {
+      clearTimeout(timeoutId);
+      connection.removeEventListener('icegatheringstatechange', onChange);
+      resolve();
+    }
+    function onChange() {
+      if (connection.iceGatheringState === 'complete') done();
+    }
+    connection.addEventListener('icegatheringstatechange', onChange);
+  });
+}
+
+function withTimeout(promise, timeoutMs, message) {
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error(message)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+/**
+ * Create a peer connection and a promise for its open data channel
+ */
+function createSession(role) {
+  if (typeof RTCPeerConnection === 'undefined') {
+    throw new Error('This browser does not support direct device-to-device connections');
+  }
+  const connection = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+
+  const channelReady = new Promise((resolve, reject) => {
+    const watch = (channel) => {
+      if (channel.readyState === 'open') resolve(channel);
+      channel.addEventListener('open', () => resolve(channel));
+      channel.addEventListener('error', () => reject(new Error('The connection to the other device failed')));
+    };
+    if (role === PEER_ROLES.HOST) {
+      watch(connection.createDataChannel('letsdoit-sync', { ordered: true }));
+    } else {
+      connection.addEventListener('datachannel', (event) => watch(event.channel));
+    }
+    connection.addEventListener('connectionstatechange', () => {
+      if (connection.connectionState === 'failed') {
+        reject(new Error('Could not connect to the other device. Make sure both are online, ideally on the same network.'));
+      }
+    });
+  });
+  // Handled by whoever awaits it; avoids an unhandled rejection if the session is dropped
+  channelReady.catch(() => {});
+
+  return {
+    role,
+    connection,
+    channelReady,
+    close() {
+      connection.close();
+    },
+  };
+}
+
+/**
+ * Start pairing as the host
+ * @returns {Promise<object>} - { session, code } where code is the offer to show
+ */
+export async function createPairingOffer() {
+  const session = createSession(PEER_ROLES.HOST);
+  try {
+    await session.connection.setLocalDescription(await session.connection.createOffer());
+    await waitForIceGathering(session.connection);
+    return { session, code: await encodePairingCode(session.connection.localDescription) };
+  } catch (error) {
+    session.close();
+    throw error;
+  }
+}
+
+/**
+ * Join a pairing from the host's code
+ * @param {string} offerCode - The host's pairing code
+ * @returns {Promise<object>} - { session, code } where code is the answer to show the host
+ */
+export async function acceptPairingOffer(offerCode) {
+  const offer = await decodePairingCode(offerCode, 'offer');
+  const session = createSession(PEER_ROLES.JOINER);
+  try {
+    await session.connection.setRemoteDescription(offer);
+    await session.connection.setLocalDescription(await session.connection.createAnswer());
+    await waitForIceGathering(session.connection);
+    return { session, code: await encodePairingCode(session.connection.localDescription) };
+  } catch (error) {
+    session.close();
+    throw error;
+  }
+}
+
+/**
+ * Finish pairing on the host with the joiner's answer
+ */
+export async function completePairing(session, answerCode) {
+  const answer = await decodePairingCode(answerCode, 'answer');
+  await session.connection.setRemoteDescription(answer);
+}
+
+// ============================================
+// Messaging
+// ============================================
+
+/**
+ * Wrap a data channel to send and receive JSON messages of any size
+ */
+function createMessenger(channel) {
+  const partial = new Map();
+  const queue = [];
+  const waiters = [];
+  let closedError = null;
+
+  const deliver = (message) => {
+    const waiter = waiters.shift();
+    if (waiter) {
+      waiter.resolve(message);
+    } else {
+      queue.push(message);
+    }
+  };
+
+  channel.addEventListener('message', (event) => {
+    const { id, index, total, part } = JSON.parse(event.data);
+    const parts = partial.get(id) || [];
+    parts[index] = part;
+    partial.set(id, parts);
+    if (parts.filter((item) => item !== undefined).length === total) {
+      partial.delete(id);
+      deliver(JSON.parse(parts.join('')));
+    }
+  });
+  channel.addEventListener('close', () => {
+    closedError = new Error('The other device closed the connection');
+    waiters.splice(0).forEach((waiter) => waiter.reject(closedError));
+  });
+
+  const waitForBuffer = () => new Promise((resolve) => {
+    channel.bufferedAmountLowThreshold = MAX_BUFFERED_BYTES / 2;
+    channel.addEventListener('bufferedamountlow', resolve, { once: true });
+  });
+
+  return {
+    async send(message) {
+      const json = JSON.stringify(message);
+      const id = crypto.randomUUID();
+      const total = Math.max(1, Math.ceil(json.length / CHUNK_SIZE));
+      for (let index = 0; index < total; index++) {
+        if (channel.bufferedAmount > MAX_BUFFERED_BYTES) {
+          await waitForBuffer();
+        }
+        const part = json.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+        channel.send(JSON.stringify({ id, index, total, part }));
+      }
+    },
+
+    // Resolves to the next message, which must have the given type
+    async receive(type) {
+      const message = queue.length > 0
+        ? queue.shift()
+        : await withTimeout(
+          new Promise((resolve, reject) => {
+            if (closedError) reject(closedError);
+            waiters.push({ resolve, reject });
+          }),
+          MESSAGE_TIMEOUT_MS,
+          'The other device stopped responding'
+        );
+      if (message.type === 'error') {
+        throw new Error(`The other device reported an error: ${message.message}`);
+      }
+      if (message.type !== type) {
+        throw new Error(`Unexpected message from the other device (${message.type})`);
+      }
+      return message;
+    },
+  };
+}
+
+// ============================================
+// Sync
+// ============================================
+
+/**
+ * Exchange and merge data once the devices are paired
+ * @param {object} session - From createPairingOffer or acceptPairingOffer
+ * @returns {Promise<object>} - { peerName, localChanged, conflicts, tasksImported, habitsImported }
+ */
+export async function runPeerSync(session) {
+  const isHost = session.role === PEER_ROLES.HOST;
+  const channel = await withTimeout(
+    session.channelReady,
+    isHost ? HOST_CONNECT_TIMEOUT_MS : JOINER_CONNECT_TIMEOUT_MS,
+    'Timed out waiting for the other device to connect'
+  );
+  const messenger = createMessenger(channel);
+
+  try {
+    const device = await getDeviceInfo();
+    const { scopes: localScopes } = await getSyncSettings();
+    await messenger.send({ type: 'hello', deviceId: device.id, deviceName: device.name, scopes: localScopes });
+    const hello = await messenger.receive('hello');
+    if (typeof hello.deviceId !== 'string' || !hello.deviceId) {
+      throw new Error('The other device did not identify itself');
+    }
+    const peer = { id: hello.deviceId, name: hello.deviceName || 'Other device' };
+    // Devices from before sync scopes send none and sync everything
+    const scopes = intersectScopes(localScopes, hello.scopes);
+
+    let result;
+    if (isHost) {
+      const { data } = await messenger.receive('dataset');
+      result = await mergePeerDataset(peer, data, scopes);
+      await messenger.send({ type: 'merged', data: result.data });
+      await messenger.receive('done');
+    } else {
+      const { data: localData } = await exportAllData({ scopes });
+      await messenger.send({ type: 'dataset', data: localData });
+      const { data } = await messenger.receive('merged');
+      result = await applyPeerMergedDataset(peer, localData, data, scopes);
+      await messenger.send({ type: 'done' });
+    }
+
+    return {
+      peerName: peer.name,
+      localChanged: result.localChanged,
+      conflicts: result.conflicts,
+      tasksImported: result.tasksImported,
+      habitsImported: result.habitsImported,
+    };
+  } catch (error) {
+    if (channel.readyState === 'open') {
+      await messenger.send({ type: 'error', message: error.message }).catch(() => {});
+    }
+    throw error;
+  } finally {
+    // Let the last message go out before closing
+    setTimeout(() => session.close(), 1000);
+  }
+}
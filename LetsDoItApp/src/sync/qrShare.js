@@ -0,0 +1,110 @@
+// ============================================
+// Sharing sync settings by QR code
+// ============================================
+//
+// The sync settings in a QR code give read and write access to the synced data, so the
+// code is encrypted (see utils/syncCrypto) with a one-time key that is only shown as text
+// next to it on the sharing device's screen. The key is random and long enough (140 bits)
+// that a photo or copy of the QR code alone can't be decrypted by guessing it. Nothing
+// makes a code expire: the app only stops showing it after QR_SHARE_DISPLAY_MINUTES, and a
+// new key is made for every code.
+//
+// QR code text: { type: QR_SHARE_TYPE, envelope } where the envelope decrypts to
+//   { provider, fileId, scriptEndpoint, webdavUrl, webdavUsername, encryptionEnabled }
+// The WebDAV password and the encryption passphrase are never part of it; encryptionEnabled
+// only tells the scanning device to ask for the passphrase.
+// Plain codes ({ type: 'letsdoit-sync', ...settings }) from older versions are still read.
+
+import { encryptSyncPayload, decryptSyncPayload, ENCRYPTION_ERRORS } from '../utils/syncCrypto';
+
+export const QR_SHARE_TYPE = 'letsdoit-sync-encrypted';
+const PLAIN_QR_SHARE_TYPE = 'letsdoit-sync';
+
+// 28 base32 characters of 5 random bits each
+export const QR_SHARE_KEY_LENGTH = 28;
+export const QR_SHARE_DISPLAY_MINUTES = 10;
+// Crockford's base32: no I, L, O or U, which are easily misread
+const KEY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const KEY_GROUP_LENGTH = 4;
+
+// Error codes set on errors thrown by readQRShareCode
+export const QR_SHARE_ERRORS = {
+  INVALID: 'invalid',
+  WRONG_KEY: 'wrongKey',
+};
+
+function qrShareError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Create a random one-time key, grouped for reading (e.g. 'K3QF-…')
+ */
+export function createQRShareKey() {
+  // 32 divides 256, so masking a byte to 5 bits keeps every character equally likely
+  const bytes = crypto.getRandomValues(new Uint8Array(QR_SHARE_KEY_LENGTH));
+  const key = Array.from(bytes, (byte) => KEY_ALPHABET[byte & 31]).join('');
+  return key.match(new RegExp(`.{1,${KEY_GROUP_LENGTH}}`, 'g')).join('-');
+}
+
+/**
+ * Normalize a typed key: case, separators and the letters base32 reads as digits don't matter
+ */
+export function normalizeQRShareKey(key) {
+  return key.toUpperCase().replace(/[^0-9A-Z]/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+}
+
+/**
+ * Encrypt sync settings into the text of a QR code
+ * @param {object} settings - { provider, fileId, scriptEndpoint, webdavUrl, webdavUsername, encryptionEnabled }
+ * @param {string} key - From createQRShareKey
+ * @returns {Promise<string>} - The QR code text
+ */
+export async function createQRShareCode(settings, key) {
+  const envelope = await encryptSyncPayload(settings, normalizeQRShareKey(key));
+  return JSON.stringify({ type: QR_SHARE_TYPE, envelope });
+}
+
+/**
+ * Parse the text of a scanned QR code
+ * @returns {object|null} - { encrypted, data } where data is the parsed code, or null if it
+ *   isn't a sync settings code
+ */
+export function parseQRShareCode(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (data?.type === QR_SHARE_TYPE && data.envelope) {
+    return { encrypted: true, data };
+  }
+  if (data?.type === PLAIN_QR_SHARE_TYPE && (data.fileId || data.scriptEndpoint || data.webdavUrl)) {
+    return { encrypted: false, data };
+  }
+  return null;
+}
+
+/**
+ * Decrypt an encrypted QR code with its key
+ * @param {object} data - The parsed code (see parseQRShareCode)
+ * @param {string} key - The key shown on the sharing device, as typed
+ * @returns {Promise<object>} - The shared sync settings
+ * @throws {Error} - With error.code set to one of QR_SHARE_ERRORS
+ */
+export async function readQRShareCode(data, key) {
+  try {
+    return await decryptSyncPayload(data.envelope, normalizeQRShareKey(key));
+  } catch (error) {
+    if (error.code === ENCRYPTION_ERRORS.WRONG_PASSPHRASE || error.code === ENCRYPTION_ERRORS.PASSPHRASE_REQUIRED) {
+      throw qrShareError('Wrong key. Check the key shown on the other device.', QR_SHARE_ERRORS.WRONG_KEY);
+    }
+    const message = error.code === ENCRYPTION_ERRORS.UNSUPPORTED_VERSION
+      ? 'This QR code was made by a newer version of the app. Please update the app.'
+      : 'This QR code could not be read.';
+    throw qrShareError(message, QR_SHARE_ERRORS.INVALID);
+  }
+}
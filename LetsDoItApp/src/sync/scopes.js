@@ -0,0 +1,97 @@
+// ============================================
+// Sync scopes
+// ============================================
+//
+// Each device picks which parts of the data it syncs (Settings → Data Management), e.g. a
+// work laptop can sync tasks but not habit and happiness entries. Data outside a device's
+// scopes stays on that device: it is neither pushed nor replaced by pulls, and the three-way
+// merge never sees it, so it can't be taken for a deletion. When the device pushes, the
+// remote data outside its scopes is carried over unchanged (see sync/shards).
+//
+// Scopes are stored in the sync settings as { tasks, tags, habits, settings } booleans.
+
+export const SYNC_SCOPES = {
+  TASKS: 'tasks',
+  TAGS: 'tags',
+  HABITS: 'habits',
+  SETTINGS: 'settings',
+};
+
+export const DEFAULT_SYNC_SCOPES = {
+  [SYNC_SCOPES.TASKS]: true,
+  [SYNC_SCOPES.TAGS]: true,
+  [SYNC_SCOPES.HABITS]: true,
+  [SYNC_SCOPES.SETTINGS]: true,
+};
+
+// Setting holding the tags; every other synced setting belongs to SYNC_SCOPES.SETTINGS
+const TAGS_SETTING = 'availableTags';
+
+// Tombstone keys start with the record type (see SEARCH_RESULT_TYPES)
+const TOMBSTONE_SCOPES = {
+  task: SYNC_SCOPES.TASKS,
+  habit: SYNC_SCOPES.HABITS,
+};
+
+/**
+ * Check whether a scope is synced
+ * @param {object} [scopes] - Scope to boolean; without it (or for unknown scopes) everything is synced
+ */
+export function isScopeSynced(scopes, scope) {
+  return !scopes || scopes[scope] !== false;
+}
+
+/**
+ * Check whether any scope is left out of sync
+ */
+export function hasExcludedScopes(scopes) {
+  return Object.values(SYNC_SCOPES).some((scope) => !isScopeSynced(scopes, scope));
+}
+
+/**
+ * Get the scopes both devices sync (for device-to-device sync)
+ */
+export function intersectScopes(a, b) {
+  return Object.fromEntries(
+    Object.values(SYNC_SCOPES).map((scope) => [scope, isScopeSynced(a, scope) && isScopeSynced(b, scope)])
+  );
+}
+
+export function getSettingScope(key) {
+  return key === TAGS_SETTING ? SYNC_SCOPES.TAGS : SYNC_SCOPES.SETTINGS;
+}
+
+export function getTombstoneScope(tombstone) {
+  return TOMBSTONE_SCOPES[String(tombstone.key).split(':')[0]] || SYNC_SCOPES.TASKS;
+}
+
+/**
+ * Keep the part of an export's data inside the given scopes, or outside them
+ * @param {object} data - { tasks, habits, tombstones, settings }
+ * @param {object} [scopes] - Scope to boolean (see isScopeSynced)
+ * @param {boolean} [excluded] - Keep the part outside the scopes instead
+ * @returns {object} - { tasks, habits, tombstones, settings }
+ */
+export function filterDataByScopes(data, scopes, excluded = false) {
+  const keep = (scope) => isScopeSynced(scopes, scope) !== excluded;
+  return {
+    tasks: keep(SYNC_SCOPES.TASKS) ? data.tasks || [] : [],
+    habits: keep(SYNC_SCOPES.HABITS) ? data.habits || [] : [],
+    tombstones: (data.tombstones || []).filter((tombstone) => keep(getTombstoneScope(tombstone))),
+    settings: Object.fromEntries(
+      Object.entries(data.settings || {}).filter(([key]) => keep(getSettingScope(key)))
+    ),
+  };
+}
+
+/**
+ * Put together datasets holding different scopes
+ */
+export function combineScopedData(a, b) {
+  return {
+    tasks: [...(a.tasks || []), ...(b.tasks || [])],
+    habits: [...(a.habits || []), ...(b.habits || [])],
+    tombstones: [...(a.tombstones || []), ...(b.tombstones || [])],
+    settings: { ...a.settings, ...b.settings },
+  };
+}
@@ -0,0 +1,181 @@
+// ============================================
+// Sharded sync format
+// ============================================
+//
+// Instead of one JSON export, the sync payload is a small manifest plus shards: open tasks,
+// completed tasks per year of completion, habit entries per year, the tombstones of tasks
+// and of habit entries, the tags, and the other settings. Every shard belongs to one sync
+// scope (see sync/scopes), so a device can carry over the shards outside its scopes without
+// downloading them. Each shard is gzip-compressed (CompressionStream) and base64-encoded, or
+// encrypted (see db/database.js). Old years rarely change, so a sync only uploads and
+// downloads the shards whose content changed.
+//
+// The manifest:
+//   format, version      - SHARDED_FORMAT and SHARDED_VERSION
+//   syncedAt, localModifiedAt
+//   shardIds             - IDs of all shards, readable so providers can delete unused ones
+//   index                - { version, exportedAt, shards: [{ name, id, hash, count }] }, where
+//                          version is the database version of the export and hash the SHA-256
+//                          of the shard's content; an encryption envelope of it when encrypted
+//   shardData            - { <id>: <encoded shard> } for shards written with the manifest.
+//                          Providers that store shards separately (readShards) move them out;
+//                          others keep all shards in the manifest.
+//
+// Shard IDs are random, so they leak nothing about the content; a shard whose content
+// didn't change keeps its ID.
+
+import { stableStringify } from '../utils/syncMerge';
+import { SYNC_SCOPES, getSettingScope, getTombstoneScope } from './scopes';
+
+export const SHARDED_FORMAT = 'letsdoit-sharded';
+export const SHARDED_VERSION = 1;
+
+const OPEN_TASKS_SHARD = 'tasks';
+const TAGS_SHARD = 'tags';
+const SETTINGS_SHARD = 'settings';
+// Tombstones of a scope's records go to '<records shard prefix>-deleted'
+const TOMBSTONE_SHARDS = {
+  [SYNC_SCOPES.TASKS]: 'tasks-deleted',
+  [SYNC_SCOPES.HABITS]: 'habits-deleted',
+};
+const TOMBSTONE_SHARD_NAMES = new Set(Object.values(TOMBSTONE_SHARDS));
+
+// Shard IDs end up in file names and URLs
+const SHARD_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// btoa/String.fromCharCode take this many bytes at a time without overflowing the call stack
+const BASE64_CHUNK_BYTES = 0x8000;
+
+/**
+ * Check whether a stored payload is a sharded manifest
+ */
+export function isShardedPayload(payload) {
+  return !!payload && payload.format === SHARDED_FORMAT;
+}
+
+/**
+ * Check that a shard ID is safe to use in a file name or URL
+ */
+export function isValidShardId(id) {
+  return typeof id === 'string' && SHARD_ID_PATTERN.test(id);
+}
+
+export function createShardId() {
+  return crypto.randomUUID().replace(/-/g, '');
+}
+
+// Completion dates and habit dates start with the year (YYYY-MM-DD...)
+function getYear(date) {
+  const match = /^(\d{4})-/.exec(date || '');
+  return match ? match[1] : 'undated';
+}
+
+function getTaskShardName(task) {
+  return task.doneAt ? `tasks-${getYear(task.doneAt)}` : OPEN_TASKS_SHARD;
+}
+
+function getHabitShardName(habit) {
+  return `habits-${habit.year || getYear(habit.date)}`;
+}
+
+/**
+ * Get the sync scope a shard belongs to
+ */
+export function getShardScope(name) {
+  if (name === TAGS_SHARD) return SYNC_SCOPES.TAGS;
+  if (name === SETTINGS_SHARD) return SYNC_SCOPES.SETTINGS;
+  return name.startsWith('habits') ? SYNC_SCOPES.HABITS : SYNC_SCOPES.TASKS;
+}
+
+/**
+ * Split an export's data into shards
+ * Records are ordered by ID, so the same records always produce the same shard.
+ * Shards with nothing in them are left out.
+ * @param {object} data - { tasks, habits, tombstones, settings }
+ * @returns {Map<string, *>} - Shard name to shard content
+ */
+export function splitIntoShards(data) {
+  const shards = new Map();
+  const add = (name, record) => {
+    if (!shards.has(name)) shards.set(name, []);
+    shards.get(name).push(record);
+  };
+  const byId = (a, b) => String(a.id).localeCompare(String(b.id));
+
+  [...(data.tasks || [])].sort(byId).forEach((task) => add(getTaskShardName(task), task));
+  [...(data.habits || [])].sort(byId).forEach((habit) => add(getHabitShardName(habit), habit));
+  [...(data.tombstones || [])]
+    .sort((a, b) => String(a.key).localeCompare(String(b.key)))
+    .forEach((tombstone) => add(TOMBSTONE_SHARDS[getTombstoneScope(tombstone)], tombstone));
+
+  for (const [key, value] of Object.entries(data.settings || {})) {
+    const name = getSettingScope(key) === SYNC_SCOPES.TAGS ? TAGS_SHARD : SETTINGS_SHARD;
+    shards.set(name, { ...shards.get(name), [key]: value });
+  }
+  return shards;
+}
+
+/**
+ * Put shards back together into an export's data
+ * @param {Map<string, *>} shards - Shard name to shard content, as from splitIntoShards
+ * @returns {object} - { tasks, habits, tombstones, settings }
+ */
+export function joinShards(shards) {
+  const data = { tasks: [], habits: [], tombstones: [], settings: {} };
+  for (const [name, content] of shards) {
+    if (TOMBSTONE_SHARD_NAMES.has(name)) {
+      data.tombstones.push(...content);
+    } else if (name === TAGS_SHARD || name === SETTINGS_SHARD) {
+      Object.assign(data.settings, content);
+    } else if (getShardScope(name) === SYNC_SCOPES.HABITS) {
+      data.habits.push(...content);
+    } else {
+      data.tasks.push(...content);
+    }
+  }
+  return data;
+}
+
+/**
+ * Count the records in a shard (for the sync log)
+ */
+export function getShardRecordCount(content) {
+  return Array.isArray(content) ? content.length : Object.keys(content).length;
+}
+
+/**
+ * Hash a shard's content; equal content has an equal hash regardless of field order
+ * @returns {Promise<string>} - Hex SHA-256
+ */
+export async function hashShard(content) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(stableStringify(content)));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_BYTES) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_BYTES));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Serialize a value as JSON, gzip it and encode it as base64
+ */
+export async function compressJson(value) {
+  const stream = new Blob([JSON.stringify(value)]).stream().pipeThrough(new CompressionStream('gzip'));
+  return bytesToBase64(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+/**
+ * Reverse compressJson
+ */
+export async function decompressJson(base64) {
+  const stream = new Blob([base64ToBytes(base64)]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return JSON.parse(await new Response(stream).text());
+}
@@ -0,0 +1,48 @@
+// ============================================
+// Remote snapshots (version history)
+// ============================================
+//
+// Every push also keeps a copy of the pushed payload as a snapshot, so the data can be
+// rolled back to an earlier version. Providers keep the newest SNAPSHOT_LIMIT snapshots.
+// The payload carries `snapshotInfo` ({ deviceId, deviceName, taskCount, habitCount })
+// in plain text so snapshots can be listed without downloading them. Encrypted payloads
+// carry none, so the provider learns nothing about the data; their device is in the
+// encrypted index (syncedBy) and shown once a snapshot is opened.
+
+export const SNAPSHOT_LIMIT = 10;
+
+// Snapshot IDs end up in file names and URLs
+const SNAPSHOT_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Check that a snapshot ID is safe to use in a file name or URL
+ */
+export function isValidSnapshotId(id) {
+  return typeof id === 'string' && SNAPSHOT_ID_PATTERN.test(id);
+}
+
+/**
+ * Create a sortable snapshot ID from a timestamp (2026-10-18T14-06-49-434Z)
+ */
+export function createSnapshotId(createdAt) {
+  return createdAt.replace(/[:.]/g, '-');
+}
+
+/**
+ * Build the list entry for a snapshot of a payload
+ * @param {string} id - The snapshot ID
+ * @param {string} createdAt - When the snapshot was taken (ISO timestamp)
+ * @param {object} payload - The stored payload
+ * @returns {object} - { id, createdAt, revision, deviceName, taskCount, habitCount }
+ */
+export function createSnapshotEntry(id, createdAt, payload) {
+  const info = payload?.snapshotInfo || {};
+  return {
+    id,
+    createdAt,
+    revision: payload?.revision ?? null,
+    deviceName: info.deviceName ?? null,
+    taskCount: info.taskCount ?? null,
+    habitCount: info.habitCount ?? null,
+  };
+}
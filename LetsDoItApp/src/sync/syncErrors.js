@@ -0,0 +1,18 @@
+// Error codes set on errors thrown by sync providers
+export const SYNC_ERRORS = {
+  // The remote data changed since it was read, so the write was rejected
+  STALE_REVISION: 'staleRevision',
+  // The browser needs the user's permission again before the provider can be used
+  PERMISSION_REQUIRED: 'permissionRequired',
+  // Local data was edited while the sync was fetching, so its merge result is outdated
+  LOCAL_CHANGED: 'localChanged',
+};
+
+/**
+ * Create the error a provider throws when a write is based on an outdated revision
+ */
+export function staleRevisionError(providerName) {
+  const error = new Error(`The data on ${providerName} was changed by another device during sync`);
+  error.code = SYNC_ERRORS.STALE_REVISION;
+  return error;
+}
@@ -0,0 +1,295 @@
+// ============================================
+// WebDAV sync provider
+// ============================================
+//
+// Stores the sync payload as a single JSON file on a WebDAV server (Nextcloud, ownCloud,
+// Apache mod_dav, rclone serve webdav, ...). The configured URL points at the file itself,
+// e.g. https://cloud.example.com/remote.php/dav/files/USER/LetsDoIt/letsdoit.json.
+// The server must allow cross-origin requests from the app, including the Authorization
+// header and the GET, PUT, HEAD, DELETE and MKCOL methods.
+//
+// Writes are conditional on the ETag from the last read (If-Match), or on the file not
+// existing yet (If-None-Match: *). The server has to expose the ETag header to the app
+// (Access-Control-Expose-Headers: ETag); without it, writes are unconditional.
+//
+// Snapshots are kept in a collection next to the file (letsdoit.history/ for letsdoit.json),
+// one file per snapshot plus an index.json with their list entries.
+//
+// Shards (see sync/shards) are kept in letsdoit.shards/, one file each, and are written
+// before the file that refers to them. The snapshot index lists the shards of every
+// snapshot, so shards that only dropped snapshots referred to can be deleted.
+
+import { staleRevisionError } from './syncErrors';
+import { SNAPSHOT_LIMIT, createSnapshotEntry, createSnapshotId, isValidSnapshotId } from './snapshots';
+import { isValidShardId } from './shards';
+
+const PROVIDER_NAME = 'WebDAV';
+const REQUEST_TIMEOUT_MS = 20000;
+
+/**
+ * Build the HTTP Basic auth header (credentials may contain non-ASCII characters)
+ */
+function getAuthHeaders(settings) {
+  if (!settings.webdavUsername) return {};
+  const credentials = new TextEncoder().encode(`${settings.webdavUsername}:${settings.webdavPassword || ''}`);
+  let binary = '';
+  for (const byte of credentials) {
+    binary += String.fromCharCode(byte);
+  }
+  return { Authorization: `Basic ${btoa(binary)}` };
+}
+
+/**
+ * Send a request for the sync file (or another URL), with a timeout and no caching
+ */
+async function webdavRequest(settings, method, { body, headers = {}, url = settings.webdavUrl } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    return await fetch(url, {
+      method,
+      body,
+      cache: 'no-store',
+      signal: controller.signal,
+      headers: { ...getAuthHeaders(settings), ...headers },
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('WebDAV request timed out. Check that the server is reachable.');
+    }
+    throw new Error(
+      `Could not reach the WebDAV server (${error.message}). Check the URL and that the server allows cross-origin requests from this app.`
+    );
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function assertResponseOk(response) {
+  if (response.status === 401 || response.status === 403) {
+    throw new Error('The WebDAV server rejected the username or password.');
+  }
+  if (!response.ok) {
+    throw new Error(`WebDAV server returned HTTP ${response.status} ${response.statusText}`.trim());
+  }
+}
+
+function missingFolderError() {
+  return new Error('The folder for the sync file does not exist on the WebDAV server. Create it first.');
+}
+
+// undefined (not null) when the ETag isn't readable, so the write isn't conditional
+function getETag(response) {
+  return response.headers.get('ETag') || undefined;
+}
+
+/**
+ * Get the URL of a collection next to the file, e.g. letsdoit.history/ for letsdoit.json
+ * (a relative URL resolves against the app, like fetch does; scripts/check-webdav.js runs
+ * outside a browser with an absolute URL)
+ */
+function getCollectionUrl(settings, extension) {
+  const url = new URL(settings.webdavUrl, globalThis.location?.href);
+  url.pathname = `${url.pathname.replace(/\.json$/i, '')}.${extension}/`;
+  url.search = '';
+  return url.toString();
+}
+
+function getHistoryUrl(settings) {
+  return getCollectionUrl(settings, 'history');
+}
+
+function getShardsUrl(settings) {
+  return getCollectionUrl(settings, 'shards');
+}
+
+async function createCollection(settings, url) {
+  const response = await webdavRequest(settings, 'MKCOL', { url });
+  // 405 means the collection already exists
+  if (response.status === 405) return;
+  if (response.status === 409) {
+    throw missingFolderError();
+  }
+  assertResponseOk(response);
+}
+
+function getShardUrl(settings, id) {
+  if (!isValidShardId(id)) {
+    throw new Error('Invalid shard ID');
+  }
+  return `${getShardsUrl(settings)}${id}.json`;
+}
+
+async function writeShards(settings, shardData) {
+  await createCollection(settings, getShardsUrl(settings));
+  for (const [id, shard] of Object.entries(shardData)) {
+    assertResponseOk(await webdavRequest(settings, 'PUT', {
+      url: getShardUrl(settings, id),
+      body: JSON.stringify(shard),
+      headers: { 'Content-Type': 'application/json' },
+    }));
+  }
+}
+
+async function deleteShards(settings, ids) {
+  for (const id of ids) {
+    await webdavRequest(settings, 'DELETE', { url: getShardUrl(settings, id) });
+  }
+}
+
+async function readSnapshotIndex(settings, historyUrl) {
+  const response = await webdavRequest(settings, 'GET', { url: `${historyUrl}index.json` });
+  if (response.status === 404) return [];
+  assertResponseOk(response);
+  const index = await response.json();
+  return Array.isArray(index) ? index : [];
+}
+
+/**
+ * Store a snapshot of a written payload and drop the oldest beyond SNAPSHOT_LIMIT
+ * The index isn't written conditionally: if two devices push at the same moment, one
+ * entry may be lost, which only leaves an unlisted snapshot file behind.
+ */
+async function saveSnapshot(settings, payload) {
+  const historyUrl = getHistoryUrl(settings);
+  await createCollection(settings, historyUrl);
+
+  const createdAt = new Date().toISOString();
+  const id = createSnapshotId(createdAt);
+  assertResponseOk(await webdavRequest(settings, 'PUT', {
+    url: `${historyUrl}${id}.json`,
+    body: JSON.stringify(payload),
+    headers: { 'Content-Type': 'application/json' },
+  }));
+
+  const entry = { ...createSnapshotEntry(id, createdAt, payload), shardIds: payload.shardIds || [] };
+  const entries = [entry, ...await readSnapshotIndex(settings, historyUrl)];
+  const kept = entries.slice(0, SNAPSHOT_LIMIT);
+  for (const removed of entries.slice(SNAPSHOT_LIMIT)) {
+    if (!isValidSnapshotId(removed.id)) continue;
+    await webdavRequest(settings, 'DELETE', { url: `${historyUrl}${removed.id}.json` });
+  }
+  assertResponseOk(await webdavRequest(settings, 'PUT', {
+    url: `${historyUrl}index.json`,
+    body: JSON.stringify(kept),
+    headers: { 'Content-Type': 'application/json' },
+  }));
+
+  // The newest snapshot is the file itself, so kept shards include the file's
+  const keptShardIds = new Set(kept.flatMap((snapshot) => snapshot.shardIds || []));
+  const unusedShardIds = entries.slice(SNAPSHOT_LIMIT)
+    .flatMap((snapshot) => snapshot.shardIds || [])
+    .filter((shardId) => !keptShardIds.has(shardId));
+  await deleteShards(settings, [...new Set(unusedShardIds)]);
+}
+
+const webdavProvider = {
+  id: 'webdav',
+  name: PROVIDER_NAME,
+
+  isConfigured(settings) {
+    return !!settings.webdavUrl;
+  },
+
+  // Resolves to null while the file doesn't exist yet
+  async read(settings) {
+    console.log('Fetching from WebDAV...');
+    const response = await webdavRequest(settings, 'GET');
+    if (response.status === 404) return null;
+    assertResponseOk(response);
+
+    const text = await response.text();
+    if (!text.trim()) return null;
+    try {
+      return { payload: JSON.parse(text), revision: getETag(response) };
+    } catch {
+      throw new Error('The file on the WebDAV server does not contain valid JSON data.');
+    }
+  },
+
+  async write(settings, payload, expectedRevision) {
+    console.log('Pushing data to WebDAV...');
+    const { shardData = {}, ...stored } = payload;
+    const shardIds = Object.keys(shardData);
+    if (shardIds.length > 0) {
+      await writeShards(settings, shardData);
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (expectedRevision === null) {
+      headers['If-None-Match'] = '*';
+    } else if (expectedRevision) {
+      headers['If-Match'] = expectedRevision;
+    }
+
+    const response = await webdavRequest(settings, 'PUT', {
+      body: JSON.stringify(stored),
+      headers,
+    });
+    if (response.status === 412) {
+      // Nothing refers to the shards written for this push
+      await deleteShards(settings, shardIds).catch(() => {});
+      throw staleRevisionError(PROVIDER_NAME);
+    }
+    if (response.status === 409) {
+      throw missingFolderError();
+    }
+    assertResponseOk(response);
+
+    // The write already succeeded, so a failed snapshot doesn't fail the sync
+    try {
+      await saveSnapshot(settings, stored);
+    } catch (error) {
+      console.warn('Failed to save a WebDAV snapshot:', error);
+    }
+    return getETag(response);
+  },
+
+  async getMetadata(settings) {
+    const response = await webdavRequest(settings, 'HEAD');
+    if (response.status === 404) return null;
+    assertResponseOk(response);
+
+    const lastModified = response.headers.get('Last-Modified');
+    const contentLength = response.headers.get('Content-Length');
+    return {
+      modifiedAt: lastModified ? new Date(lastModified).toISOString() : null,
+      size: contentLength ? Number(contentLength) : null,
+      revision: getETag(response) || null,
+    };
+  },
+
+  async listSnapshots(settings) {
+    return readSnapshotIndex(settings, getHistoryUrl(settings));
+  },
+
+  async readSnapshot(settings, id) {
+    if (!isValidSnapshotId(id)) {
+      throw new Error('Invalid snapshot ID');
+    }
+    const response = await webdavRequest(settings, 'GET', { url: `${getHistoryUrl(settings)}${id}.json` });
+    if (response.status === 404) {
+      throw new Error('This snapshot no longer exists on the WebDAV server.');
+    }
+    assertResponseOk(response);
+    return response.json();
+  },
+
+  // Missing shards are null
+  async readShards(settings, ids) {
+    const shards = {};
+    await Promise.all(ids.map(async (id) => {
+      const response = await webdavRequest(settings, 'GET', { url: getShardUrl(settings, id) });
+      if (response.status === 404) {
+        shards[id] = null;
+        return;
+      }
+      assertResponseOk(response);
+      shards[id] = await response.json();
+    }));
+    return shards;
+  },
+};
+
+export default webdavProvider;
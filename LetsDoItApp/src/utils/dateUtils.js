@@ -12,6 +12,7 @@ import {
   getDay,
   parseISO,
 } from 'date-fns';
+import { getTaskPriority } from './priorityUtils';
 
 // ============================================
 // Timezone-aware date utilities
@@ -227,6 +228,208 @@ export function getDayOfWeek(date) {
   return day === 0 ? 6 : day - 1;
 }
 
+// ============================================
+// Recurring tasks
+// ============================================
+
+/**
+ * Supported repeat rules for tasks
+ * A task's `recurrence` field holds { frequency, interval?, dayOfMonth? }
+ */
+export const RECURRENCE_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKDAYS: 'weekdays',
+  DAYS: 'days',       // Every N days (interval)
+  WEEKS: 'weeks',     // Every N weeks (interval), on the weekday of the due date
+  MONTHLY: 'monthly', // Monthly on day X (dayOfMonth)
+  YEARLY: 'yearly',   // Yearly on the month/day of the due date
+};
+
+// Safety cap so a malformed rule can never loop forever
+const MAX_OCCURRENCE_STEPS = 1000;
+
+/**
+ * Clamp a day of month to the length of the given month (e.g. 31 -> 30 in April)
+ */
+function clampDayOfMonth(year, monthIndex, day) {
+  const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+  return Math.min(day, daysInMonth);
+}
+
+/**
+ * Get the occurrence following `dateStr` according to the rule, ignoring any lower bound
+ * @param {object} rule - The recurrence rule
+ * @param {string} dateStr - Current occurrence (YYYY-MM-DD)
+ * @param {string} anchorStr - The original due date, used for monthly/yearly day alignment
+ * @returns {string|null} - YYYY-MM-DD format
+ */
+function stepOccurrence(rule, dateStr, anchorStr) {
+  const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+  const date = parseDateString(dateStr);
+
+  switch (rule.frequency) {
+    case RECURRENCE_FREQUENCIES.DAILY:
+      return addDaysToDateString(dateStr, 1);
+    case RECURRENCE_FREQUENCIES.WEEKDAYS: {
+      // Friday -> Monday, Saturday -> Monday, otherwise next day
+      const dayOfWeek = getDayOfWeek(date);
+      const skip = dayOfWeek === 4 ? 3 : dayOfWeek === 5 ? 2 : 1;
+      return addDaysToDateString(dateStr, skip);
+    }
+    case RECURRENCE_FREQUENCIES.DAYS:
+      return addDaysToDateString(dateStr, interval);
+    case RECURRENCE_FREQUENCIES.WEEKS:
+      return addDaysToDateString(dateStr, interval * 7);
+    case RECURRENCE_FREQUENCIES.MONTHLY: {
+      const targetDay = parseInt(rule.dayOfMonth, 10) || parseDateString(anchorStr).getDate();
+      // Later this month if the target day is still ahead, otherwise next month
+      for (let offset = 0; offset <= 1; offset++) {
+        const month = new Date(date.getFullYear(), date.getMonth() + offset, 1, 12, 0, 0);
+        month.setDate(clampDayOfMonth(month.getFullYear(), month.getMonth(), targetDay));
+        const candidate = extractDateString(month);
+        if (isDateStringAfter(candidate, dateStr)) {
+          return candidate;
+        }
+      }
+      return null;
+    }
+    case RECURRENCE_FREQUENCIES.YEARLY: {
+      const anchor = parseDateString(anchorStr);
+      const year = date.getFullYear() + 1;
+      const day = clampDayOfMonth(year, anchor.getMonth(), anchor.getDate());
+      return extractDateString(new Date(year, anchor.getMonth(), day, 12, 0, 0));
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether a recurrence rule is usable
+ */
+export function isValidRecurrence(rule) {
+  return !!rule && Object.values(RECURRENCE_FREQUENCIES).includes(rule.frequency);
+}
+
+/**
+ * Get the first occurrence of a repeat rule strictly after a given date
+ * Occurrences are aligned to the anchor (the task's due date), so "every 2 weeks"
+ * keeps its weekday and "monthly on day X" keeps its day even when a task is completed late.
+ * @param {object} rule - The recurrence rule
+ * @param {string} anchorStr - The task's due date (YYYY-MM-DD)
+ * @param {string} afterStr - Lower bound, exclusive (YYYY-MM-DD)
+ * @returns {string|null} - YYYY-MM-DD format
+ */
+export function getNextOccurrence(rule, anchorStr, afterStr = anchorStr) {
+  if (!isValidRecurrence(rule) || !anchorStr) return null;
+
+  let current = anchorStr;
+  for (let step = 0; step < MAX_OCCURRENCE_STEPS; step++) {
+    current = stepOccurrence(rule, current, anchorStr);
+    if (!current) return null;
+    if (isDateStringAfter(current, afterStr)) {
+      return current;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get all occurrences of a repeat rule within an inclusive date range
+ * The anchor date itself is never included (that is the task's own due date).
+ * @returns {string[]} - YYYY-MM-DD strings
+ */
+export function getOccurrencesInRange(rule, anchorStr, startStr, endStr) {
+  const occurrences = [];
+  let current = getNextOccurrence(rule, anchorStr, addDaysToDateString(startStr, -1));
+
+  while (current && !isDateStringAfter(current, endStr) && occurrences.length < MAX_OCCURRENCE_STEPS) {
+    if (isDateStringAfter(current, anchorStr)) {
+      occurrences.push(current);
+    }
+    current = getNextOccurrence(rule, anchorStr, current);
+  }
+  return occurrences;
+}
+
+/**
+ * Get the date the next instance of a recurring task should be due on
+ * when the current one is completed. Late completions skip ahead to after today.
+ * @param {object} task - The task being completed
+ * @returns {string|null} - YYYY-MM-DD format
+ */
+export function getNextDueDateForTask(task) {
+  if (!isValidRecurrence(task.recurrence)) return null;
+  const todayStr = getTodayDateString();
+  const anchorStr = extractDateString(task.dueDate) || todayStr;
+  const afterStr = isDateStringAfter(anchorStr, todayStr) ? anchorStr : todayStr;
+  return getNextOccurrence(task.recurrence, anchorStr, afterStr);
+}
+
+/**
+ * Build a read-only preview of a future occurrence of a recurring task
+ * Previews are never stored; they carry `occurrenceOf` so the UI can open the real task.
+ */
+function createOccurrencePreview(task, dateStr) {
+  return {
+    ...task,
+    id: `${task.id}@${dateStr}`,
+    dueDate: dateStr,
+    doneAt: null,
+    occurrenceOf: task.id,
+    sourceTask: task,
+  };
+}
+
+/**
+ * Get upcoming previews for the open recurring tasks in a date range
+ * Previews start after today (and after the task's own due date)
+ */
+function getOccurrencePreviews(tasks, startStr, endStr, { firstOnly = false } = {}) {
+  const todayStr = getTodayDateString();
+  const previews = [];
+
+  tasks.forEach((task) => {
+    if (task.doneAt || !task.dueDate || !isValidRecurrence(task.recurrence)) return;
+
+    const anchorStr = extractDateString(task.dueDate);
+    const afterStr = isDateStringAfter(anchorStr, todayStr) ? anchorStr : todayStr;
+    const rangeStart = isDateStringAfter(startStr, afterStr) ? startStr : addDaysToDateString(afterStr, 1);
+    let dates = getOccurrencesInRange(task.recurrence, anchorStr, rangeStart, endStr);
+    if (firstOnly) {
+      dates = dates.slice(0, 1);
+    }
+    dates.forEach((dateStr) => previews.push(createOccurrencePreview(task, dateStr)));
+  });
+
+  return previews;
+}
+
+/**
+ * Get a short human readable description of a repeat rule (e.g. "Every 2 weeks")
+ */
+export function describeRecurrence(rule) {
+  if (!isValidRecurrence(rule)) return '';
+  const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+
+  switch (rule.frequency) {
+    case RECURRENCE_FREQUENCIES.DAILY:
+      return 'Every day';
+    case RECURRENCE_FREQUENCIES.WEEKDAYS:
+      return 'Every weekday';
+    case RECURRENCE_FREQUENCIES.DAYS:
+      return interval === 1 ? 'Every day' : `Every ${interval} days`;
+    case RECURRENCE_FREQUENCIES.WEEKS:
+      return interval === 1 ? 'Every week' : `Every ${interval} weeks`;
+    case RECURRENCE_FREQUENCIES.MONTHLY:
+      return rule.dayOfMonth ? `Monthly on day ${rule.dayOfMonth}` : 'Every month';
+    case RECURRENCE_FREQUENCIES.YEARLY:
+      return 'Every year';
+    default:
+      return '';
+  }
+}
+
 /**
  * Categorize tasks into daily sections
  * Uses date string comparison for timezone-agnostic categorization
@@ -234,10 +437,13 @@ export function getDayOfWeek(date) {
  * Key behavior:
  * - Completed tasks are shown in the day they were completed (doneAt), not their due date
  * - Uncompleted tasks are shown based on their due date
+ * - Recurring tasks also show a preview of their next occurrence in Tomorrow/Upcoming
  */
 export function categorizeDailyTasks(tasks) {
   const todayStr = getTodayDateString();
   const tomorrowStr = addDaysToDateString(todayStr, 1);
+  const upcomingEndStr = addDaysToDateString(todayStr, 7);
+  const previews = getOccurrencePreviews(tasks, tomorrowStr, upcomingEndStr, { firstOnly: true });
 
   const unfinished = [];
   const todayTasks = [];
@@ -296,6 +502,14 @@ export function categorizeDailyTasks(tasks) {
     }
   });
 
+  previews.forEach((preview) => {
+    if (isSameDateString(preview.dueDate, tomorrowStr)) {
+      tomorrowTasks.push(preview);
+    } else {
+      upcoming.push(preview);
+    }
+  });
+
   return { unfinished, todayTasks, tomorrowTasks, upcoming, someday };
 }
 
@@ -306,6 +520,7 @@ export function categorizeDailyTasks(tasks) {
  * Key behavior:
  * - Completed tasks are shown in the day they were completed (doneAt), not their due date
  * - Uncompleted tasks are shown based on their due date
+ * - Recurring tasks also show previews of every occurrence that falls in the week
  */
 export function categorizeWeeklyTasks(tasks, weekStartDate) {
   const days = Array.from({ length: 7 }, () => []);
@@ -313,8 +528,9 @@ export function categorizeWeeklyTasks(tasks, weekStartDate) {
   const weekStart = startOfWeek(weekStartDate, { weekStartsOn: 1 });
   const weekStartStr = extractDateString(weekStart);
   const weekEndStr = addDaysToDateString(weekStartStr, 6);
+  const previews = getOccurrencePreviews(tasks, weekStartStr, weekEndStr);
   
-  tasks.forEach((task) => {
+  [...tasks, ...previews].forEach((task) => {
     // For completed tasks, use the completion date (doneAt) for categorization
     if (task.doneAt) {
       const doneAtStr = extractDateString(task.doneAt);
@@ -345,7 +561,7 @@ export function categorizeWeeklyTasks(tasks, weekStartDate) {
 }
 
 /**
- * Sort tasks - incomplete first, then by due date
+ * Sort tasks - incomplete first, then priority, then manual order, then by due date
  * Uses date string comparison for consistent sorting
  */
 export function sortTasks(tasks) {
@@ -354,6 +570,19 @@ export function sortTasks(tasks) {
     if (a.doneAt && !b.doneAt) return 1;
     if (!a.doneAt && b.doneAt) return -1;
     
+    // Higher priority first (P1 before P4)
+    const priorityDiff = getTaskPriority(a) - getTaskPriority(b);
+    if (priorityDiff !== 0) return priorityDiff;
+    
+    // Manually ordered tasks (drag and drop) keep their order, ahead of unordered ones
+    const aHasOrder = Number.isFinite(a.sortOrder);
+    const bHasOrder = Number.isFinite(b.sortOrder);
+    if (aHasOrder && bHasOrder && a.sortOrder !== b.sortOrder) {
+      return a.sortOrder - b.sortOrder;
+    }
+    if (aHasOrder && !bHasOrder) return -1;
+    if (!aHasOrder && bHasOrder) return 1;
+    
     // Sort by due date using date strings
     const aDateStr = extractDateString(a.dueDate);
     const bDateStr = extractDateString(b.dueDate);
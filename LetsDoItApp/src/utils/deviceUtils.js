@@ -0,0 +1,49 @@
+// ============================================
+// Device utilities
+// ============================================
+
+// Version of the running app, from package.json (defined in vite.config.js)
+export const APP_VERSION = __APP_VERSION__;
+
+// Checked in order: Edge and Chrome user agents also mention Chrome and Safari
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['Windows', /Windows/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+function matchName(list, userAgent, fallback) {
+  const match = list.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : fallback;
+}
+
+function getUserAgent() {
+  return typeof navigator !== 'undefined' ? navigator.userAgent : '';
+}
+
+/**
+ * Get the operating system from the user agent, e.g. "Windows" (null if unknown)
+ */
+export function getDevicePlatform() {
+  return matchName(PLATFORMS, getUserAgent(), null);
+}
+
+/**
+ * Describe this device from the user agent, e.g. "Firefox on Windows"
+ * Used until the user names the device.
+ */
+export function getDefaultDeviceName() {
+  const browser = matchName(BROWSERS, getUserAgent(), 'Browser');
+  const platform = getDevicePlatform();
+  return platform ? `${browser} on ${platform}` : browser;
+}
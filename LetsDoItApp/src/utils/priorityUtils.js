@@ -0,0 +1,45 @@
+// ============================================
+// Task priority utilities
+// ============================================
+
+/**
+ * Priority levels, most important first
+ * Tasks without a priority are treated as P4
+ */
+export const PRIORITY_LEVELS = [
+  { value: 1, label: 'P1', name: 'Urgent', color: '#ef4444' },
+  { value: 2, label: 'P2', name: 'High', color: '#f59e0b' },
+  { value: 3, label: 'P3', name: 'Medium', color: '#3b82f6' },
+  { value: 4, label: 'P4', name: 'Normal', color: '#94a3b8' },
+];
+
+export const DEFAULT_PRIORITY = 4;
+
+/**
+ * Get a task's priority, falling back to the default for missing or invalid values
+ * @param {object} task - The task
+ * @returns {number} - 1 (highest) to 4 (lowest)
+ */
+export function getTaskPriority(task) {
+  const priority = task?.priority;
+  return PRIORITY_LEVELS.some((level) => level.value === priority) ? priority : DEFAULT_PRIORITY;
+}
+
+/**
+ * Get the display info (label, name, color) for a priority value
+ * @param {number} priority - 1 to 4
+ * @returns {object}
+ */
+export function getPriorityLevel(priority) {
+  return PRIORITY_LEVELS.find((level) => level.value === priority)
+    || PRIORITY_LEVELS.find((level) => level.value === DEFAULT_PRIORITY);
+}
+
+/**
+ * Get the next priority when cycling with a single button (P4 → P3 → P2 → P1 → P4)
+ * @param {number} priority - Current priority
+ * @returns {number}
+ */
+export function getNextPriority(priority) {
+  return priority <= 1 ? DEFAULT_PRIORITY : priority - 1;
+}
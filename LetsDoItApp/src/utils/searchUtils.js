@@ -0,0 +1,97 @@
+// ============================================
+// Full-text search utilities
+// ============================================
+
+// Bump when tokenization or indexed fields change so existing indexes are rebuilt
+export const SEARCH_INDEX_VERSION = 1;
+
+export const SEARCH_RESULT_TYPES = {
+  TASK: 'task',
+  HABIT: 'habit',
+};
+
+// Prefix for tag tokens, so tag renames don't require re-indexing tasks
+const TAG_TOKEN_PREFIX = '#';
+
+/**
+ * Split text into lowercase, accent-insensitive search tokens
+ * @param {string} text - Any text
+ * @returns {string[]} - Unique tokens
+ */
+export function tokenize(text) {
+  if (!text || typeof text !== 'string') return [];
+  const normalized = text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+  return [...new Set(normalized.split(/[^\p{L}\p{N}]+/u).filter(Boolean))];
+}
+
+/**
+ * Get the index token for a tag ID
+ */
+export function getTagToken(tagId) {
+  return `${TAG_TOKEN_PREFIX}${tagId}`;
+}
+
+/**
+ * Build the search index entry for a task
+ * Indexes content, note, checklist items and tag IDs
+ * @param {object} task - The task
+ * @returns {object} - { key, type, refId, tokens }
+ */
+export function buildTaskSearchEntry(task) {
+  const texts = [
+    task.content,
+    task.note,
+    ...(task.subtasks || []).map((subtask) => subtask.content),
+  ];
+  const tokens = new Set(texts.flatMap(tokenize));
+  for (const tagId of task.tags || []) {
+    tokens.add(getTagToken(tagId));
+  }
+  return {
+    key: `${SEARCH_RESULT_TYPES.TASK}:${task.id}`,
+    type: SEARCH_RESULT_TYPES.TASK,
+    refId: task.id,
+    tokens: [...tokens],
+  };
+}
+
+/**
+ * Build the search index entry for a habit (mood) entry
+ * Indexes the reflections: gratitude (or legacy note) and bedtime thoughts
+ * @param {object} habit - The habit entry
+ * @returns {object} - { key, type, refId, tokens }
+ */
+export function buildHabitSearchEntry(habit) {
+  const texts = [habit.gratitude, habit.note, habit.bedtimeThoughts];
+  return {
+    key: `${SEARCH_RESULT_TYPES.HABIT}:${habit.id}`,
+    type: SEARCH_RESULT_TYPES.HABIT,
+    refId: habit.id,
+    tokens: [...new Set(texts.flatMap(tokenize))],
+  };
+}
+
+/**
+ * Get a short excerpt of text around the first match of any search term
+ * @param {string} text - The full text
+ * @param {string[]} terms - Tokenized search terms
+ * @param {number} radius - Characters to keep on each side of the match
+ * @returns {string|null} - The excerpt, or null if no term matches
+ */
+export function getSearchSnippet(text, terms, radius = 40) {
+  if (!text) return null;
+  // Plain lowercase keeps positions aligned with the original text
+  const lower = text.toLowerCase();
+  const positions = terms
+    .map((term) => lower.indexOf(term))
+    .filter((position) => position !== -1);
+  if (positions.length === 0) return null;
+
+  const matchAt = Math.min(...positions);
+  const start = Math.max(0, matchAt - radius);
+  const end = Math.min(text.length, matchAt + radius * 2);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
@@ -0,0 +1,67 @@
+// ============================================
+// Service worker registration
+// ============================================
+//
+// The service worker (src/serviceWorker.js, built into sw.js) only exists in production
+// builds. A new version installs in the background and waits; the app asks the user
+// before switching to it, since the switch reloads the page.
+
+const SERVICE_WORKER_URL = '/sw.js';
+// How often an app left open checks for a new version
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+function isSupported() {
+  return import.meta.env.PROD && 'serviceWorker' in navigator;
+}
+
+/**
+ * Register the service worker and watch for new versions
+ * @param {function} onUpdateReady - Called with the registration once a new version is waiting
+ * @returns {function} - Stops checking for new versions
+ */
+export function registerServiceWorker(onUpdateReady) {
+  if (!isSupported()) return () => {};
+
+  // Without a controller, an installed worker is the first version, not an update
+  const notifyIfWaiting = (registration) => {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      onUpdateReady(registration);
+    }
+  };
+
+  let stopped = false;
+  let interval = null;
+  navigator.serviceWorker
+    .register(SERVICE_WORKER_URL, { scope: '/' })
+    .then((registration) => {
+      if (stopped) return;
+      notifyIfWaiting(registration);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed') notifyIfWaiting(registration);
+        });
+      });
+      interval = setInterval(() => {
+        registration.update().catch(() => {
+          // Offline; checked again later
+        });
+      }, UPDATE_CHECK_INTERVAL_MS);
+    })
+    .catch((error) => {
+      console.error('Failed to register the service worker:', error);
+    });
+
+  return () => {
+    stopped = true;
+    clearInterval(interval);
+  };
+}
+
+/**
+ * Switch to the waiting version and reload the page once it has taken over
+ */
+export function applyServiceWorkerUpdate(registration) {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting?.postMessage({ type: 'SKIP_WAITING' });
+}
@@ -0,0 +1,180 @@
+// ============================================
+// End-to-end encryption for sync payloads
+// ============================================
+//
+// A passphrase is stretched with PBKDF2 (SHA-256) into an AES-GCM key. The encrypted
+// payload is wrapped in a versioned envelope that carries everything needed to decrypt
+// it except the passphrase. AES-GCM authenticates the ciphertext, so a wrong passphrase
+// fails decryption instead of producing garbage.
+
+export const ENCRYPTION_FORMAT = 'letsdoit-encrypted';
+export const ENCRYPTION_VERSION = 1;
+
+// Error codes set on errors thrown by decryptSyncPayload
+export const ENCRYPTION_ERRORS = {
+  PASSPHRASE_REQUIRED: 'passphraseRequired',
+  WRONG_PASSPHRASE: 'wrongPassphrase',
+  UNSUPPORTED_VERSION: 'unsupportedVersion',
+  INVALID_ENVELOPE: 'invalidEnvelope',
+};
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// OWASP recommendation for PBKDF2-HMAC-SHA256
+const PBKDF2_ITERATIONS = 600000;
+// The iteration count of an envelope comes from the synced file; a tampered or corrupt file
+// must not be able to make key derivation run for hours
+const MAX_PBKDF2_ITERATIONS = 10 * PBKDF2_ITERATIONS;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// Deriving a key takes a noticeable moment, so the last one is reused
+// (a fresh IV is still generated for every encryption)
+let cachedKey = null;
+
+function encryptionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+// Authenticated alongside the ciphertext so the header can't be swapped
+function getAdditionalData(version) {
+  return new TextEncoder().encode(`${ENCRYPTION_FORMAT}:v${version}`);
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const saltBase64 = bytesToBase64(salt);
+  if (
+    cachedKey &&
+    cachedKey.passphrase === passphrase &&
+    cachedKey.salt === saltBase64 &&
+    cachedKey.iterations === iterations
+  ) {
+    return cachedKey.key;
+  }
+
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  const key = await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+  cachedKey = { passphrase, salt: saltBase64, iterations, key };
+  return key;
+}
+
+/**
+ * Check whether a fetched payload is an encryption envelope
+ */
+export function isEncryptedPayload(payload) {
+  return !!payload && payload.format === ENCRYPTION_FORMAT;
+}
+
+/**
+ * Encrypt a sync payload
+ * Sync timestamps stay readable in the envelope so devices can compare versions
+ * without decrypting.
+ * @param {object} payload - The sync payload (an export plus sync metadata)
+ * @param {string} passphrase - The sync passphrase
+ * @returns {Promise<object>} - The envelope
+ */
+export async function encryptSyncPayload(payload, passphrase) {
+  if (!passphrase) {
+    throw encryptionError('A passphrase is required to encrypt sync data', ENCRYPTION_ERRORS.PASSPHRASE_REQUIRED);
+  }
+
+  // Reuse the salt of the cached key for the same passphrase to skip key derivation
+  const salt = cachedKey?.passphrase === passphrase
+    ? base64ToBytes(cachedKey.salt)
+    : crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iterations = cachedKey?.passphrase === passphrase ? cachedKey.iterations : PBKDF2_ITERATIONS;
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveKey(passphrase, salt, iterations);
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: getAdditionalData(ENCRYPTION_VERSION) },
+    key,
+    new TextEncoder().encode(JSON.stringify(payload))
+  );
+
+  return {
+    format: ENCRYPTION_FORMAT,
+    version: ENCRYPTION_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext)),
+    syncedAt: payload.syncedAt,
+    localModifiedAt: payload.localModifiedAt,
+  };
+}
+
+/**
+ * Decrypt an encryption envelope
+ * @param {object} envelope - The envelope from encryptSyncPayload
+ * @param {string} passphrase - The sync passphrase
+ * @returns {Promise<object>} - The original payload
+ * @throws {Error} - With error.code set to one of ENCRYPTION_ERRORS
+ */
+export async function decryptSyncPayload(envelope, passphrase) {
+  if (envelope.version !== ENCRYPTION_VERSION) {
+    throw encryptionError(
+      `Cloud data uses encryption format v${envelope.version}, which this version of the app can't read. Please update the app.`,
+      ENCRYPTION_ERRORS.UNSUPPORTED_VERSION
+    );
+  }
+  if (!passphrase) {
+    throw encryptionError(
+      'Cloud data is encrypted. Enter the sync passphrase in Settings to sync this device.',
+      ENCRYPTION_ERRORS.PASSPHRASE_REQUIRED
+    );
+  }
+
+  const iterations = envelope.kdf?.iterations;
+  if (!Number.isInteger(iterations) || iterations < PBKDF2_ITERATIONS || iterations > MAX_PBKDF2_ITERATIONS) {
+    throw encryptionError(
+      'Cloud data has invalid encryption settings and was not decrypted. Restore a previous version.',
+      ENCRYPTION_ERRORS.INVALID_ENVELOPE
+    );
+  }
+
+  const key = await deriveKey(passphrase, base64ToBytes(envelope.kdf.salt), iterations);
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: base64ToBytes(envelope.cipher.iv),
+        additionalData: getAdditionalData(envelope.version),
+      },
+      key,
+      base64ToBytes(envelope.ciphertext)
+    );
+  } catch {
+    throw encryptionError(
+      'Wrong sync passphrase. Cloud data could not be decrypted.',
+      ENCRYPTION_ERRORS.WRONG_PASSPHRASE
+    );
+  }
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
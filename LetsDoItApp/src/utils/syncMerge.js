@@ -0,0 +1,318 @@
+import { SEARCH_RESULT_TYPES } from './searchUtils';
+
+// ============================================
+// Three-way merge for sync
+// ============================================
+//
+// Each side of a sync is an export's `data` object: { tasks, habits, tombstones, settings }.
+// `base` is the dataset both sides agreed on at the last successful sync. A record that
+// only changed on one side since the base takes that side's version; a record edited on
+// both sides is merged field by field, and fields changed on both sides go to the newer
+// edit (by updatedAt). Ties are broken by comparing the serialized records, so every
+// device resolves the same conflict the same way.
+
+// Record collections that are merged, with the tombstone type of their records
+const RECORD_COLLECTIONS = {
+  tasks: SEARCH_RESULT_TYPES.TASK,
+  habits: SEARCH_RESULT_TYPES.HABIT,
+};
+
+/**
+ * Serialize a value with sorted object keys, so equal records compare equal
+ * regardless of the order their fields were written in
+ */
+export function stableStringify(value) {
+  if (value === undefined) return 'undefined';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+  return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+function isSameValue(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+// Timestamps mix UTC and local formats, so compare them as dates
+function toTime(timestamp) {
+  if (!timestamp) return 0;
+  return new Date(timestamp).getTime() || 0;
+}
+
+/**
+ * Pick the record that wins a conflict: the newer updatedAt, then the larger serialization
+ */
+function pickWinner(local, remote) {
+  const localTime = toTime(local.updatedAt);
+  const remoteTime = toTime(remote.updatedAt);
+  if (localTime !== remoteTime) {
+    return localTime > remoteTime ? local : remote;
+  }
+  return stableStringify(local) >= stableStringify(remote) ? local : remote;
+}
+
+/**
+ * Merge one record
+ * @param {object|undefined} base - The record at the last sync
+ * @param {object|undefined} local - The local record (undefined if removed locally)
+ * @param {object|undefined} remote - The remote record (undefined if removed remotely)
+ * @returns {object} - { record, conflictFields } where record is undefined if it was removed
+ */
+export function mergeRecord(base, local, remote) {
+  if (isSameValue(local, remote)) return { record: local, conflictFields: [] };
+  if (isSameValue(base, local)) return { record: remote, conflictFields: [] };
+  if (isSameValue(base, remote)) return { record: local, conflictFields: [] };
+
+  // Changed on one side, removed on the other: keep the edit
+  if (!local || !remote) return { record: local || remote, conflictFields: [] };
+
+  const winner = pickWinner(local, remote);
+  const record = {};
+  const conflictFields = [];
+  const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  keys.delete('updatedAt');
+
+  for (const key of keys) {
+    const baseValue = base?.[key];
+    const localValue = local[key];
+    const remoteValue = remote[key];
+    let value;
+    if (isSameValue(localValue, remoteValue) || isSameValue(baseValue, remoteValue)) {
+      value = localValue;
+    } else if (isSameValue(baseValue, localValue)) {
+      value = remoteValue;
+    } else {
+      value = winner[key];
+      conflictFields.push(key);
+    }
+    if (value !== undefined) {
+      record[key] = value;
+    }
+  }
+  record.updatedAt = toTime(local.updatedAt) >= toTime(remote.updatedAt) ? local.updatedAt : remote.updatedAt;
+
+  return { record, conflictFields };
+}
+
+/**
+ * Merge tombstone lists, keeping the newest tombstone per record
+ */
+export function mergeTombstones(...lists) {
+  const tombstones = new Map();
+  for (const tombstone of lists.flat()) {
+    if (!tombstone?.key) continue;
+    const existing = tombstones.get(tombstone.key);
+    if (!existing || toTime(existing.deletedAt) < toTime(tombstone.deletedAt)) {
+      tombstones.set(tombstone.key, tombstone);
+    }
+  }
+  return [...tombstones.values()];
+}
+
+/**
+ * Merge one collection of records (tasks or habits) by id
+ * Records purged after their last edit (per the tombstones) are dropped.
+ */
+function mergeCollection(type, baseRecords = [], localRecords = [], remoteRecords = [], tombstones) {
+  const byId = (records) => new Map(records.map((record) => [record.id, record]));
+  const base = byId(baseRecords);
+  const local = byId(localRecords);
+  const remote = byId(remoteRecords);
+  const ids = new Set([...local.keys(), ...remote.keys(), ...base.keys()]);
+
+  const records = [];
+  const conflicts = [];
+  for (const id of ids) {
+    const { record, conflictFields } = mergeRecord(base.get(id), local.get(id), remote.get(id));
+    if (!record) continue;
+
+    const tombstone = tombstones.get(`${type}:${id}`);
+    if (tombstone && toTime(tombstone.deletedAt) >= toTime(record.updatedAt)) continue;
+
+    if (conflictFields.length > 0) {
+      conflicts.push({ type, id, fields: conflictFields, local: local.get(id), remote: remote.get(id), resolved: record });
+    }
+    records.push(record);
+  }
+  return { records, conflicts };
+}
+
+/**
+ * Keep a single habit entry per date
+ * Two devices can each create an entry for the same day while offline; the live,
+ * newer entry is kept.
+ */
+function dedupeHabitsByDate(habits, localIds) {
+  const byDate = new Map();
+  const conflicts = [];
+  for (const habit of habits) {
+    const existing = byDate.get(habit.date);
+    if (!existing) {
+      byDate.set(habit.date, habit);
+      continue;
+    }
+    let winner;
+    if (!!existing.deletedAt !== !!habit.deletedAt) {
+      winner = existing.deletedAt ? habit : existing;
+    } else {
+      winner = pickWinner(existing, habit);
+    }
+    byDate.set(habit.date, winner);
+    const [localHabit, remoteHabit] = localIds.has(existing.id) ? [existing, habit] : [habit, existing];
+    conflicts.push({
+      type: SEARCH_RESULT_TYPES.HABIT,
+      id: winner.id,
+      fields: ['date'],
+      local: localHabit,
+      remote: remoteHabit,
+      resolved: winner,
+    });
+  }
+  return { habits: [...byDate.values()], conflicts };
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isListOfRecords(value) {
+  return Array.isArray(value) && value.every((item) => isPlainObject(item) && item.id !== undefined);
+}
+
+/**
+ * Merge a setting value (settings have no timestamps)
+ * Lists of records with ids (e.g. tags) and plain objects are merged per entry;
+ * anything changed on both sides takes the remote value, which another device already merged.
+ */
+function mergeSettingValue(base, local, remote) {
+  if (isSameValue(local, remote) || isSameValue(base, remote)) return local;
+  if (isSameValue(base, local)) return remote;
+
+  if (isListOfRecords(local) && isListOfRecords(remote)) {
+    const baseById = new Map((isListOfRecords(base) ? base : []).map((item) => [item.id, item]));
+    const localById = new Map(local.map((item) => [item.id, item]));
+    const remoteIds = new Set(remote.map((item) => item.id));
+    const merged = [];
+    for (const item of [...remote, ...local.filter((localItem) => !remoteIds.has(localItem.id))]) {
+      const value = mergeSettingValue(
+        baseById.get(item.id),
+        localById.get(item.id),
+        remoteIds.has(item.id) ? item : undefined
+      );
+      if (value !== undefined) merged.push(value);
+    }
+    return merged;
+  }
+
+  if (isPlainObject(local) && isPlainObject(remote)) {
+    const baseObject = isPlainObject(base) ? base : {};
+    const merged = {};
+    for (const key of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+      const value = mergeSettingValue(baseObject[key], local[key], remote[key]);
+      if (value !== undefined) merged[key] = value;
+    }
+    return merged;
+  }
+
+  return remote;
+}
+
+function mergeSettings(base = {}, local = {}, remote = {}) {
+  const settings = {};
+  for (const key of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+    const value = mergeSettingValue(base[key], local[key], remote[key]);
+    if (value !== undefined) settings[key] = value;
+  }
+  return settings;
+}
+
+/**
+ * Three-way merge of two synced datasets
+ * @param {object|null} base - Dataset at the last successful sync, or null if unknown
+ * @param {object} local - This device's dataset
+ * @param {object} remote - The remote dataset
+ * @returns {object} - { data, conflicts, localChanged, remoteChanged }
+ *   data: the merged dataset
+ *   conflicts: records edited on both sides with overlapping fields, and their resolution
+ *   localChanged / remoteChanged: whether the merged data differs from that side
+ */
+export function mergeSyncData(base, local, remote) {
+  const baseData = base || {};
+  const tombstones = mergeTombstones(local.tombstones || [], remote.tombstones || []);
+  const tombstonesByKey = new Map(tombstones.map((tombstone) => [tombstone.key, tombstone]));
+
+  const data = { tombstones };
+  const conflicts = [];
+  for (const [collection, type] of Object.entries(RECORD_COLLECTIONS)) {
+    const merged = mergeCollection(
+      type,
+      baseData[collection],
+      local[collection],
+      remote[collection],
+      tombstonesByKey
+    );
+    data[collection] = merged.records;
+    conflicts.push(...merged.conflicts);
+  }
+
+  const deduped = dedupeHabitsByDate(data.habits, new Set((local.habits || []).map((habit) => habit.id)));
+  data.habits = deduped.habits;
+  conflicts.push(...deduped.conflicts);
+
+  data.settings = mergeSettings(baseData.settings, local.settings, remote.settings);
+
+  return {
+    data,
+    conflicts,
+    localChanged: !isSameDataset(data, local),
+    remoteChanged: !isSameDataset(data, remote),
+  };
+}
+
+/**
+ * Whether two datasets hold the same records, tombstones and settings
+ */
+export function isSameDataset(a, b) {
+  const sortById = (records = []) => [...records].sort((x, y) => String(x.id).localeCompare(String(y.id)));
+  const sortByKey = (tombstones = []) => [...tombstones].sort((x, y) => x.key.localeCompare(y.key));
+  return (
+    isSameValue(sortById(a.tasks), sortById(b.tasks)) &&
+    isSameValue(sortById(a.habits), sortById(b.habits)) &&
+    isSameValue(sortByKey(a.tombstones), sortByKey(b.tombstones)) &&
+    isSameValue(a.settings || {}, b.settings || {})
+  );
+}
+
+/**
+ * Get the fields whose values differ between the two sides of a conflict
+ */
+export function getDifferingFields(local, remote) {
+  const keys = new Set([...Object.keys(local || {}), ...Object.keys(remote || {})]);
+  keys.delete('updatedAt');
+  return [...keys].filter((key) => !isSameValue(local?.[key], remote?.[key]));
+}
+
+/**
+ * Build the record chosen by the user for a sync conflict
+ * @param {object} conflict - A conflict from mergeSyncData
+ * @param {'local'|'remote'|object} resolution - A side, or { [field]: 'local' | 'remote' }
+ *   for a field-by-field merge (fields not listed keep the automatic resolution)
+ * @returns {object} - The resolved record
+ */
+export function buildConflictResolution(conflict, resolution) {
+  if (resolution === 'local' || resolution === 'remote') {
+    return { ...conflict[resolution] };
+  }
+  const record = { ...conflict.resolved };
+  for (const [field, side] of Object.entries(resolution)) {
+    const value = conflict[side]?.[field];
+    if (value === undefined) {
+      delete record[field];
+    } else {
+      record[field] = value;
+    }
+  }
+  return record;
+}
@@ -1,7 +1,70 @@
-import { defineConfig } from 'vite'
+import { readFileSync, readdirSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import packageJson from './package.json'
+import { ROUTES } from './src/routes.js'
+
+// Builds src/serviceWorker.js into sw.js, with every file of the build to precache and a
+// version that changes whenever any of them does (the new version is what triggers the
+// update prompt)
+function serviceWorkerPlugin() {
+  let root = ''
+  let base = '/'
+  let publicDir = ''
+  return {
+    name: 'letsdoit-service-worker',
+    apply: 'build',
+    // After Vite has added index.html to the bundle
+    enforce: 'post',
+    configResolved(config) {
+      root = config.root
+      base = config.base
+      publicDir = config.publicDir
+    },
+    generateBundle(_, bundle) {
+      const files = Object.values(bundle)
+        .map((file) => ({ name: file.fileName, content: file.type === 'chunk' ? file.code : file.source }))
+        .filter((file) => !file.name.endsWith('.map'))
+      for (const name of publicDir ? readdirSync(publicDir) : []) {
+        files.push({ name, content: readFileSync(`${publicDir}/${name}`) })
+      }
+      files.sort((a, b) => a.name.localeCompare(b.name))
+
+      const hash = createHash('sha256')
+      for (const file of files) {
+        hash.update(file.name).update(file.content)
+      }
+      const source = readFileSync(`${root}/src/serviceWorker.js`, 'utf8')
+        .replace('__CACHE_VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)))
+        .replace('__PRECACHE_URLS__', JSON.stringify(files.map((file) => `${base}${file.name}`)))
+        .replace('__APP_ROUTES__', JSON.stringify(Object.values(ROUTES)))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  // WEBDAV_PROXY_TARGET=http://localhost:8080 proxies /webdav/* to a local WebDAV server,
+  // so WebDAV sync can be tried in development without configuring CORS on the server
+  const { WEBDAV_PROXY_TARGET } = loadEnv(mode, '.', 'WEBDAV_')
+
+  return {
+    plugins: [react(), serviceWorkerPlugin()],
+    define: {
+      __APP_VERSION__: JSON.stringify(packageJson.version),
+    },
+    server: WEBDAV_PROXY_TARGET
+      ? {
+          proxy: {
+            '/webdav': {
+              target: WEBDAV_PROXY_TARGET,
+              changeOrigin: true,
+              rewrite: (path) => path.replace(/^\/webdav/, ''),
+            },
+          },
+        }
+      : undefined,
+  }
 })
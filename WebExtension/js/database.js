@@ -7,6 +7,9 @@ const TASKS_STORE = 'tasks';
 const SETTINGS_STORE = 'settings';
 const HABITS_STORE = 'habits';
 
+// Tombstones of records purged in the app, kept as a setting so they survive the next export
+const TOMBSTONES_SETTING = 'syncTombstones';
+
 // Device timezone setting key (stored in localStorage, not synced)
 const DEVICE_TIMEZONE_KEY = 'letsdoit_device_timezone';
 
@@ -218,19 +221,27 @@ export async function initDB() {
 }
 
 /**
- * Get all tasks from the database
+ * Get every record in a store, including ones in the trash
  */
-export async function getAllTasks() {
+async function getAllRecords(storeName) {
   const db = await initDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(TASKS_STORE, 'readonly');
-    const store = tx.objectStore(TASKS_STORE);
+    const tx = db.transaction(storeName, 'readonly');
+    const store = tx.objectStore(storeName);
     const request = store.getAll();
     request.onsuccess = () => resolve(request.result);
     request.onerror = () => reject(request.error);
   });
 }
 
+/**
+ * Get all tasks from the database (excluding trashed tasks)
+ */
+export async function getAllTasks() {
+  const tasks = await getAllRecords(TASKS_STORE);
+  return tasks.filter((task) => !task.deletedAt);
+}
+
 /**
  * Get a single task by ID
  */
@@ -302,21 +313,11 @@ export async function updateTask(id, updates) {
 }
 
 /**
- * Delete a task
+ * Delete a task (moves it to the trash; it can be restored from the app)
  */
 export async function deleteTask(id) {
-  const db = await initDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(TASKS_STORE, 'readwrite');
-    const store = tx.objectStore(TASKS_STORE);
-    const request = store.delete(id);
-    request.onsuccess = async () => {
-      await updateLocalDataTimestamp();
-      triggerAutoSync();
-      resolve(id);
-    };
-    request.onerror = () => reject(request.error);
-  });
+  await updateTask(id, { deletedAt: createLocalTimestamp() });
+  return id;
 }
 
 /**
@@ -417,9 +418,17 @@ export async function completeTag(tagId, isComplete = true) {
 // ============================================
 
 /**
- * Get habit entry by date string (YYYY-MM-DD format)
+ * Get habit entry by date string (YYYY-MM-DD format), ignoring trashed entries
  */
 export async function getHabitByDate(dateStr) {
+  const habit = await getHabitByDateIncludingDeleted(dateStr);
+  return habit && !habit.deletedAt ? habit : undefined;
+}
+
+/**
+ * Get habit entry by date string, even if it is in the trash
+ */
+async function getHabitByDateIncludingDeleted(dateStr) {
   const db = await initDB();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(HABITS_STORE, 'readonly');
@@ -432,17 +441,11 @@ export async function getHabitByDate(dateStr) {
 }
 
 /**
- * Get all habit entries
+ * Get all habit entries (excluding trashed entries)
  */
 export async function getAllHabits() {
-  const db = await initDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(HABITS_STORE, 'readonly');
-    const store = tx.objectStore(HABITS_STORE);
-    const request = store.getAll();
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
-  });
+  const habits = await getAllRecords(HABITS_STORE);
+  return habits.filter((habit) => !habit.deletedAt);
 }
 
 /**
@@ -453,7 +456,7 @@ export async function upsertHabit(habitData) {
   const dateStr = habitData.date;
   const year = parseInt(dateStr.split('-')[0]);
 
-  const existing = await getHabitByDate(dateStr);
+  const existing = await getHabitByDateIncludingDeleted(dateStr);
   const timestamp = createLocalTimestamp();
 
   return new Promise((resolve, reject) => {
@@ -461,7 +464,16 @@ export async function upsertHabit(habitData) {
     const store = tx.objectStore(HABITS_STORE);
 
     let entry;
-    if (existing) {
+    if (existing?.deletedAt) {
+      // The date's previous entry is in the trash - start fresh, keeping its id
+      entry = {
+        id: existing.id,
+        ...habitData,
+        year,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      };
+    } else if (existing) {
       entry = {
         ...existing,
         ...habitData,
@@ -498,8 +510,10 @@ export async function upsertHabit(habitData) {
 export async function exportAllData() {
   const db = await initDB();
 
-  const tasks = await getAllTasks();
-  const habits = await getAllHabits();
+  // Trashed records and tombstones are exported so deletions sync to other devices
+  const tasks = await getAllRecords(TASKS_STORE);
+  const habits = await getAllRecords(HABITS_STORE);
+  const tombstones = (await getSetting(TOMBSTONES_SETTING)) || [];
   const localModifiedAt = await getLocalDataModifiedAt();
 
   const settingsKeys = ['availableTags', 'sectionExpandStates'];
@@ -518,6 +532,7 @@ export async function exportAllData() {
     data: {
       tasks,
       habits,
+      tombstones,
       settings,
     },
   };
@@ -531,9 +546,16 @@ export async function importAllData(importData, options = {}) {
     throw new Error('Invalid import data format');
   }
 
-  const { tasks = [], habits = [], settings = {} } = importData.data;
+  const { tasks: importedTasks = [], habits: importedHabits = [], tombstones = [], settings = {} } = importData.data;
   const db = await initDB();
 
+  // Tombstones mark records purged from the trash in the app; keep them out
+  const isPurged = (type, record) => tombstones.some(
+    (tombstone) => tombstone.key === `${type}:${record.id}` && tombstone.deletedAt >= (record.updatedAt || '')
+  );
+  const tasks = importedTasks.filter((task) => !isPurged('task', task));
+  const habits = importedHabits.filter((habit) => !isPurged('habit', habit));
+
   // Clear existing data
   await new Promise((resolve, reject) => {
     const tx = db.transaction([TASKS_STORE, HABITS_STORE], 'readwrite');
@@ -567,6 +589,7 @@ export async function importAllData(importData, options = {}) {
   for (const [key, value] of Object.entries(settings)) {
     await setSetting(key, value);
   }
+  await setSetting(TOMBSTONES_SETTING, tombstones);
 
   if (!options.preserveLocalTimestamp) {
     const importedTimestamp = importData.localModifiedAt || importData.syncedAt || importData.exportedAt;
@@ -631,6 +654,10 @@ export const SYNC_RESULT = {
   ERROR: 'error',
 };
 
+// Error code of pushes rejected because another device pushed since our fetch
+const STALE_REVISION = 'staleRevision';
+const MAX_SYNC_ATTEMPTS = 3;
+
 export async function getGoogleDriveSyncSettings() {
   const settings = await getSetting('googleDriveSync');
   return settings || {
@@ -678,6 +705,7 @@ export function extractGoogleDriveFileId(input) {
 /**
  * Fetch data from Google Drive using Google Apps Script
  * Uses a simple GET with NO custom headers to avoid CORS preflight
+ * Resolves to null if the file is still empty
  */
 export async function fetchFromGoogleDrive(scriptEndpoint, fileId) {
   if (!scriptEndpoint) {
@@ -709,6 +737,10 @@ export async function fetchFromGoogleDrive(scriptEndpoint, fileId) {
 
     const data = await response.json();
 
+    if (data === null) {
+      return null;
+    }
+
     if (data.error) {
       throw new Error(data.message || data.error);
     }
@@ -737,8 +769,9 @@ export async function fetchFromGoogleDrive(scriptEndpoint, fileId) {
 /**
  * Push data to Google Drive using Google Apps Script
  * Uses text/plain content type to avoid CORS preflight
+ * The script rejects the push if the file no longer has baseRevision
  */
-export async function pushToGoogleDrive() {
+export async function pushToGoogleDrive(baseRevision = 0) {
   const settings = await getGoogleDriveSyncSettings();
 
   if (!settings.scriptEndpoint) {
@@ -753,13 +786,15 @@ export async function pushToGoogleDrive() {
     ...exportData,
     syncedAt: new Date().toISOString(),
     localModifiedAt: await getLocalDataModifiedAt(),
+    revision: baseRevision + 1,
   };
 
   try {
     console.log('Pushing data to Google Drive via Apps Script...');
 
     // Use text/plain to avoid CORS preflight (application/json triggers preflight)
-    const response = await fetch(`${settings.scriptEndpoint}?fileId=${encodeURIComponent(settings.fileId)}`, {
+    const query = `fileId=${encodeURIComponent(settings.fileId)}&baseRevision=${baseRevision}`;
+    const response = await fetch(`${settings.scriptEndpoint}?${query}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'text/plain',
@@ -767,10 +802,6 @@ export async function pushToGoogleDrive() {
       body: JSON.stringify(syncData),
     });
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
     let result;
     try {
       result = await response.json();
@@ -778,6 +809,16 @@ export async function pushToGoogleDrive() {
       result = { success: true };
     }
 
+    if (result.error === 'conflict' || response.status === 409) {
+      const error = new Error('The data on Google Drive was changed by another device during sync');
+      error.code = STALE_REVISION;
+      throw error;
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
     if (result.error) {
       throw new Error(result.message || result.error);
     }
@@ -793,12 +834,107 @@ export async function pushToGoogleDrive() {
       timestamp: syncData.syncedAt,
     };
   } catch (error) {
+    if (error.code === STALE_REVISION) throw error;
     console.error('Failed to push to Google Drive:', error);
     throw new Error('Failed to push data to Google Drive: ' + error.message);
   }
 }
 
+// The app pushes its data split into gzip-compressed shards (see sync/shards.js in the app),
+// optionally end-to-end encrypted (see utils/syncCrypto.js in the app)
+const SHARDED_FORMAT = 'letsdoit-sharded';
+const ENCRYPTED_FORMAT = 'letsdoit-encrypted';
+const TOMBSTONE_SHARDS = ['tasks-deleted', 'habits-deleted'];
+const SETTINGS_SHARDS = ['tags', 'settings'];
+
+async function decompressShard(base64) {
+  const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return JSON.parse(await new Response(stream).text());
+}
+
+/**
+ * Check whether fetched data was written by the app in a format the extension can't write
+ * The extension only pushes plain exports. Pushing one over the app's format would drop its
+ * encryption, the data other devices leave out of sync, the device registry and the app's
+ * per-record merges, so the extension only pulls such data.
+ */
+function isReadOnlyPayload(remoteData) {
+  return !!remoteData.format;
+}
+
+/**
+ * Turn fetched data in the app's sharded format back into an export
+ * Downloads the shards the script stores separately; other data is returned as it is.
+ */
+async function readShardedPayload(settings, remoteData) {
+  if (remoteData.format === ENCRYPTED_FORMAT || remoteData.index?.format) {
+    throw new Error('The synced data is end-to-end encrypted, which the extension does not support yet.');
+  }
+  if (remoteData.format !== SHARDED_FORMAT) {
+    return remoteData;
+  }
+
+  const { shards } = remoteData.index;
+  const shardData = { ...remoteData.shardData };
+  const missing = shards.map((shard) => shard.id).filter((id) => shardData[id] === undefined);
+  if (missing.length > 0) {
+    const query = new URLSearchParams({
+      fileId: settings.fileId,
+      action: 'shards',
+      shardIds: missing.join(','),
+      _cb: Date.now(),
+    });
+    // No custom headers, to avoid a CORS preflight
+    const response = await fetch(`${settings.scriptEndpoint}?${query}`, { method: 'GET' });
+    const result = await response.json().catch(() => null);
+    if (!result?.shards) {
+      throw new Error(result?.message || 'Failed to download the synced data. Update the Apps Script from the setup guide.');
+    }
+    Object.assign(shardData, result.shards);
+  }
+
+  const data = { tasks: [], habits: [], tombstones: [], settings: {} };
+  for (const shard of shards) {
+    if (!shardData[shard.id]) {
+      throw new Error(`The synced data is incomplete: part "${shard.name}" is missing.`);
+    }
+    const content = await decompressShard(shardData[shard.id]);
+    if (TOMBSTONE_SHARDS.includes(shard.name)) {
+      data.tombstones.push(...content);
+    } else if (SETTINGS_SHARDS.includes(shard.name)) {
+      Object.assign(data.settings, content);
+    } else if (shard.name.startsWith('habits-')) {
+      data.habits.push(...content);
+    } else {
+      data.tasks.push(...content);
+    }
+  }
+
+  return {
+    version: remoteData.index.version,
+    exportedAt: remoteData.index.exportedAt,
+    syncedAt: remoteData.syncedAt,
+    localModifiedAt: remoteData.localModifiedAt,
+    data,
+  };
+}
+
+/**
+ * Sync with Google Drive, fetching again if another device pushed in between
+ */
 export async function syncFromGoogleDrive() {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await runSyncCycle();
+    } catch (error) {
+      if (error.code !== STALE_REVISION || attempt >= MAX_SYNC_ATTEMPTS) throw error;
+      console.log('Remote data changed during sync, retrying...');
+    }
+  }
+}
+
+async function runSyncCycle() {
   const settings = await getGoogleDriveSyncSettings();
 
   if (!settings.scriptEndpoint) {
@@ -812,13 +948,19 @@ export async function syncFromGoogleDrive() {
 
   const remoteData = await fetchFromGoogleDrive(settings.scriptEndpoint, settings.fileId);
 
+  // Empty file: upload this device's data
+  if (!remoteData) {
+    return pushToGoogleDrive(0);
+  }
+
+  const remoteRevision = Number(remoteData.revision) || 0;
   const localModifiedAt = await getLocalDataModifiedAt();
   const remoteModifiedAt = remoteData.localModifiedAt || remoteData.syncedAt || remoteData.exportedAt;
 
   // FIRST SYNC: Always pull from cloud
   if (isFirstSync) {
     console.log('First sync detected - pulling from Google Drive...');
-    const importResult = await importAllData(remoteData, { preserveLocalTimestamp: true });
+    const importResult = await importAllData(await readShardedPayload(settings, remoteData), { preserveLocalTimestamp: true });
 
     if (remoteModifiedAt) {
       await setSetting('localDataModifiedAt', remoteModifiedAt);
@@ -843,8 +985,14 @@ export async function syncFromGoogleDrive() {
 
   // Local is newer, push
   if (localTime > remoteTime) {
+    if (isReadOnlyPayload(remoteData)) {
+      throw new Error(
+        'The synced data was written by the letsdoit app, which the extension can only read. ' +
+        "Changes made in the extension can't be synced; make them in the app instead."
+      );
+    }
     console.log('Local data is newer, pushing to Google Drive...');
-    await pushToGoogleDrive();
+    await pushToGoogleDrive(remoteRevision);
     return {
       action: SYNC_RESULT.PUSHED,
       localTimestamp: localModifiedAt,
@@ -855,7 +1003,7 @@ export async function syncFromGoogleDrive() {
   // Remote is newer, pull
   if (remoteTime > localTime) {
     console.log('Remote data is newer, pulling from Google Drive...');
-    const importResult = await importAllData(remoteData, { preserveLocalTimestamp: true });
+    const importResult = await importAllData(await readShardedPayload(settings, remoteData), { preserveLocalTimestamp: true });
 
     if (remoteModifiedAt) {
       await setSetting('localDataModifiedAt', remoteModifiedAt);
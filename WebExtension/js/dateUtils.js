@@ -1,5 +1,6 @@
 // Date utility functions for LetsDoIt Web Extension
 import { getEffectiveTimezone, getCurrentLocalDateString } from './database.js';
+import { getTaskPriority } from './priorityUtils.js';
 
 // ============================================
 // Timezone-aware date string functions
@@ -317,7 +318,7 @@ export function categorizeDailyTasks(tasks) {
 }
 
 /**
- * Sort tasks - incomplete first, then by due date
+ * Sort tasks - incomplete first, then priority, then manual order, then by due date
  */
 export function sortTasks(tasks) {
   return [...tasks].sort((a, b) => {
@@ -325,6 +326,19 @@ export function sortTasks(tasks) {
     if (a.doneAt && !b.doneAt) return 1;
     if (!a.doneAt && b.doneAt) return -1;
 
+    // Higher priority first (P1 before P4)
+    const priorityDiff = getTaskPriority(a) - getTaskPriority(b);
+    if (priorityDiff !== 0) return priorityDiff;
+
+    // Manually ordered tasks (drag and drop in the app) keep their order
+    const aHasOrder = Number.isFinite(a.sortOrder);
+    const bHasOrder = Number.isFinite(b.sortOrder);
+    if (aHasOrder && bHasOrder && a.sortOrder !== b.sortOrder) {
+      return a.sortOrder - b.sortOrder;
+    }
+    if (aHasOrder && !bHasOrder) return -1;
+    if (!aHasOrder && bHasOrder) return 1;
+
     // Sort by due date using date strings
     const aDateStr = extractDateString(a.dueDate);
     const bDateStr = extractDateString(b.dueDate);
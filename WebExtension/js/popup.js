@@ -38,6 +38,7 @@ import {
   scoreToLabel, 
   SCORES 
 } from './habitUtils.js';
+import { getTaskPriority, getPriorityLevel, DEFAULT_PRIORITY } from './priorityUtils.js';
 
 // Section configuration
 const SECTIONS = [
@@ -575,6 +576,20 @@ function createTaskElement(task) {
   content.textContent = task.content;
 
   leftEl.appendChild(checkbox);
+
+  // Priority marker (P4 is the default and isn't shown)
+  const priority = getTaskPriority(task);
+  if (priority !== DEFAULT_PRIORITY) {
+    const level = getPriorityLevel(priority);
+    const priorityEl = document.createElement('span');
+    priorityEl.className = 'task-priority';
+    priorityEl.style.color = level.color;
+    priorityEl.style.borderColor = level.color;
+    priorityEl.title = `Priority: ${level.name}`;
+    priorityEl.textContent = level.label;
+    leftEl.appendChild(priorityEl);
+  }
+
   leftEl.appendChild(content);
 
   // Tags
@@ -0,0 +1,29 @@
+// Task priority utility functions for LetsDoIt Web Extension
+
+/**
+ * Priority levels, most important first (tasks without a priority are P4)
+ */
+export const PRIORITY_LEVELS = [
+  { value: 1, label: 'P1', name: 'Urgent', color: '#ef4444' },
+  { value: 2, label: 'P2', name: 'High', color: '#f59e0b' },
+  { value: 3, label: 'P3', name: 'Medium', color: '#3b82f6' },
+  { value: 4, label: 'P4', name: 'Normal', color: '#94a3b8' },
+];
+
+export const DEFAULT_PRIORITY = 4;
+
+/**
+ * Get a task's priority, falling back to the default for missing or invalid values
+ */
+export function getTaskPriority(task) {
+  const priority = task?.priority;
+  return PRIORITY_LEVELS.some((level) => level.value === priority) ? priority : DEFAULT_PRIORITY;
+}
+
+/**
+ * Get the display info (label, name, color) for a priority value
+ */
+export function getPriorityLevel(priority) {
+  return PRIORITY_LEVELS.find((level) => level.value === priority)
+    || PRIORITY_LEVELS.find((level) => level.value === DEFAULT_PRIORITY);
+}
@@ -0,0 +1,24 @@
+/**
+ * Create a user (or a new token for an existing user) in tokens.json
+ * Usage: npm run add-user -- <name>
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+const TOKENS_FILE = path.resolve(process.env.TOKENS_FILE || path.join(__dirname, 'tokens.json'));
+
+const name = process.argv[2];
+if (!name) {
+  console.error('Usage: npm run add-user -- <name>');
+  process.exit(1);
+}
+
+const tokens = fs.existsSync(TOKENS_FILE) ? JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf-8')) : {};
+const token = crypto.randomBytes(24).toString('base64url');
+tokens[name] = token;
+fs.writeFileSync(TOKENS_FILE, `${JSON.stringify(tokens, null, 2)}\n`, { mode: 0o600 });
+
+console.log(`Token for ${name}: ${token}`);
+console.log(`Endpoint for the app: https://<your-host>/sync/${token}`);
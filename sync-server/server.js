@@ -0,0 +1,467 @@
+/**
+ * Self-hosted sync server for LetsDoIt
+ * Speaks the same protocol as the Google Apps Script from the in-app setup guide,
+ * so the app's "Google Apps Script Web App URL" can point at this server:
+ *   GET  <endpoint>?fileId=ID  - returns the stored JSON (null if nothing is stored yet)
+ *   POST <endpoint>?fileId=ID  - stores the JSON body (sent as text/plain)
+ *   POST ...&baseRevision=N     - only stores it if the stored JSON still has revision N,
+ *                                 otherwise answers 409 { error: 'conflict', revision }
+ *   POST ...&keepSnapshots=N    - also keeps a snapshot of the body, up to the newest N
+ *   GET  ...&action=snapshots   - returns { snapshots: [...] }, newest first
+ *   GET  ...&action=snapshot&snapshotId=ID - returns { snapshot: <stored JSON> }
+ *   GET  ...&action=shards&shardIds=A,B - returns { shards: { A: <shard>, B: null } }
+ *
+ * Shards in the body's shardData are stored as separate files and left out of the stored
+ * JSON. Shards that neither the stored JSON nor a kept snapshot lists in its shardIds are
+ * deleted after each write.
+ *
+ * Every user has a bearer token (see tokens.json). The token is sent either in an
+ * `Authorization: Bearer <token>` header or as the last path segment of the endpoint
+ * (https://sync.example.com/sync/<token>), because the app sends no custom headers.
+ */
+
+const http = require('node:http');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '0.0.0.0';
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+const TOKENS_FILE = path.resolve(process.env.TOKENS_FILE || path.join(__dirname, 'tokens.json'));
+// Comma-separated list of origins allowed to call the server, or * for any
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '*').split(',').map((origin) => origin.trim());
+const MAX_BODY_BYTES = Number(process.env.MAX_BODY_BYTES) || 20 * 1024 * 1024;
+
+// File IDs become file names, so only allow a safe subset of characters
+const FILE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const MAX_SNAPSHOTS = 50;
+const ENDPOINT_PATTERN = /^\/sync(?:\/([^/]+))?\/?$/;
+
+// Pending writes per file, so a revision check and its write never interleave with another write
+const fileLocks = new Map();
+
+class HttpError extends Error {
+  constructor(statusCode, error, message) {
+    super(message);
+    this.statusCode = statusCode;
+    this.error = error;
+  }
+}
+
+/**
+ * Load the user tokens: { "<user name>": "<token>" }
+ * Re-read on every request so users can be added without a restart
+ */
+async function loadTokens() {
+  try {
+    return JSON.parse(await fs.readFile(TOKENS_FILE, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new HttpError(500, 'Server not configured', `No tokens file at ${TOKENS_FILE}. Run "npm run add-user -- <name>".`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Compare tokens in constant time (hashing first makes the lengths equal)
+ */
+function tokensMatch(a, b) {
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+// A malformed escape in the path (e.g. "%E0%A4%A") is just an invalid token
+function decodePathToken(pathToken) {
+  try {
+    return decodeURIComponent(pathToken);
+  } catch {
+    throw new HttpError(401, 'Unauthorized', 'Invalid bearer token');
+  }
+}
+
+/**
+ * Find the user a request belongs to
+ * @returns {Promise<string>} - The user name
+ */
+async function authenticate(req, pathToken) {
+  const header = req.headers.authorization || '';
+  const headerToken = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : null;
+  const token = headerToken || (pathToken && decodePathToken(pathToken));
+  if (!token) {
+    throw new HttpError(401, 'Unauthorized', 'Missing bearer token');
+  }
+
+  const tokens = await loadTokens();
+  const user = Object.keys(tokens).find((name) => tokensMatch(tokens[name], token));
+  if (!user) {
+    throw new HttpError(401, 'Unauthorized', 'Invalid bearer token');
+  }
+  return user;
+}
+
+/**
+ * Get the path of a user's file, keeping every user in their own directory
+ */
+function getFilePath(user, fileId) {
+  if (!fileId || !FILE_ID_PATTERN.test(fileId)) {
+    throw new HttpError(400, 'Invalid file ID', 'The file ID may only contain letters, digits, "-" and "_"');
+  }
+  const userDir = crypto.createHash('sha256').update(user).digest('hex').slice(0, 16);
+  return path.join(DATA_DIR, userDir, `${fileId}.json`);
+}
+
+/**
+ * Get the directory holding the snapshots of a file
+ */
+function getHistoryDir(filePath) {
+  return filePath.replace(/\.json$/, '.history');
+}
+
+/**
+ * Get the path of a snapshot, rejecting IDs that aren't safe file names
+ */
+function getSnapshotPath(filePath, snapshotId) {
+  if (!snapshotId || !FILE_ID_PATTERN.test(snapshotId)) {
+    throw new HttpError(400, 'Invalid snapshot ID', 'The snapshot ID may only contain letters, digits, "-" and "_"');
+  }
+  return path.join(getHistoryDir(filePath), `${snapshotId}.json`);
+}
+
+/**
+ * Get the directory holding the shards of a file
+ */
+function getShardsDir(filePath) {
+  return filePath.replace(/\.json$/, '.shards');
+}
+
+/**
+ * Get the path of a shard, rejecting IDs that aren't safe file names
+ */
+function getShardPath(filePath, shardId) {
+  if (!shardId || !FILE_ID_PATTERN.test(shardId)) {
+    throw new HttpError(400, 'Invalid shard ID', 'The shard ID may only contain letters, digits, "-" and "_"');
+  }
+  return path.join(getShardsDir(filePath), `${shardId}.json`);
+}
+
+/**
+ * Write a file atomically: to a temporary file first, so readers never see a partial file
+ */
+async function writeFileAtomic(filePath, content) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tempPath, content);
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Read the snapshot list of a file ([] if it has none)
+ */
+async function readSnapshotIndex(filePath) {
+  try {
+    const index = JSON.parse(await fs.readFile(path.join(getHistoryDir(filePath), 'index.json'), 'utf-8'));
+    return Array.isArray(index) ? index : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Keep a snapshot of stored data and drop the oldest beyond `keep`
+ * Called with the file lock held, so the index is never updated concurrently.
+ */
+async function saveSnapshot(filePath, data, keep) {
+  const createdAt = new Date().toISOString();
+  const id = createdAt.replace(/[:.]/g, '-');
+  await writeFileAtomic(getSnapshotPath(filePath, id), JSON.stringify(data));
+
+  const info = data?.snapshotInfo || {};
+  const entry = {
+    id,
+    createdAt,
+    revision: data?.revision ?? null,
+    deviceName: info.deviceName ?? null,
+    taskCount: info.taskCount ?? null,
+    habitCount: info.habitCount ?? null,
+  };
+  const entries = [entry, ...(await readSnapshotIndex(filePath)).filter((existing) => existing.id !== id)];
+  for (const removed of entries.slice(keep)) {
+    await fs.rm(getSnapshotPath(filePath, removed.id), { force: true });
+  }
+  await writeFileAtomic(path.join(getHistoryDir(filePath), 'index.json'), JSON.stringify(entries.slice(0, keep)));
+}
+
+/**
+ * Store the shards sent with a write
+ */
+async function saveShards(filePath, shardData) {
+  for (const [shardId, shard] of Object.entries(shardData)) {
+    await writeFileAtomic(getShardPath(filePath, shardId), JSON.stringify(shard));
+  }
+}
+
+/**
+ * Delete the shards that neither the stored data nor a kept snapshot lists
+ * Called with the file lock held, after the snapshot index is up to date.
+ */
+async function removeUnusedShards(filePath, data) {
+  let files;
+  try {
+    files = await fs.readdir(getShardsDir(filePath));
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  const used = new Set(data?.shardIds || []);
+  for (const entry of await readSnapshotIndex(filePath)) {
+    try {
+      const snapshot = JSON.parse(await fs.readFile(getSnapshotPath(filePath, entry.id), 'utf-8'));
+      (snapshot?.shardIds || []).forEach((shardId) => used.add(shardId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  for (const file of files) {
+    if (file.endsWith('.json') && !used.has(file.slice(0, -'.json'.length))) {
+      await fs.rm(path.join(getShardsDir(filePath), file), { force: true });
+    }
+  }
+}
+
+/**
+ * Set the CORS headers for the request's origin
+ */
+function setCorsHeaders(req, res) {
+  const origin = req.headers.origin;
+  if (ALLOWED_ORIGINS.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Access-Control-Max-Age', '86400');
+}
+
+function sendJson(res, statusCode, body) {
+  const json = typeof body === 'string' ? body : JSON.stringify(body);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+  });
+  res.end(json);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Payload too large', `The body exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Run a task once all earlier tasks for the same file are done
+ */
+function withFileLock(filePath, task) {
+  const previous = fileLocks.get(filePath) || Promise.resolve();
+  const current = previous.catch(() => {}).then(task);
+  fileLocks.set(filePath, current);
+  return current.finally(() => {
+    if (fileLocks.get(filePath) === current) {
+      fileLocks.delete(filePath);
+    }
+  });
+}
+
+/**
+ * Get the revision of the stored file (0 if it doesn't exist or predates revisions)
+ */
+async function readRevision(filePath) {
+  try {
+    const content = await fs.readFile(filePath, 'utf-8');
+    return Number(JSON.parse(content)?.revision) || 0;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
+
+/**
+ * GET - return the stored file, or null if it doesn't exist yet
+ */
+async function handleRead(res, filePath) {
+  try {
+    sendJson(res, 200, await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    sendJson(res, 200, 'null');
+  }
+}
+
+/**
+ * GET ?action=shards - return the requested shards (null for missing ones)
+ */
+async function handleShardRead(res, filePath, shardIds) {
+  const ids = (shardIds || '').split(',').filter(Boolean);
+  const shards = {};
+  for (const shardId of ids) {
+    try {
+      shards[shardId] = JSON.parse(await fs.readFile(getShardPath(filePath, shardId), 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      shards[shardId] = null;
+    }
+  }
+  sendJson(res, 200, { shards });
+}
+
+/**
+ * GET ?action=snapshots|snapshot - list the snapshots, or return one
+ */
+async function handleSnapshotRead(res, filePath, action, snapshotId) {
+  if (action === 'snapshots') {
+    sendJson(res, 200, { snapshots: await readSnapshotIndex(filePath) });
+    return;
+  }
+  if (action !== 'snapshot') {
+    throw new HttpError(400, 'Invalid action', `Unknown action "${action}"`);
+  }
+  try {
+    const content = await fs.readFile(getSnapshotPath(filePath, snapshotId), 'utf-8');
+    sendJson(res, 200, `{"snapshot":${content}}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    throw new HttpError(404, 'Not Found', 'Snapshot not found');
+  }
+}
+
+/**
+ * POST - store the body, writing to a temporary file first so readers never see a partial file
+ * Writes based on an outdated revision are rejected with 409.
+ */
+async function handleWrite(req, res, filePath, baseRevision, keepSnapshots) {
+  const body = await readBody(req);
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch {
+    throw new HttpError(400, 'Invalid JSON', 'The body must be JSON');
+  }
+
+  await withFileLock(filePath, async () => {
+    if (baseRevision !== null) {
+      const currentRevision = await readRevision(filePath);
+      if (currentRevision !== Number(baseRevision)) {
+        sendJson(res, 409, {
+          error: 'conflict',
+          message: 'The file was changed by another device',
+          revision: currentRevision,
+        });
+        return;
+      }
+    }
+
+    // Shards go to their own files before the stored JSON refers to them
+    if (data?.shardData) {
+      await saveShards(filePath, data.shardData);
+      delete data.shardData;
+    }
+
+    await writeFileAtomic(filePath, JSON.stringify(data));
+
+    // The write already succeeded, so a failed snapshot is only reported
+    let snapshotError = null;
+    const keep = Math.min(Number(keepSnapshots) || 0, MAX_SNAPSHOTS);
+    if (keep > 0) {
+      try {
+        await saveSnapshot(filePath, data, keep);
+      } catch (error) {
+        console.error('Failed to save snapshot:', error);
+        snapshotError = error.message;
+      }
+    }
+    try {
+      await removeUnusedShards(filePath, data);
+    } catch (error) {
+      // Left for the next write to remove
+      console.error('Failed to remove unused shards:', error);
+    }
+
+    sendJson(res, 200, { success: true, revision: data?.revision, snapshotError, timestamp: new Date().toISOString() });
+  });
+}
+
+async function handleRequest(req, res) {
+  setCorsHeaders(req, res);
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (url.pathname === '/health') {
+    sendJson(res, 200, { status: 'ok', service: 'letsdoit-sync-server', timestamp: new Date().toISOString() });
+    return;
+  }
+
+  const match = url.pathname.match(ENDPOINT_PATTERN);
+  if (!match) {
+    throw new HttpError(404, 'Not Found', `No endpoint at ${url.pathname}`);
+  }
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    throw new HttpError(405, 'Method Not Allowed', `${req.method} is not supported`);
+  }
+
+  const user = await authenticate(req, match[1]);
+  const filePath = getFilePath(user, url.searchParams.get('fileId'));
+
+  const action = url.searchParams.get('action');
+  if (req.method === 'GET' && action === 'shards') {
+    await handleShardRead(res, filePath, url.searchParams.get('shardIds'));
+  } else if (req.method === 'GET' && action) {
+    await handleSnapshotRead(res, filePath, action, url.searchParams.get('snapshotId'));
+  } else if (req.method === 'GET') {
+    await handleRead(res, filePath);
+  } else {
+    await handleWrite(req, res, filePath, url.searchParams.get('baseRevision'), url.searchParams.get('keepSnapshots'));
+  }
+  console.log(`${req.method} ${url.searchParams.get('fileId')} (${user})`);
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch((error) => {
+    if (error instanceof HttpError) {
+      sendJson(res, error.statusCode, { error: error.error, message: error.message });
+      return;
+    }
+    console.error('Request failed:', error);
+    sendJson(res, 500, { error: 'Internal Server Error', message: error.message });
+  });
+});
+
+if (require.main === module) {
+  server.listen(PORT, HOST, () => {
+    console.log(`LetsDoIt sync server listening on http://${HOST}:${PORT}/sync`);
+    console.log(`Data directory: ${DATA_DIR}`);
+  });
+}
+
+module.exports = { server };